@@ -255,7 +255,7 @@ class APLPackageManager {
         const exampleCode = `// APL Package
 // Generated by apl-pkg
 
-function greet(name) {
+export function greet(name) {
     print("Hello, " + name + "!")
 }
 
@@ -110,7 +110,8 @@ function evolve_solution(population, generations) {
 // Combine neural and symbolic reasoning
 function reason_about(knowledge, query) {
     graph = S.graph(knowledge)
-    patterns = N.match(query)
+    net = N.net(100)
+    patterns = N.match(net, query)
     inference = S.reason(graph, patterns)
     result = D.unify(patterns, inference)
     return result
@@ -120,7 +121,8 @@ function reason_about(knowledge, query) {
 // Combine neural and symbolic reasoning
 function reason_about(knowledge, query) {
     graph = ᛕ(knowledge)
-    patterns = ᛈ(query)
+    net = ᚾ(100)
+    patterns = ᛈ(net, query)
     inference = ᛊ(graph, patterns)
     result = ᚢ(patterns, inference)
     return result
@@ -157,21 +159,21 @@ function measure_consciousness(system) {
         ascii: `
 // Synchronize oscillators through resonance
 function sync_oscillators(nodes) {
+    oscillators = []
     for node in nodes {
-        osc = R.osc(node.frequency)
-        R.sync(osc, nodes)
+        oscillators[len(oscillators)] = R.osc(node.frequency)
     }
-    return nodes
+    return R.sync(oscillators)
 }
 `,
         runic: `
 // Synchronize oscillators through resonance
 function sync_oscillators(nodes) {
+    oscillators = []
     for node in nodes {
-        osc = ᛟ(node.frequency)
-        ᚱ(osc, nodes)
+        oscillators[len(oscillators)] = ᛟ(node.frequency)
     }
-    return nodes
+    return ᚱ(oscillators)
 }
 `
     },
@@ -185,7 +187,7 @@ function sync_oscillators(nodes) {
 function ai_system(input) {
     // Quantum preprocessing
     q = Q.super(input.size)
-    Q.gate(q, "hadamard")
+    Q.gate(q, "hadamard", 0)
     
     // Neural processing
     net = N.net(1000)
@@ -194,11 +196,11 @@ function ai_system(input) {
     
     // Symbolic reasoning
     knowledge = S.graph(patterns)
-    inference = S.reason(knowledge)
+    inference = S.reason(knowledge, patterns)
     
     // Genetic optimization
     solutions = G.fitness(inference)
-    best = evolve_solution(solutions, 100)
+    best = G.mutate(G.cross(solutions), 0.1)
     
     // Unify results
     result = D.unify(patterns, best)
@@ -214,7 +216,7 @@ function ai_system(input) {
 function ai_system(input) {
     // Quantum preprocessing
     q = ᛩ(input.size)
-    ᛜ(q, "hadamard")
+    ᛜ(q, "hadamard", 0)
     
     // Neural processing
     net = ᚾ(1000)
@@ -223,11 +225,11 @@ function ai_system(input) {
     
     // Symbolic reasoning
     knowledge = ᛕ(patterns)
-    inference = ᛊ(knowledge)
+    inference = ᛊ(knowledge, patterns)
     
     // Genetic optimization
     solutions = ᚠ(inference)
-    best = evolve_solution(solutions, 100)
+    best = ᚥ(ᚴ(solutions), 0.1)
     
     // Unify results
     result = ᚢ(patterns, best)
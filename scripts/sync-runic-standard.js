@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+/**
+ * Regenerate the editor grammar from runic_standard.json
+ *
+ * Usage:
+ *   node scripts/sync-runic-standard.js          rewrite apl.tmLanguage.json
+ *   node scripts/sync-runic-standard.js --check  report drift, exit 1 if any
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const RunicRegistry = require('../src/runic-registry');
+const APLCompiler = require('../src/apl-compiler');
+const RunicMap = require('../src/runic-map');
+
+const GRAMMAR_PATH = path.join(__dirname, '..', 'vscode-extension', 'syntaxes', 'apl.tmLanguage.json');
+
+function main(args) {
+    const grammar = JSON.parse(fs.readFileSync(GRAMMAR_PATH, 'utf8'));
+
+    if (args.includes('--check')) {
+        const problems = RunicRegistry.checkConformance({
+            runicAlphabet: APLCompiler.runicAlphabet,
+            asciiToRunic: RunicMap.asciiToRunic,
+            grammar
+        });
+        problems.forEach(problem => console.error(`✗ ${problem}`));
+        if (problems.length === 0) {
+            console.log(`✓ Runic standard ${RunicRegistry.metadata.version}: all tables conform`);
+        }
+        return problems.length === 0 ? 0 : 1;
+    }
+
+    const updated = RunicRegistry.applyGrammar(grammar);
+    fs.writeFileSync(GRAMMAR_PATH, JSON.stringify(updated, null, 2) + '\n');
+    console.log(`✓ Wrote ${path.relative(process.cwd(), GRAMMAR_PATH)}`);
+    return 0;
+}
+
+process.exit(main(process.argv.slice(2)));
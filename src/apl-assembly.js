@@ -0,0 +1,375 @@
+/**
+ * APL Assembly
+ * Disassembles compiled programs into readable listings and assembles
+ * listings back into executable bytecode
+ * Version: 1.0.0
+ */
+
+const OPCODES = typeof require === 'function' ? require('./apl-opcodes') : window.APLOpcodes;
+const RunicRegistry = typeof require === 'function' ? require('./runic-registry') : window.APLRunicRegistry;
+const { APLBytecodeError } = typeof require === 'function' ? require('./apl-errors') : window.APLErrors;
+const APLVerifier = typeof require === 'function' ? require('./apl-verifier') : window.APLVerifier;
+
+const MNEMONICS = new Map(Object.entries(OPCODES).map(([name, opcode]) => [opcode, name]));
+
+// Operands holding instruction addresses; a listing may name a label
+// instead of a number
+const ADDRESS_OPERANDS = {
+    [OPCODES.JUMP]: ['target'],
+    [OPCODES.JUMP_IF]: ['target'],
+    [OPCODES.LOOP]: ['end'],
+    [OPCODES.LOOP_END]: ['start'],
+    [OPCODES.FUNC_DECL]: ['end'],
+    [OPCODES.MAKE_CLOSURE]: ['end'],
+    '.handler': ['start', 'end', 'handler', 'owner'],
+    '.operation': ['address'],
+    '.module': ['start', 'end']
+};
+
+const INSTRUCTION_WIDTH = 56;
+
+/**
+ * A listing has one instruction per line:
+ *
+ *   0004  JUMP_IF          target=9                          ; 2:4-2:11
+ *   0007  QUANTUM_GATE     argCount=3                        ; QFU 3:1-3:25
+ *
+ * The address column, the mnemonic (the opcode's name in apl-opcodes)
+ * and `key=value` operands. Values are JSON, with identifier-like
+ * strings written bare. Everything after `;` is a comment; the
+ * disassembler puts the hardware unit and the source range there, and
+ * the assembler reads the source range back.
+ *
+ * Directives describe the rest of the program: `.globals`, `.imports`
+ * and `.exports` before the code; `.module`, `.handler` and
+ * `.operation` entries (with the same `key=value` operands) after it.
+ *
+ * Hand-written listings may leave out the address column and define
+ * labels (`loop:`) to use in place of addresses.
+ */
+class APLAssembly {
+    /**
+     * Listing of a successful compiler result, or of its `code`
+     */
+    static disassemble(compiled) {
+        const code = compiled && compiled.code ? compiled.code : compiled;
+        if (!code || !Array.isArray(code.executionPlan)) {
+            throw new APLBytecodeError('Nothing to disassemble');
+        }
+        return new APLDisassembler().listing(code);
+    }
+
+    /**
+     * Compiler result, ready for APL.execute, from a listing. Malformed
+     * listings are rejected with an APLBytecodeError, as is code that
+     * fails verification unless `options.verify` is false.
+     */
+    static assemble(text, options = {}) {
+        const code = new APLAssembler().assemble(String(text));
+        if (options.verify !== false) {
+            new APLVerifier().check(code);
+        }
+        return {
+            success: true,
+            code,
+            diagnostics: []
+        };
+    }
+}
+
+class APLDisassembler {
+    listing(code) {
+        const units = new Map((code.operations || []).map(operation => [operation.address, operation.hardwareUnit]));
+        const lines = [`; APL bytecode, runic standard ${RunicRegistry.metadata.version}`];
+
+        lines.push(`.globals ${code.globals || 0}`);
+        if (code.imports && code.imports.length > 0) {
+            lines.push(`.imports ${JSON.stringify(code.imports)}`);
+        }
+        if (code.exports && Object.keys(code.exports).length > 0) {
+            lines.push(`.exports ${JSON.stringify(code.exports)}`);
+        }
+        lines.push('');
+
+        code.executionPlan.forEach((instruction, pc) => {
+            lines.push(this.instruction(instruction, pc, units.get(pc)));
+        });
+
+        const trailer = [
+            ...(code.modules || []).map(module => this.directive('.module', module)),
+            ...(code.handlers || []).map(handler => this.directive('.handler', handler)),
+            ...(code.operations || []).map(operation => this.directive('.operation', operation))
+        ];
+        if (trailer.length > 0) {
+            lines.push('', ...trailer);
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    instruction(instruction, pc, unit) {
+        const { opcode, loc, ...operands } = instruction;
+        const mnemonic = MNEMONICS.has(opcode) ? MNEMONICS.get(opcode) : `?${JSON.stringify(opcode)}`;
+        const text = `${String(pc).padStart(4, '0')}  ${mnemonic.padEnd(16)} ${this.operands(operands)}`.trimEnd();
+        const comment = [unit, loc && this.range(loc)].filter(Boolean).join(' ');
+        return comment ? `${text.padEnd(INSTRUCTION_WIDTH)} ; ${comment}` : text;
+    }
+
+    directive(name, entry) {
+        return `${name} ${this.operands(entry)}`;
+    }
+
+    operands(operands) {
+        return Object.entries(operands)
+            .filter(([, value]) => value !== undefined)
+            .map(([key, value]) => `${key}=${this.value(value)}`)
+            .join(' ');
+    }
+
+    value(value) {
+        if (typeof value === 'string' && isBare(value)) {
+            return value;
+        }
+        if (typeof value === 'number' && !Number.isFinite(value)) {
+            return String(value);
+        }
+        if (Object.is(value, -0)) {
+            return '-0';
+        }
+        return JSON.stringify(value);
+    }
+
+    // line:column-line:column, columns counted from 1
+    range(loc) {
+        return `${loc.start.line}:${loc.start.column + 1}-${loc.end.line}:${loc.end.column + 1}`;
+    }
+}
+
+class APLAssembler {
+    assemble(text) {
+        this.code = {
+            operations: [],
+            hardwareMap: {},
+            executionPlan: [],
+            handlers: [],
+            globals: null,
+            imports: [],
+            exports: {}
+        };
+        this.modules = [];
+        this.labels = new Map();
+        this.fixups = [];
+
+        text.split(/\r?\n/).forEach((line, index) => {
+            this.line = index + 1;
+            this.statement(line);
+        });
+
+        this.fixups.forEach(({ target, key, label, line }) => {
+            if (!this.labels.has(label)) {
+                throw this.error(`Undefined label '${label}'`, line);
+            }
+            target[key] = this.labels.get(label);
+        });
+
+        const { code } = this;
+        code.operations.forEach(operation => {
+            (code.hardwareMap[operation.hardwareUnit] = code.hardwareMap[operation.hardwareUnit] || []).push(operation);
+        });
+        if (code.globals === null) {
+            code.globals = code.executionPlan
+                .filter(instruction => instruction.scope === 'global' && Number.isInteger(instruction.slot))
+                .reduce((count, instruction) => Math.max(count, instruction.slot + 1), 0);
+        }
+        if (this.modules.length > 0) {
+            code.modules = this.modules;
+        }
+        return code;
+    }
+
+    error(message, line = this.line) {
+        return new APLBytecodeError(`Line ${line}: ${message}`);
+    }
+
+    statement(line) {
+        const { text, comment } = this.splitComment(line);
+        if (text === '') {
+            return;
+        }
+
+        const label = /^([A-Za-z_$][\w$]*):$/.exec(text);
+        if (label) {
+            if (this.labels.has(label[1])) {
+                throw this.error(`Label '${label[1]}' is already defined`);
+            }
+            this.labels.set(label[1], this.code.executionPlan.length);
+            return;
+        }
+
+        if (text.startsWith('.')) {
+            this.directive(text);
+            return;
+        }
+
+        const match = /^(?:(\d+)\s+)?([A-Z_]+)(?:\s+(.*))?$/.exec(text);
+        if (!match) {
+            throw this.error(`Cannot read '${text}'`);
+        }
+        const [, address, mnemonic, rest = ''] = match;
+        const pc = this.code.executionPlan.length;
+        if (address !== undefined && Number(address) !== pc) {
+            throw this.error(`Instruction numbered ${Number(address)} is at address ${pc}`);
+        }
+        if (!(mnemonic in OPCODES)) {
+            throw this.error(`Unknown mnemonic '${mnemonic}'`);
+        }
+
+        const opcode = OPCODES[mnemonic];
+        const instruction = this.operands(rest, ADDRESS_OPERANDS[opcode], { opcode });
+        const loc = this.range(comment);
+        if (loc) {
+            instruction.loc = loc;
+        }
+        this.code.executionPlan.push(instruction);
+    }
+
+    directive(text) {
+        const [, name, rest = ''] = /^(\.\w+)(?:\s+(.*))?$/.exec(text) || [];
+        switch (name) {
+            case '.globals':
+            case '.imports':
+            case '.exports': {
+                const value = this.parseValue(rest.trim());
+                this.code[name.slice(1)] = value;
+                return;
+            }
+            case '.module':
+                this.modules.push(this.operands(rest, ADDRESS_OPERANDS[name]));
+                return;
+            case '.handler':
+                this.code.handlers.push(this.operands(rest, ADDRESS_OPERANDS[name]));
+                return;
+            case '.operation':
+                this.code.operations.push(this.operands(rest, ADDRESS_OPERANDS[name]));
+                return;
+            default:
+                throw this.error(`Unknown directive '${name || text}'`);
+        }
+    }
+
+    // Text before the first `;` outside a string, and the comment after it
+    splitComment(line) {
+        let quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quoted && char === '\\') {
+                i++;
+            } else if (char === '"') {
+                quoted = !quoted;
+            } else if (char === ';' && !quoted) {
+                return { text: line.slice(0, i).trim(), comment: line.slice(i + 1).trim() };
+            }
+        }
+        return { text: line.trim(), comment: '' };
+    }
+
+    // Parse `key=value` pairs into `operands`. Labels are patched in
+    // once every line has been read.
+    operands(text, addresses = [], operands = {}) {
+        let i = 0;
+        while (i < text.length) {
+            if (/\s/.test(text[i])) {
+                i++;
+                continue;
+            }
+            const key = /^([A-Za-z_$][\w$]*)=/.exec(text.slice(i));
+            if (!key) {
+                throw this.error(`Expected key=value at '${text.slice(i)}'`);
+            }
+            i += key[0].length;
+            const end = this.valueEnd(text, i);
+            const raw = text.slice(i, end);
+            i = end;
+
+            if (addresses.includes(key[1]) && isBare(raw)) {
+                this.fixups.push({ target: operands, key: key[1], label: raw, line: this.line });
+                operands[key[1]] = null;
+            } else {
+                operands[key[1]] = this.parseValue(raw);
+            }
+        }
+        return operands;
+    }
+
+    // End of the value starting at `start`: a balanced JSON string, array
+    // or object, or a run of non-space characters
+    valueEnd(text, start) {
+        if (start >= text.length || !'"[{'.includes(text[start])) {
+            const space = text.slice(start).search(/\s/);
+            return space === -1 ? text.length : start + space;
+        }
+        let depth = 0;
+        let quoted = false;
+        for (let i = start; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '\\') {
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                    if (depth === 0) return i + 1;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === '[' || char === '{') {
+                depth++;
+            } else if (char === ']' || char === '}') {
+                depth--;
+                if (depth === 0) return i + 1;
+            }
+        }
+        throw this.error(`Unterminated value '${text.slice(start)}'`);
+    }
+
+    parseValue(raw) {
+        if (raw === '') {
+            throw this.error('Missing value');
+        }
+        if (raw === 'Infinity' || raw === '-Infinity' || raw === 'NaN') {
+            return Number(raw);
+        }
+        if (isBare(raw)) {
+            return raw;
+        }
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            throw this.error(`Invalid value '${raw}'`);
+        }
+    }
+
+    // Source range written by the disassembler, without offsets
+    range(comment) {
+        const match = /^(?:[A-Za-z_]\w*\s+)?(\d+):(\d+)-(\d+):(\d+)$/.exec(comment);
+        if (!match) {
+            return null;
+        }
+        const [, startLine, startColumn, endLine, endColumn] = match.map(Number);
+        return {
+            start: { line: startLine, column: startColumn - 1 },
+            end: { line: endLine, column: endColumn - 1 }
+        };
+    }
+}
+
+// Strings written without quotes
+function isBare(value) {
+    return /^[A-Za-z_$][\w$.]*$/.test(value) &&
+        !['true', 'false', 'null', 'Infinity', 'NaN'].includes(value);
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = APLAssembly;
+} else if (typeof window !== 'undefined') {
+    window.APLAssembly = APLAssembly;
+}
@@ -0,0 +1,571 @@
+/**
+ * APL Bytecode Format
+ * Serializes compiled programs to the binary .aplc container and loads
+ * them back
+ * Version: 1.0.0
+ */
+
+const OPCODES = typeof require === 'function' ? require('./apl-opcodes') : window.APLOpcodes;
+const RunicRegistry = typeof require === 'function' ? require('./runic-registry') : window.APLRunicRegistry;
+const { APLBytecodeError } = typeof require === 'function' ? require('./apl-errors') : window.APLErrors;
+const APLVerifier = typeof require === 'function' ? require('./apl-verifier') : window.APLVerifier;
+
+const MAGIC = [0x41, 0x50, 0x4c, 0x43]; // "APLC"
+const FORMAT_VERSION = 3; // 2: source map in the debug section; 3: byte offset and string index in locations
+
+// Opcodes with a string value are written as 0x80 + their index here.
+// Append only: reordering or removing entries needs a new FORMAT_VERSION.
+const NAMED_OPCODES = [
+    'FUNC_DECL', 'PUSH_CONST', 'LOOP_END', 'POP', 'DUP', 'HARDWARE_OP', 'NEG', 'RANGE',
+    'MAKE_CLOSURE', 'FUNC_REF', 'CALL_VALUE', 'MAKE_ARRAY', 'MAKE_MAP', 'INDEX_GET', 'INDEX_SET',
+    'EQ', 'NE', 'LT', 'LE', 'GT', 'GE', 'NOT', 'CALL_NATIVE'
+];
+const NAMED_BASE = 0x80;
+
+// Instructions whose operands live in the function table
+const FUNCTION_OPCODES = [OPCODES.FUNC_DECL, OPCODES.MAKE_CLOSURE];
+
+// Operand value tags
+const Tag = Object.freeze({
+    NULL: 0,
+    FALSE: 1,
+    TRUE: 2,
+    INT: 3,      // zigzag varint
+    CONSTANT: 4, // constant pool index
+    ARRAY: 5,
+    OBJECT: 6
+});
+
+// Constant pool entry kinds
+const STRING = 0;
+const FLOAT = 1;
+
+class ByteWriter {
+    constructor() {
+        this.bytes = new Uint8Array(256);
+        this.length = 0;
+    }
+
+    reserve(count) {
+        if (this.length + count > this.bytes.length) {
+            const grown = new Uint8Array(Math.max(this.bytes.length * 2, this.length + count));
+            grown.set(this.bytes.subarray(0, this.length));
+            this.bytes = grown;
+        }
+    }
+
+    u8(value) {
+        this.reserve(1);
+        this.bytes[this.length++] = value;
+    }
+
+    u16(value) {
+        this.u8(value & 0xff);
+        this.u8(value >>> 8);
+    }
+
+    // Unsigned LEB128
+    varint(value) {
+        do {
+            let byte = value % 128;
+            value = Math.floor(value / 128);
+            if (value > 0) byte |= 0x80;
+            this.u8(byte);
+        } while (value > 0);
+    }
+
+    f64(value) {
+        this.reserve(8);
+        new DataView(this.bytes.buffer).setFloat64(this.length, value, true);
+        this.length += 8;
+    }
+
+    string(value) {
+        const bytes = new TextEncoder().encode(value);
+        this.varint(bytes.length);
+        this.raw(bytes);
+    }
+
+    raw(bytes) {
+        this.reserve(bytes.length);
+        this.bytes.set(bytes, this.length);
+        this.length += bytes.length;
+    }
+
+    toBytes() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+class ByteReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.offset = 0;
+    }
+
+    need(count) {
+        if (this.offset + count > this.bytes.length) {
+            throw new APLBytecodeError('Bytecode is truncated');
+        }
+    }
+
+    u8() {
+        this.need(1);
+        return this.bytes[this.offset++];
+    }
+
+    u16() {
+        return this.u8() | (this.u8() << 8);
+    }
+
+    varint() {
+        let value = 0;
+        let scale = 1;
+        let byte;
+        do {
+            byte = this.u8();
+            value += (byte & 0x7f) * scale;
+            scale *= 128;
+        } while (byte & 0x80);
+        return value;
+    }
+
+    f64() {
+        this.need(8);
+        const value = this.view.getFloat64(this.offset, true);
+        this.offset += 8;
+        return value;
+    }
+
+    string() {
+        const length = this.varint();
+        this.need(length);
+        const value = new TextDecoder().decode(this.bytes.subarray(this.offset, this.offset + length));
+        this.offset += length;
+        return value;
+    }
+}
+
+/**
+ * Layout, little-endian, counts and indices as unsigned LEB128:
+ *
+ *   header       "APLC", u16 format version, runic standard version
+ *   constants    strings and non-integer numbers used by the sections below
+ *   functions    FUNC_DECL / MAKE_CLOSURE operands: name, params, slots, end
+ *   code         one opcode byte per instruction, then its operands
+ *   handlers     unwind table
+ *   operations   hardware operations
+ *   module       globals, imports, exports
+ *   debug        u8 present flag; source location per instruction, the
+ *                linked module list and the source map
+ *
+ * Operand values are tagged: null, booleans, integers, constant pool
+ * references, arrays and objects.
+ */
+class APLBytecode {
+    /**
+     * Binary form (Uint8Array) of a successful compiler result.
+     * `options.debug: false` leaves out source locations.
+     */
+    static serialize(compiled, options = {}) {
+        if (!compiled || !compiled.success || !compiled.code) {
+            throw new APLBytecodeError(`Cannot serialize a failed compilation: ${compiled ? compiled.error : 'nothing compiled'}`);
+        }
+        return new APLBytecodeWriter().write(compiled.code, options.debug !== false);
+    }
+
+    /**
+     * Compiler result, ready for APL.execute, from bytes written by
+     * serialize. Bytecode of another format version or runic standard,
+     * or that fails verification, is rejected with an APLBytecodeError.
+     */
+    static load(bytes) {
+        const code = new APLBytecodeReader(APLBytecode.toBytes(bytes)).read();
+        new APLVerifier().check(code);
+        return {
+            success: true,
+            code,
+            diagnostics: []
+        };
+    }
+
+    static toBytes(bytes) {
+        if (bytes instanceof Uint8Array) {
+            return bytes;
+        }
+        if (bytes instanceof ArrayBuffer) {
+            return new Uint8Array(bytes);
+        }
+        throw new APLBytecodeError('Bytecode must be a Uint8Array, Buffer or ArrayBuffer');
+    }
+
+    static standardVersion() {
+        return RunicRegistry.metadata.version;
+    }
+}
+
+class APLBytecodeWriter {
+    constructor() {
+        this.constants = [];
+        this.constantIndex = new Map();
+        this.functions = [];
+    }
+
+    write(code, debug) {
+        const body = new ByteWriter();
+        const plan = code.executionPlan || [];
+
+        const instructions = new ByteWriter();
+        plan.forEach(instruction => this.instruction(instructions, instruction));
+
+        this.list(body, this.functions);
+        body.varint(plan.length);
+        body.raw(instructions.toBytes());
+        this.value(body, code.handlers || []);
+        this.value(body, code.operations || []);
+        this.value(body, {
+            globals: code.globals || 0,
+            imports: code.imports || [],
+            exports: code.exports || {}
+        });
+
+        body.u8(debug ? 1 : 0);
+        if (debug) {
+            const located = plan
+                .map((instruction, pc) => ({ pc, loc: instruction.loc }))
+                .filter(({ loc }) => loc);
+            body.varint(located.length);
+            located.forEach(({ pc, loc }) => {
+                body.varint(pc);
+                [loc.start, loc.end].forEach(position => {
+                    body.varint(position.line);
+                    body.varint(position.column);
+                    // Assembled code has no offsets or indexes
+                    body.varint(position.offset || 0);
+                    body.varint(position.index || 0);
+                });
+            });
+            this.value(body, code.modules || null);
+            this.value(body, code.sourceMap || null);
+        }
+
+        const out = new ByteWriter();
+        out.raw(MAGIC);
+        out.u16(FORMAT_VERSION);
+        out.string(APLBytecode.standardVersion());
+        out.varint(this.constants.length);
+        this.constants.forEach(constant => {
+            if (typeof constant === 'string') {
+                out.u8(STRING);
+                out.string(constant);
+            } else {
+                out.u8(FLOAT);
+                out.f64(constant);
+            }
+        });
+        out.raw(body.toBytes());
+        return out.toBytes();
+    }
+
+    instruction(writer, instruction) {
+        const { opcode, loc, ...operands } = instruction;
+        writer.u8(this.opcodeByte(opcode));
+
+        if (FUNCTION_OPCODES.includes(opcode)) {
+            this.functions.push(operands);
+            writer.varint(this.functions.length - 1);
+            return;
+        }
+        this.object(writer, operands);
+    }
+
+    opcodeByte(opcode) {
+        if (typeof opcode === 'number') {
+            return opcode;
+        }
+        const index = NAMED_OPCODES.indexOf(opcode);
+        if (index === -1) {
+            throw new APLBytecodeError(`Opcode ${opcode} has no binary encoding`);
+        }
+        return NAMED_BASE + index;
+    }
+
+    list(writer, values) {
+        writer.varint(values.length);
+        values.forEach(value => this.value(writer, value));
+    }
+
+    // Keys with an undefined value are left out
+    object(writer, object) {
+        const entries = Object.entries(object).filter(([, value]) => value !== undefined);
+        writer.varint(entries.length);
+        entries.forEach(([key, value]) => {
+            writer.varint(this.constant(key));
+            this.value(writer, value);
+        });
+    }
+
+    value(writer, value) {
+        if (value === null || value === undefined) {
+            writer.u8(Tag.NULL);
+        } else if (typeof value === 'boolean') {
+            writer.u8(value ? Tag.TRUE : Tag.FALSE);
+        } else if (Number.isSafeInteger(value) && !Object.is(value, -0)) {
+            writer.u8(Tag.INT);
+            writer.varint(value < 0 ? -value * 2 - 1 : value * 2);
+        } else if (typeof value === 'number' || typeof value === 'string') {
+            writer.u8(Tag.CONSTANT);
+            writer.varint(this.constant(value));
+        } else if (Array.isArray(value)) {
+            writer.u8(Tag.ARRAY);
+            this.list(writer, value);
+        } else if (typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+            writer.u8(Tag.OBJECT);
+            this.object(writer, value);
+        } else {
+            throw new APLBytecodeError(`Cannot serialize operand value of type ${typeof value}`);
+        }
+    }
+
+    constant(value) {
+        const key = `${typeof value}:${Object.is(value, -0) ? '-0' : value}`;
+        if (!this.constantIndex.has(key)) {
+            this.constantIndex.set(key, this.constants.length);
+            this.constants.push(value);
+        }
+        return this.constantIndex.get(key);
+    }
+}
+
+class APLBytecodeReader {
+    constructor(bytes) {
+        this.reader = new ByteReader(bytes);
+        this.constants = [];
+    }
+
+    read() {
+        this.header();
+
+        const reader = this.reader;
+        const constantCount = reader.varint();
+        for (let i = 0; i < constantCount; i++) {
+            const kind = reader.u8();
+            if (kind === STRING) {
+                this.constants.push(reader.string());
+            } else if (kind === FLOAT) {
+                this.constants.push(reader.f64());
+            } else {
+                throw new APLBytecodeError(`Unknown constant kind ${kind}`);
+            }
+        }
+
+        const functions = this.list();
+        functions.forEach((operands, index) => this.record(operands, `Function ${index}`));
+        const executionPlan = [];
+        const count = reader.varint();
+        for (let i = 0; i < count; i++) {
+            executionPlan.push(this.instruction(functions));
+        }
+
+        const handlers = this.records(this.value(), 'Unwind table');
+        const operations = this.records(this.value(), 'Operation list');
+        const module = this.record(this.value(), 'Module section');
+        if (!Number.isSafeInteger(module.globals) || module.globals < 0) {
+            throw new APLBytecodeError('Module section has no global slot count');
+        }
+        this.records(module.imports, 'Module imports');
+        this.record(module.exports, 'Module exports');
+        const code = {
+            operations,
+            hardwareMap: this.hardwareMap(operations),
+            executionPlan,
+            handlers,
+            globals: module.globals,
+            imports: module.imports,
+            exports: module.exports
+        };
+
+        if (reader.u8() === 1) {
+            const located = reader.varint();
+            for (let i = 0; i < located; i++) {
+                const pc = reader.varint();
+                const [start, end] = [0, 1].map(() => ({
+                    line: reader.varint(),
+                    column: reader.varint(),
+                    offset: reader.varint(),
+                    index: reader.varint()
+                }));
+                if (!executionPlan[pc]) {
+                    throw new APLBytecodeError(`Debug section refers to missing instruction ${pc}`);
+                }
+                executionPlan[pc].loc = { start, end };
+            }
+            const modules = this.value();
+            if (modules) {
+                code.modules = this.records(modules, 'Module list');
+            }
+            const sourceMap = this.value();
+            if (sourceMap) {
+                code.sourceMap = this.sourceMap(sourceMap);
+            }
+        }
+
+        if (reader.offset !== reader.bytes.length) {
+            throw new APLBytecodeError('Unexpected data after the end of the bytecode');
+        }
+        return code;
+    }
+
+    header() {
+        const reader = this.reader;
+        if (reader.bytes.length < MAGIC.length || MAGIC.some((byte, i) => reader.bytes[i] !== byte)) {
+            throw new APLBytecodeError('Not APL bytecode (missing APLC header)');
+        }
+        reader.offset = MAGIC.length;
+
+        const format = reader.u16();
+        if (format !== FORMAT_VERSION) {
+            throw new APLBytecodeError(
+                `Bytecode format version ${format} is not supported; this runtime reads version ${FORMAT_VERSION}. Recompile the program.`,
+                { format });
+        }
+
+        // Programs may use any rune of the standard they were compiled
+        // against, so only older minor versions of the same major load
+        const standard = reader.string();
+        const current = APLBytecode.standardVersion();
+        const [major, minor] = standard.split('.').map(Number);
+        const [currentMajor, currentMinor] = current.split('.').map(Number);
+        if (major !== currentMajor || minor > currentMinor) {
+            throw new APLBytecodeError(
+                `Bytecode was compiled against runic standard ${standard}, which runic standard ${current} cannot run. Recompile the program.`,
+                { format, standard });
+        }
+    }
+
+    instruction(functions) {
+        const byte = this.reader.u8();
+        const opcode = this.opcode(byte);
+
+        if (FUNCTION_OPCODES.includes(opcode)) {
+            const index = this.reader.varint();
+            if (!functions[index]) {
+                throw new APLBytecodeError(`Instruction refers to missing function ${index}`);
+            }
+            return { opcode, ...functions[index] };
+        }
+        return { opcode, ...this.object() };
+    }
+
+    opcode(byte) {
+        if (byte >= NAMED_BASE) {
+            const name = NAMED_OPCODES[byte - NAMED_BASE];
+            if (name && OPCODES[name] !== undefined) {
+                return OPCODES[name];
+            }
+        } else if (Object.values(OPCODES).includes(byte)) {
+            return byte;
+        }
+        throw new APLBytecodeError(`Unknown opcode byte 0x${byte.toString(16)}`);
+    }
+
+    list() {
+        const count = this.reader.varint();
+        const values = [];
+        for (let i = 0; i < count; i++) {
+            values.push(this.value());
+        }
+        return values;
+    }
+
+    object() {
+        const count = this.reader.varint();
+        const object = {};
+        for (let i = 0; i < count; i++) {
+            object[this.constant()] = this.value();
+        }
+        return object;
+    }
+
+    value() {
+        const tag = this.reader.u8();
+        switch (tag) {
+            case Tag.NULL: return null;
+            case Tag.FALSE: return false;
+            case Tag.TRUE: return true;
+            case Tag.INT: {
+                const zigzag = this.reader.varint();
+                return zigzag % 2 === 1 ? -(zigzag + 1) / 2 : zigzag / 2;
+            }
+            case Tag.CONSTANT: return this.constant();
+            case Tag.ARRAY: return this.list();
+            case Tag.OBJECT: return this.object();
+            default:
+                throw new APLBytecodeError(`Unknown value tag ${tag}`);
+        }
+    }
+
+    constant() {
+        const index = this.reader.varint();
+        if (index >= this.constants.length) {
+            throw new APLBytecodeError(`Constant ${index} is not in the constant pool`);
+        }
+        return this.constants[index];
+    }
+
+    // Decoded sections are checked before use so that corrupted bytes
+    // surface as an APLBytecodeError instead of a TypeError
+    record(value, what) {
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            throw new APLBytecodeError(`${what} is not an object`);
+        }
+        return value;
+    }
+
+    records(value, what) {
+        if (!Array.isArray(value)) {
+            throw new APLBytecodeError(`${what} is not an array`);
+        }
+        value.forEach((entry, index) => this.record(entry, `${what} entry ${index}`));
+        return value;
+    }
+
+    // The shape APLSourceMap looks positions up in
+    sourceMap(value) {
+        this.record(value, 'Source map');
+        this.records(value.sources, 'Source map sources');
+        this.records(value.functions, 'Source map functions');
+        if (!Array.isArray(value.mappings) || !value.mappings.every(mapping =>
+            Array.isArray(mapping) && mapping.length === 6 && mapping.every(Number.isInteger))) {
+            throw new APLBytecodeError('Source map mappings are not [pc, source, line, column, endLine, endColumn] lists');
+        }
+        value.functions.forEach((func, index) => {
+            if (!Number.isInteger(func.start) || !Number.isInteger(func.end) || !Array.isArray(func.locals)) {
+                throw new APLBytecodeError(`Source map function ${index} has no start, end and locals`);
+            }
+        });
+        if (!Array.isArray(value.globals)) {
+            throw new APLBytecodeError('Source map globals is not an array');
+        }
+        return value;
+    }
+
+    // Operations grouped by unit, as the code generator reports them
+    hardwareMap(operations) {
+        const map = {};
+        operations.forEach(operation => {
+            (map[operation.hardwareUnit] = map[operation.hardwareUnit] || []).push(operation);
+        });
+        return map;
+    }
+}
+
+APLBytecode.FORMAT_VERSION = FORMAT_VERSION;
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = APLBytecode;
+} else if (typeof window !== 'undefined') {
+    window.APLBytecode = APLBytecode;
+}
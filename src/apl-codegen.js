@@ -0,0 +1,803 @@
+/**
+ * APL Code Generator
+ * Lowers the compiler AST to the opcode stream executed by APLRuntime
+ * Version: 1.0.0
+ */
+
+const OPCODES = typeof require === 'function' ? require('./apl-opcodes') : window.APLOpcodes;
+const Diagnostics = typeof require === 'function' ? require('./apl-diagnostics') : window.APLDiagnostics;
+const APLSourceMap = typeof require === 'function' ? require('./apl-sourcemap') : window.APLSourceMap;
+
+// Hardware operations with a dedicated runtime opcode.
+// Every other operation is dispatched through HARDWARE_OP.
+const HARDWARE_OPCODES = {
+    QUANTUM_SUPERPOSITION: OPCODES.QUANTUM_INIT,
+    QUANTUM_GATE: OPCODES.QUANTUM_GATE,
+    ENTANGLEMENT: OPCODES.QUANTUM_ENTANGLE,
+    MEASUREMENT: OPCODES.QUANTUM_MEASURE
+};
+
+const BINARY_OPCODES = {
+    '+': OPCODES.ADD,
+    '-': OPCODES.SUB,
+    '*': OPCODES.MUL,
+    '/': OPCODES.DIV,
+    '==': OPCODES.EQ,
+    '!=': OPCODES.NE,
+    '<': OPCODES.LT,
+    '<=': OPCODES.LE,
+    '>': OPCODES.GT,
+    '>=': OPCODES.GE,
+    '..': OPCODES.RANGE
+};
+
+// Forward reference to an instruction address, patched once known
+class Label {
+    constructor() {
+        this.address = null;
+    }
+}
+
+class APLCodeGenerator {
+    constructor() {
+        this.instructions = [];
+        this.operations = [];
+        this.hardwareMap = {};
+
+        // Enclosing loops of the function being generated, innermost last
+        this.loops = [];
+
+        // Enclosing try statements of the function being generated,
+        // innermost last, and the body label of that function (null at
+        // the top level)
+        this.trys = [];
+        this.owner = null;
+
+        // Unwind table: where control goes when an instruction throws
+        this.handlers = [];
+
+        // Functions for the source map: { name, start, end, loc, locals }
+        // with label addresses
+        this.functions = [];
+
+        // Node being lowered; its source location is stamped on each
+        // emitted instruction
+        this.node = null;
+    }
+
+    /**
+     * Generate executable bytecode for a Program node. The value of a
+     * trailing expression is the program result unless `keepResult` is
+     * false. `globals`, `imports` and `exports` describe the module to
+     * the linker.
+     *
+     * `handlers` is the unwind table, innermost first: [{ start, end,
+     * handler, kind, owner, stack }]. An error thrown at a pc in
+     * [start, end) while running the function whose body starts at
+     * `owner` (null for top-level code) continues at `handler` with the
+     * operand stack cut back to `stack` entries above the frame's base.
+     * A 'catch' handler receives the error value, a 'finally' handler
+     * the error itself.
+     *
+     * `sourceMap` maps the code back to the source named by
+     * `options.file`, written in `options.mode` (see apl-sourcemap).
+     */
+    generate(ast, options = {}) {
+        this.natives = options.natives || {};
+        this.block(ast.body || [], options.keepResult !== false);
+        this.resolveLabels();
+
+        return {
+            operations: this.operations,
+            hardwareMap: this.hardwareMap,
+            executionPlan: this.instructions,
+            handlers: this.handlers,
+            globals: ast.frame ? ast.frame.slots : 0,
+            imports: ast.imports || [],
+            exports: ast.exports || {},
+            sourceMap: this.sourceMap(ast, options)
+        };
+    }
+
+    sourceMap(ast, options) {
+        const map = APLSourceMap.create({ file: options.file || null, mode: options.mode || 'ascii' });
+        this.instructions.forEach((instruction, pc) => {
+            const { loc } = instruction;
+            if (loc) {
+                map.mappings.push([pc, 0, loc.start.line, loc.start.column, loc.end.line, loc.end.column]);
+            }
+        });
+        map.functions = this.functions.map(({ name, start, end, loc, locals }) => ({
+            name,
+            start: start.address,
+            end: end.address,
+            source: 0,
+            line: loc ? loc.start.line : null,
+            column: loc ? loc.start.column : null,
+            locals
+        }));
+        map.globals = ast.frame ? [...ast.frame.locals] : [];
+        return map;
+    }
+
+    // ============================================
+    // EMISSION
+    // ============================================
+
+    emit(opcode, operands = {}) {
+        const instruction = { opcode, ...operands };
+        if (this.node && this.node.loc) {
+            instruction.loc = this.node.loc;
+        }
+        this.instructions.push(instruction);
+        return instruction;
+    }
+
+    visit(node, lower) {
+        const outer = this.node;
+        this.node = node;
+        try {
+            return lower();
+        } finally {
+            this.node = outer;
+        }
+    }
+
+    error(message, code = Diagnostics.Code.INTERNAL_ERROR) {
+        const error = new SyntaxError(message);
+        error.loc = this.node && this.node.loc ? this.node.loc : null;
+        error.code = code;
+        return error;
+    }
+
+    label() {
+        return new Label();
+    }
+
+    // Slot operands for a variable resolved by semantic analysis;
+    // without them the runtime looks the name up in memory
+    slot(binding) {
+        if (!binding) {
+            return {};
+        }
+        const operands = { slot: binding.slot, scope: binding.scope };
+        if (binding.depth !== undefined) {
+            operands.depth = binding.depth;
+        }
+        return operands;
+    }
+
+    mark(label) {
+        label.address = this.instructions.length;
+    }
+
+    resolveLabels() {
+        const resolve = (operands, where) => {
+            for (const [key, value] of Object.entries(operands)) {
+                if (value instanceof Label) {
+                    if (value.address === null) {
+                        throw new Error(`Unresolved jump target in ${where}`);
+                    }
+                    operands[key] = value.address;
+                }
+            }
+        };
+        this.instructions.forEach((instruction, pc) => resolve(instruction, `instruction ${pc}`));
+        this.handlers.forEach((handler, i) => resolve(handler, `handler ${i}`));
+    }
+
+    // ============================================
+    // STATEMENTS
+    // ============================================
+
+    /**
+     * Generate a statement list. Function declarations are hoisted so
+     * they can be called before the point where they appear.
+     * When keepLast is set, the value of a trailing expression statement
+     * is left on the stack as the block's result.
+     */
+    block(statements, keepLast = false) {
+        statements
+            .filter(node => node.type === 'FunctionDeclaration')
+            .forEach(node => this.functionDeclaration(node));
+
+        const rest = statements.filter(node =>
+            node.type !== 'FunctionDeclaration' && node.type !== 'Unknown' &&
+            node.type !== 'ImportDeclaration'
+        );
+
+        rest.forEach((node, i) => {
+            this.statement(node, keepLast && i === rest.length - 1);
+        });
+    }
+
+    statement(node, keepValue = false) {
+        return this.visit(node, () => {
+            switch (node.type) {
+                case 'VariableDeclaration':
+                    return this.variableDeclaration(node);
+                case 'ReturnStatement':
+                    return this.returnStatement(node);
+                case 'IfStatement':
+                    return this.ifStatement(node);
+                case 'WhileStatement':
+                    return this.whileStatement(node);
+                case 'ForInStatement':
+                    return this.forInStatement(node);
+                case 'BreakStatement':
+                    return this.breakStatement(node);
+                case 'ContinueStatement':
+                    return this.continueStatement(node);
+                case 'TryStatement':
+                    return this.tryStatement(node);
+                case 'ThrowStatement':
+                    this.expression(node.argument);
+                    return this.emit(OPCODES.THROW);
+                default:
+                    this.expression(node);
+                    if (!keepValue) {
+                        this.emit(OPCODES.POP);
+                    }
+            }
+        });
+    }
+
+    // Exported functions are also stored in their global slot. Functions
+    // declared in a block or function are closures kept in their slot.
+    functionDeclaration(node) {
+        return this.visit(node, () => {
+            if (node.local) {
+                this.lowerFunction(node, OPCODES.MAKE_CLOSURE);
+                this.emit(OPCODES.MEM_STORE, { target: node.name, ...this.slot(node.binding) });
+                return;
+            }
+            this.lowerFunction(node, OPCODES.FUNC_DECL);
+            if (node.exported) {
+                this.emit(OPCODES.FUNC_REF, { name: node.name });
+                this.emit(OPCODES.MEM_STORE, { target: node.name, ...this.slot(node.binding) });
+            }
+        });
+    }
+
+    /**
+     * FUNC_DECL registers a named function; MAKE_CLOSURE pushes a
+     * function value. Either way the body follows inline and is
+     * skipped until called.
+     */
+    lowerFunction(node, opcode) {
+        const end = this.label();
+
+        const params = node.params.map((param, i) => ({
+            name: typeof param === 'string' ? param : param.name,
+            ...(node.paramSlots ? { slot: node.paramSlots[i] } : {})
+        }));
+
+        this.emit(opcode, {
+            ...(node.name ? { name: node.name } : {}),
+            params,
+            ...(node.frame ? { slots: node.frame.slots } : {}),
+            end
+        });
+
+        // Loops and try statements do not extend across function
+        // boundaries
+        const outer = { loops: this.loops, trys: this.trys, owner: this.owner };
+        this.loops = [];
+        this.trys = [];
+        this.owner = this.label();
+        this.mark(this.owner);
+        this.functions.push({
+            name: node.name || null,
+            start: this.owner,
+            end,
+            loc: node.loc || null,
+            locals: node.frame ? [...node.frame.locals] : []
+        });
+        this.block(node.body);
+        Object.assign(this, outer);
+
+        // Implicit return for bodies that fall off the end
+        this.emit(OPCODES.PUSH_CONST, { value: null });
+        this.emit(OPCODES.RETURN);
+        this.mark(end);
+    }
+
+    variableDeclaration(node) {
+        if (node.init) {
+            this.expression(node.init);
+        } else {
+            this.emit(OPCODES.PUSH_CONST, { value: null });
+        }
+        this.emit(OPCODES.MEM_STORE, { target: node.name, ...this.slot(node.binding) });
+    }
+
+    returnStatement(node) {
+        // Drop the iterators of enclosing for-in loops before the
+        // return value goes on the stack
+        this.loops
+            .filter(loop => loop.iterator)
+            .forEach(() => this.emit(OPCODES.POP));
+
+        // A call whose result is returned straight away reuses the
+        // frame, unless a try statement still has to see its errors
+        const tail = node.argument && node.argument.type === 'CallExpression' &&
+            this.owner !== null && this.trys.length === 0;
+
+        if (tail) {
+            this.visit(node.argument, () => this.callExpression(node.argument, true));
+        } else if (node.argument) {
+            this.expression(node.argument);
+        } else {
+            this.emit(OPCODES.PUSH_CONST, { value: null });
+        }
+        this.leave(this.trys);
+        this.emit(OPCODES.RETURN);
+    }
+
+    ifStatement(node) {
+        const alternate = this.label();
+        const end = this.label();
+
+        this.expression(node.test);
+        this.emit(OPCODES.NOT);
+        this.emit(OPCODES.JUMP_IF, { target: node.alternate ? alternate : end });
+
+        this.block(node.consequent);
+
+        if (node.alternate) {
+            this.emit(OPCODES.JUMP, { target: end });
+            this.mark(alternate);
+            this.block(node.alternate);
+        }
+        this.mark(end);
+    }
+
+    whileStatement(node) {
+        const start = this.label();
+        const end = this.label();
+
+        this.mark(start);
+        this.expression(node.test);
+        this.emit(OPCODES.NOT);
+        this.emit(OPCODES.JUMP_IF, { target: end });
+
+        this.loop({ start, end, iterator: false }, node.body);
+        this.emit(OPCODES.JUMP, { target: start });
+        this.mark(end);
+    }
+
+    forInStatement(node) {
+        const start = this.label();
+        const end = this.label();
+
+        // LOOP turns the iterable on top of the stack into an iterator,
+        // binds the next item and exits to `end` once exhausted
+        this.expression(node.iterable);
+        this.mark(start);
+        this.emit(OPCODES.LOOP, { variable: node.variable, end, ...this.slot(node.binding) });
+
+        this.loop({ start, end, iterator: true }, node.body);
+        this.emit(OPCODES.LOOP_END, { start });
+        this.mark(end);
+    }
+
+    loop(context, body) {
+        this.loops.push(context);
+        this.block(body);
+        this.loops.pop();
+    }
+
+    breakStatement() {
+        const loop = this.loops[this.loops.length - 1];
+        if (!loop) {
+            throw this.error("'break' outside of a loop", Diagnostics.Code.JUMP_OUTSIDE_LOOP);
+        }
+        this.leave(this.trys.filter(context => context.loops === this.loops.length));
+
+        // Leaving a for-in early: discard its iterator first
+        if (loop.iterator) {
+            this.emit(OPCODES.POP);
+        }
+        this.emit(OPCODES.JUMP, { target: loop.end });
+    }
+
+    continueStatement() {
+        const loop = this.loops[this.loops.length - 1];
+        if (!loop) {
+            throw this.error("'continue' outside of a loop", Diagnostics.Code.JUMP_OUTSIDE_LOOP);
+        }
+        this.leave(this.trys.filter(context => context.loops === this.loops.length));
+        this.emit(OPCODES.JUMP, { target: loop.start });
+    }
+
+    /**
+     * The try block is covered by a 'catch' handler, which stores the
+     * error value in the catch name. With a finally block, the try and
+     * catch blocks are also covered by a 'finally' handler, which runs
+     * the finally block and throws the error on. The finally block is
+     * also emitted after the try statement and before any return, break
+     * or continue that leaves it.
+     */
+    tryStatement(node) {
+        const context = {
+            start: this.label(),
+            end: this.label(),
+            finalizer: node.finalizer,
+            loops: this.loops.length,
+            gaps: []
+        };
+        const stack = this.loops.filter(loop => loop.iterator).length;
+        const done = this.label();
+
+        this.trys.push(context);
+        this.mark(context.start);
+        this.block(node.block);
+        this.mark(context.end);
+        this.emit(OPCODES.JUMP, { target: done });
+
+        let covered = context.end;
+        if (node.handler) {
+            const handler = this.label();
+            this.mark(handler);
+            this.protect(context, context.end, { handler, kind: 'catch', stack });
+
+            this.visit(node.handler, () => {
+                if (node.handler.binding) {
+                    this.emit(OPCODES.MEM_STORE, { target: node.handler.param, ...this.slot(node.handler.binding) });
+                } else {
+                    this.emit(OPCODES.POP);
+                }
+                this.block(node.handler.body);
+            });
+            covered = this.label();
+            this.mark(covered);
+            this.emit(OPCODES.JUMP, { target: done });
+        }
+        this.trys.pop();
+
+        if (node.finalizer) {
+            const handler = this.label();
+            const error = this.slot(node.errorBinding);
+            this.mark(handler);
+            this.protect(context, covered, { handler, kind: 'finally', stack });
+
+            this.emit(OPCODES.MEM_STORE, { target: '(error)', ...error });
+            this.block(node.finalizer);
+            this.emit(OPCODES.MEM_LOAD, { source: '(error)', ...error });
+            this.emit(OPCODES.THROW);
+        }
+
+        this.mark(done);
+        if (node.finalizer) {
+            this.block(node.finalizer);
+        }
+    }
+
+    // Handler entries covering [context.start, end), minus the finally
+    // blocks emitted inside that range for jumps out of the statement
+    protect(context, end, entry) {
+        let start = context.start;
+        context.gaps.forEach(gap => {
+            this.handlers.push({ start, end: gap.start, ...entry, owner: this.owner });
+            start = gap.end;
+        });
+        this.handlers.push({ start, end, ...entry, owner: this.owner });
+    }
+
+    /**
+     * Run the finally blocks of the try statements a jump leaves,
+     * innermost first. Each copy is outside the statements it leaves,
+     * so an error thrown from it is not caught by them.
+     */
+    leave(contexts) {
+        const left = [...contexts].reverse();
+        left.forEach((context, i) => {
+            if (!context.finalizer) {
+                return;
+            }
+            const gap = { start: this.label(), end: this.label() };
+            this.mark(gap.start);
+
+            // A jump inside this finally block only leaves the outer
+            // statements
+            const inner = this.trys;
+            this.trys = this.trys.slice(0, this.trys.indexOf(context));
+            this.block(context.finalizer);
+            this.trys = inner;
+
+            this.mark(gap.end);
+            left.slice(0, i + 1).forEach(exited => exited.gaps.push(gap));
+        });
+    }
+
+    // ============================================
+    // EXPRESSIONS
+    // ============================================
+
+    expression(node) {
+        return this.visit(node, () => this.lowerExpression(node));
+    }
+
+    lowerExpression(node) {
+        switch (node.type) {
+            case 'NumberLiteral':
+            case 'StringLiteral':
+            case 'BooleanLiteral':
+            case 'NullLiteral':
+                return this.emit(OPCODES.PUSH_CONST, { value: node.value });
+
+            case 'Identifier':
+                if (node.function) {
+                    return this.emit(OPCODES.FUNC_REF, { name: node.name });
+                }
+                return this.emit(OPCODES.MEM_LOAD, { source: node.name, ...this.slot(node.binding) });
+
+            case 'AssignmentExpression':
+                if (node.left.type !== 'Identifier') {
+                    return this.elementAssignment(node);
+                }
+                this.expression(node.right);
+                this.emit(OPCODES.DUP);
+                return this.emit(OPCODES.MEM_STORE, { target: node.left.name, ...this.slot(node.left.binding) });
+
+            case 'ArrayExpression':
+                return this.elements(node.elements);
+
+            case 'MapExpression':
+                return this.mapExpression(node);
+
+            case 'IndexExpression':
+                this.expression(node.object);
+                this.expression(node.index);
+                return this.emit(OPCODES.INDEX_GET);
+
+            case 'MemberExpression':
+                this.expression(node.object);
+                this.emit(OPCODES.PUSH_CONST, { value: node.property });
+                return this.emit(OPCODES.INDEX_GET);
+
+            case 'MatchExpression':
+                return this.matchExpression(node);
+
+            case 'CallExpression':
+                return this.callExpression(node);
+
+            case 'FunctionExpression':
+                return this.lowerFunction(node, OPCODES.MAKE_CLOSURE);
+
+            case 'BinaryExpression':
+                this.expression(node.left);
+                this.expression(node.right);
+                return this.emit(BINARY_OPCODES[node.operator]);
+
+            case 'LogicalExpression':
+                return this.logicalExpression(node);
+
+            case 'UnaryExpression':
+                this.expression(node.argument);
+                return this.emit(node.operator === 'not' ? OPCODES.NOT : OPCODES.NEG);
+
+            case 'HardwareOperation':
+                return this.hardwareOperation(node);
+
+            default:
+                throw this.error(`Cannot generate code for ${node.type}`);
+        }
+    }
+
+    /**
+     * Declared functions and natives are called by name; other callees
+     * are evaluated below their arguments and called by value. With a
+     * spread argument the arguments are passed as a single array. A
+     * `tail` call to an APL function replaces the caller's frame.
+     * Natives are called with CALL_NATIVE, marked `pure` if registered
+     * as such.
+     */
+    callExpression(node, tail = false) {
+        const { callee } = node;
+        const named = callee.type === 'Identifier' && !callee.binding;
+        const spread = node.arguments.some(arg => arg.type === 'SpreadElement');
+
+        if (!named) {
+            this.expression(callee);
+        }
+        if (spread) {
+            this.elements(node.arguments);
+        } else {
+            node.arguments.forEach(arg => this.expression(arg));
+        }
+
+        const operands = spread
+            ? { argCount: 1, spread: true }
+            : { argCount: node.arguments.length };
+        if (named && callee.native) {
+            const native = this.natives[callee.name];
+            return this.emit(OPCODES.CALL_NATIVE, {
+                function: callee.name,
+                ...operands,
+                ...(native && native.pure ? { pure: true } : {})
+            });
+        }
+        if (tail) {
+            operands.tail = true;
+        }
+        if (named) {
+            return this.emit(OPCODES.CALL, { function: callee.name, ...operands });
+        }
+        return this.emit(OPCODES.CALL_VALUE, operands);
+    }
+
+    // MAKE_ARRAY lists the positions of spread elements in `spread`
+    elements(elements) {
+        const spread = [];
+        elements.forEach((element, i) => {
+            if (element.type === 'SpreadElement') {
+                spread.push(i);
+                this.expression(element.argument);
+            } else {
+                this.expression(element);
+            }
+        });
+        return this.emit(OPCODES.MAKE_ARRAY, { count: elements.length, spread });
+    }
+
+    // MAKE_MAP takes one value per key; a null key marks a spread map
+    mapExpression(node) {
+        const keys = node.entries.map(entry => {
+            this.expression(entry.type === 'MapEntry' ? entry.value : entry.argument);
+            return entry.type === 'MapEntry' ? entry.key : null;
+        });
+        return this.emit(OPCODES.MAKE_MAP, { keys });
+    }
+
+    // INDEX_SET stores into the container and pushes the value stored
+    elementAssignment(node) {
+        const { left } = node;
+        this.expression(left.object);
+        if (left.type === 'MemberExpression') {
+            this.emit(OPCODES.PUSH_CONST, { value: left.property });
+        } else {
+            this.expression(left.index);
+        }
+        this.expression(node.right);
+        return this.emit(OPCODES.INDEX_SET);
+    }
+
+    /**
+     * Each arm tests the subject with PATTERN_MATCH, binds its names
+     * with PATTERN_BIND and checks its guard; a failed step moves on to
+     * the next arm. When no arm matches the result is null.
+     */
+    matchExpression(node) {
+        const end = this.label();
+        const subject = { source: '(match)', ...this.slot(node.subjectBinding) };
+
+        this.expression(node.subject);
+        this.emit(OPCODES.MEM_STORE, { target: '(match)', ...this.slot(node.subjectBinding) });
+
+        node.arms.forEach(arm => this.visit(arm, () => {
+            const next = this.label();
+            const targets = [];
+            const pattern = this.pattern(arm.pattern, targets);
+
+            this.emit(OPCODES.MEM_LOAD, subject);
+            this.emit(OPCODES.PATTERN_MATCH, { pattern });
+            this.emit(OPCODES.NOT);
+            this.emit(OPCODES.JUMP_IF, { target: next });
+
+            if (targets.length > 0) {
+                this.emit(OPCODES.MEM_LOAD, subject);
+                this.emit(OPCODES.PATTERN_BIND, { pattern, targets });
+            }
+            if (arm.guard) {
+                this.expression(arm.guard);
+                this.emit(OPCODES.NOT);
+                this.emit(OPCODES.JUMP_IF, { target: next });
+            }
+
+            this.expression(arm.body);
+            this.emit(OPCODES.JUMP, { target: end });
+            this.mark(next);
+        }));
+
+        this.emit(OPCODES.PUSH_CONST, { value: null });
+        this.mark(end);
+    }
+
+    /**
+     * Runtime form of a pattern: { type: 'wildcard' | 'bind' | 'literal'
+     * | 'array' | 'map', ... }. Names bound by the pattern are added to
+     * `targets` in the order PATTERN_BIND captures them.
+     */
+    pattern(node, targets) {
+        switch (node.type) {
+            case 'WildcardPattern':
+                return { type: 'wildcard' };
+            case 'BindingPattern':
+                targets.push({ name: node.name, ...this.slot(node.binding) });
+                return { type: 'bind' };
+            case 'LiteralPattern':
+                return { type: 'literal', value: node.value };
+            case 'ArrayPattern':
+                return {
+                    type: 'array',
+                    elements: node.elements.map(element => this.pattern(element, targets)),
+                    rest: node.rest ? this.pattern(node.rest, targets) : null
+                };
+            case 'MapPattern':
+                return {
+                    type: 'map',
+                    entries: node.entries.map(entry => ({ key: entry.key, pattern: this.pattern(entry.pattern, targets) }))
+                };
+            default:
+                throw this.error(`Cannot generate code for ${node.type}`);
+        }
+    }
+
+    /**
+     * Short-circuit and/or: the left operand is the result unless the
+     * right operand has to be evaluated
+     */
+    logicalExpression(node) {
+        const end = this.label();
+
+        this.expression(node.left);
+        this.emit(OPCODES.DUP);
+        if (node.operator === 'and') {
+            this.emit(OPCODES.NOT);
+        }
+        this.emit(OPCODES.JUMP_IF, { target: end });
+        this.emit(OPCODES.POP);
+        this.expression(node.right);
+        this.mark(end);
+    }
+
+    hardwareOperation(node) {
+        node.params.forEach(param => this.expression(param));
+
+        const opcode = HARDWARE_OPCODES[node.operation];
+        const instruction = opcode !== undefined
+            ? this.emit(opcode, { argCount: node.params.length })
+            : this.emit(OPCODES.HARDWARE_OP, {
+                operation: node.operation,
+                hardwareUnit: node.hardwareUnit,
+                argCount: node.params.length
+            });
+
+        const op = {
+            operation: node.operation,
+            hardwareUnit: node.hardwareUnit,
+            params: node.params.map(param => this.describeParam(param)),
+            address: this.instructions.length - 1
+        };
+
+        this.operations.push(op);
+        if (!this.hardwareMap[node.hardwareUnit]) {
+            this.hardwareMap[node.hardwareUnit] = [];
+        }
+        this.hardwareMap[node.hardwareUnit].push(op);
+
+        return instruction;
+    }
+
+    // Static description of an operand, as reported in `operations`
+    describeParam(node) {
+        if (node.type === 'NumberLiteral') {
+            return { type: 'number', value: node.value };
+        }
+        if (node.type === 'StringLiteral') {
+            return { type: 'string', value: node.value };
+        }
+        if (node.type === 'Identifier') {
+            return { type: 'variable', name: node.name };
+        }
+        return { type: 'expression', nodeType: node.type };
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = APLCodeGenerator;
+} else if (typeof window !== 'undefined') {
+    window.APLCodeGenerator = APLCodeGenerator;
+}
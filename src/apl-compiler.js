@@ -1,130 +1,169 @@
 // APL (Aevov Programming Language) Compiler
-// Runic Alphabet Hardware-Mapped Programming Language for .aevQGâˆž
+// Runic Alphabet Hardware-Mapped Programming Language for .aevQG∞
 
 (function(global) {
     'use strict';
 
+    const APLCodeGenerator = typeof require === 'function'
+        ? require('./apl-codegen')
+        : global.APLCodeGenerator;
+    const Diagnostics = typeof require === 'function'
+        ? require('./apl-diagnostics')
+        : global.APLDiagnostics;
+    const APLSemanticAnalyzer = typeof require === 'function'
+        ? require('./apl-semantic')
+        : global.APLSemanticAnalyzer;
+    const APLTypeChecker = typeof require === 'function'
+        ? require('./apl-typecheck')
+        : global.APLTypeChecker;
+    const APLLinearityChecker = typeof require === 'function'
+        ? require('./apl-linearity')
+        : global.APLLinearityChecker;
+    const APLIR = typeof require === 'function'
+        ? require('./apl-ir')
+        : global.APLIR;
+    const APLOptimizer = typeof require === 'function'
+        ? require('./apl-optimizer')
+        : global.APLOptimizer;
+    const RunicRegistry = typeof require === 'function'
+        ? require('./runic-registry')
+        : global.APLRunicRegistry;
+
     const APLCompiler = {
         version: '1.0.0',
         
-        // Runic Alphabet to Hardware Operation Mapping
-        runicAlphabet: {
-            // Quantum Operations
-            'á›©': { op: 'QUANTUM_SUPERPOSITION', hw: 'QFU', desc: 'Quantum Superposition Engine' },
-            'á›œ': { op: 'QUANTUM_GATE', hw: 'QFU', desc: 'Quantum Gate Executor' },
-            'á™ ': { op: 'ENTANGLEMENT', hw: 'QFU', desc: 'Entanglement Generator' },
-            'á›ª': { op: 'QUANTUM_TELEPORT', hw: 'QFU', desc: 'Quantum Teleportation' },
-            
-            // Genetic Operations
-            'áš´': { op: 'GENETIC_CROSSOVER', hw: 'GEU', desc: 'Genetic Crossover Accelerator' },
-            'áš ': { op: 'FITNESS_EVAL', hw: 'GEU', desc: 'Fitness Evaluation Unit' },
-            'áš¥': { op: 'MUTATION', hw: 'GEU', desc: 'Variance/Mutation Generator' },
-            
-            // Neural Operations
-            'áš¾': { op: 'NEURAL_NETWORK', hw: 'NPU', desc: 'Neural Network Accelerator' },
-            'á›ˆ': { op: 'PATTERN_MATCH', hw: 'NPU', desc: 'Pattern Matching (BLOOM)' },
-            'á›': { op: 'TRIPARTITE_SYNAPSE', hw: 'NPU', desc: 'Tripartite Synapse Processor' },
-            'áš»': { op: 'HEBBIAN_LEARNING', hw: 'NPU', desc: 'Hebbian Learning Engine' },
-            
-            // Consciousness Operations
-            'áš³': { op: 'CONSCIOUSNESS', hw: 'CU', desc: 'Consciousness (Î¦) Calculator' },
-            'á›‡': { op: 'INFORMATION_INTEGRATION', hw: 'CU', desc: 'Information Integration' },
-            
-            // Symbolic Operations
-            'á›Š': { op: 'SYMBOLIC_REASONING', hw: 'SRE', desc: 'Symbolic Reasoning Engine' },
-            'á›•': { op: 'KNOWLEDGE_GRAPH', hw: 'SRE', desc: 'Knowledge Graph Processor' },
-            
-            // Resonance Operations
-            'á›Ÿ': { op: 'OSCILLATOR', hw: 'RU', desc: 'Oscillator (Resonance)' },
-            'áš±': { op: 'RESONANCE_SYNC', hw: 'RU', desc: 'Resonance Synchronizer' },
-            
-            // Memory Operations
-            'á›—': { op: 'MEMORY_ACCESS', hw: 'MU', desc: 'Memory Access (Quantum + Classical)' },
-            
-            // Coordination Operations
-            'á›ž': { op: 'DISTRIBUTE', hw: 'COORD', desc: 'Distribution Coordinator' },
-            'áš¢': { op: 'UNIFY', hw: 'COORD', desc: 'Unification (Neurosymbolic)' },
-            'á›‚': { op: 'BIND', hw: 'COORD', desc: 'Junction/Binding Unit' },
-            
-            // Control Flow
-            'áš¤': { op: 'LEARNING_RATE', hw: 'CTRL', desc: 'Learning Rate Modulator' },
-            'á›˜': { op: 'YIELD', hw: 'CTRL', desc: 'Yield (Concurrency)' },
-            'á›Ž': { op: 'INITIALIZE', hw: 'CTRL', desc: 'Zero/Initialize' },
-            
-            // Data Types
-            'áš¹': { op: 'WAVE_PROPAGATION', hw: 'NPU', desc: 'Wave Propagation' }
-        },
+        // Runic Alphabet to Hardware Operation Mapping (runic_standard.json)
+        runicAlphabet: RunicRegistry.runicAlphabet(),
 
         // Data Types
-        dataTypes: {
-            'á›œáš¢á›©áš¾á›áš¢á›—': 'Quantum',       // Quantum register
-            'á›Šá›ˆá›‡á›•á™ ': 'Spike',           // Spike event
-            'áš¾á™ áš¢áš±á›Ÿáš¾': 'Neuron',         // Spiking neuron
-            'á›Šá›˜áš¾á›©á›ˆá›Šá™ ': 'Synapse',       // Tripartite synapse
-            'á›‡áš¾á›': 'Int',                // Integer
-            'áš áš¤á›Ÿá›©á›': 'Float',           // Float
-            'á›‚á›Ÿá›Ÿáš¤': 'Bool',             // Boolean
-            'á›©áš±áš±á›©á›˜': 'Array',           // Array
-            'á›—á›©á›ˆ': 'Map',                // Map
-            'á›œá›Šá›á›©á›á™ ': 'QState',        // Quantum state
-            'á™ áš¾á›á›©áš¾á˜›áš¤á™ á›—á™ áš¾á›': 'EPR'     // EPR pair
-        },
+        dataTypes: RunicRegistry.dataTypes(),
 
         // Tokenizer
-        tokenize: function(code) {
+        // Lexical problems are recorded in `diagnostics` when one is
+        // given; otherwise the first error is thrown
+        tokenize: function(code, diagnostics) {
             const tokens = [];
+            const locate = this.createLocator(code);
             let i = 0;
+
+            const report = (error) => {
+                if (!diagnostics) {
+                    throw error;
+                }
+                diagnostics.fromError(error);
+            };
             
             while (i < code.length) {
                 const char = code[i];
+                const start = i;
+                const count = tokens.length;
+                let ascii, word;
                 
+                // Runic type words (ᛇᚾᛏ) are spelled with operation runes,
+                // so they are matched first
+                if ((word = this.matchTypeWord(code, i))) {
+                    tokens.push(this.typeToken(word));
+                    i += word.length;
+                }
                 // Check for runic symbols
-                if (this.runicAlphabet[char]) {
-                    tokens.push({
-                        type: 'RUNE',
-                        value: char,
-                        op: this.runicAlphabet[char]
-                    });
+                else if (this.runicAlphabet[char]) {
+                    tokens.push(this.runicToken(char));
                     i++;
                 }
-                // Check for data types
-                else if (char === 'á›œ' || char === 'á›Š' || char === 'áš¾') {
-                    let word = '';
-                    while (i < code.length && !this.isWhitespace(code[i]) && code[i] !== '(' && code[i] !== ')') {
-                        word += code[i];
+                // ASCII aliases (Q.super, T.int) yield the same tokens as
+                // their runic forms
+                else if ((ascii = this.matchAsciiAlias(code, i))) {
+                    tokens.push(this.aliasToken(RunicRegistry.resolve(ascii)));
+                    i += ascii.length;
+
+                    // Spellings from earlier standards still compile
+                    const deprecation = RunicRegistry.deprecation(ascii);
+                    if (deprecation && diagnostics) {
+                        diagnostics.warning(
+                            Diagnostics.Code.DEPRECATED_ALIAS,
+                            `'${ascii}' is deprecated since runic standard ${deprecation.since}; use '${deprecation.replacement}'`,
+                            this.span(locate, start, i),
+                            ['RunicMap.migrate() rewrites sources to the current standard']
+                        );
+                    }
+                }
+                // Comments
+                else if (char === '/' && code[i + 1] === '/') {
+                    while (i < code.length && code[i] !== '\n') {
                         i++;
                     }
-                    if (this.dataTypes[word]) {
-                        tokens.push({
-                            type: 'TYPE',
-                            value: word,
-                            dataType: this.dataTypes[word]
-                        });
+                }
+                else if (char === '/' && code[i + 1] === '*') {
+                    const end = code.indexOf('*/', i + 2);
+                    if (end === -1) {
+                        report(this.syntaxError(
+                            'Unterminated block comment',
+                            this.span(locate, i, i + 2),
+                            Diagnostics.Code.UNTERMINATED_COMMENT,
+                            ['Add a closing */']
+                        ));
+                        i = code.length;
                     } else {
-                        tokens.push({
-                            type: 'IDENTIFIER',
-                            value: word
-                        });
+                        i = end + 2;
                     }
                 }
+                // Range and spread operators
+                else if (char === '.' && code[i + 1] === '.') {
+                    const op = code[i + 2] === '.' ? '...' : '..';
+                    tokens.push({
+                        type: 'OPERATOR',
+                        value: op
+                    });
+                    i += op.length;
+                }
                 // Literals and operators
-                else if (this.isDigit(char)) {
-                    let num = '';
-                    while (i < code.length && (this.isDigit(code[i]) || code[i] === '.')) {
-                        num += code[i];
+                else if (this.startsNumber(code, i, tokens[tokens.length - 1])) {
+                    const start = i;
+                    if (code[i] === '-') {
+                        i++;
+                    }
+                    while (this.isDigit(code[i])) {
                         i++;
                     }
+                    // Fraction, but not the range operator in `0..10`
+                    if (code[i] === '.' && this.isDigit(code[i + 1])) {
+                        i++;
+                        while (this.isDigit(code[i])) {
+                            i++;
+                        }
+                    }
+                    // Exponent: 1e3, 1e-3, 2.5E+10
+                    if ((code[i] === 'e' || code[i] === 'E') &&
+                        (this.isDigit(code[i + 1]) ||
+                         ((code[i + 1] === '+' || code[i + 1] === '-') && this.isDigit(code[i + 2])))) {
+                        i += 2;
+                        while (this.isDigit(code[i])) {
+                            i++;
+                        }
+                    }
                     tokens.push({
                         type: 'NUMBER',
-                        value: parseFloat(num)
+                        value: parseFloat(code.slice(start, i))
+                    });
+                }
+                // Strings
+                else if (char === '"' || char === "'") {
+                    const literal = this.readString(code, i, locate);
+                    if (literal.error) {
+                        report(literal.error);
+                    }
+                    tokens.push({
+                        type: 'STRING',
+                        value: literal.value
                     });
+                    i = literal.end;
                 }
                 // Whitespace
                 else if (this.isWhitespace(char)) {
                     i++;
                 }
                 // Delimiters
-                else if (char === '(' || char === ')' || char === '{' || char === '}' || char === '[' || char === ']') {
+                else if (char === '(' || char === ')' || char === '{' || char === '}' || char === '[' || char === ']' || char === ',' || char === ':' || char === '.') {
                     tokens.push({
                         type: 'DELIMITER',
                         value: char
@@ -132,37 +171,260 @@
                     i++;
                 }
                 // Operators
-                else if (char === '+' || char === '-' || char === '*' || char === '/' || char === '=') {
+                else if (char === '+' || char === '-' || char === '*' || char === '/' ||
+                         char === '=' || char === '!' || char === '<' || char === '>') {
+                    let op = char;
+                    if (code[i + 1] === '=' && (char === '=' || char === '!' || char === '<' || char === '>')) {
+                        op += '=';
+                    } else if (char === '-' && code[i + 1] === '>') {
+                        op = '->';
+                    } else if (char === '=' && code[i + 1] === '>') {
+                        op = '=>';
+                    }
                     tokens.push({
                         type: 'OPERATOR',
-                        value: char
+                        value: op
                     });
-                    i++;
+                    i += op.length;
                 }
                 // Keywords
-                else if (this.isAlpha(char)) {
+                else if (this.isAlpha(char) || char === '_') {
                     let word = '';
                     while (i < code.length && (this.isAlpha(code[i]) || this.isDigit(code[i]) || code[i] === '_')) {
                         word += code[i];
                         i++;
                     }
+                    let type = 'IDENTIFIER';
+                    let value = word;
+                    if (word === 'true' || word === 'false') {
+                        type = 'BOOLEAN';
+                        value = word === 'true';
+                    } else if (word === 'null') {
+                        type = 'NULL';
+                        value = null;
+                    } else if (this.isKeyword(word)) {
+                        type = 'KEYWORD';
+                    } else if (this.isWordOperator(word)) {
+                        type = 'OPERATOR';
+                    }
                     tokens.push({
-                        type: this.isKeyword(word) ? 'KEYWORD' : 'IDENTIFIER',
-                        value: word
+                        type: type,
+                        value: value
                     });
                 }
+                // Anything else is skipped with a warning
                 else {
-                    i++;
+                    const symbol = String.fromCodePoint(code.codePointAt(i));
+                    i += symbol.length;
+                    if (diagnostics) {
+                        if (this.isRunic(symbol)) {
+                            diagnostics.warning(
+                                Diagnostics.Code.UNKNOWN_RUNE,
+                                `Unknown rune '${symbol}'`,
+                                this.span(locate, start, i),
+                                ['Supported runes are listed in runic_standard.json']
+                            );
+                        } else {
+                            diagnostics.warning(
+                                Diagnostics.Code.UNKNOWN_CHARACTER,
+                                `Unknown character '${symbol}'`,
+                                this.span(locate, start, i)
+                            );
+                        }
+                    }
+                }
+
+                // Every token carries its source span
+                if (tokens.length > count) {
+                    tokens[tokens.length - 1].loc = this.span(locate, start, i);
                 }
             }
             
             return tokens;
         },
 
+        runicToken: function(glyph) {
+            return {
+                type: 'RUNE',
+                value: glyph,
+                op: this.runicAlphabet[glyph]
+            };
+        },
+
+        // Token for an ASCII alias: the RUNE of an operation, or the
+        // TYPE of the runic type word a T.* alias names
+        aliasToken: function(entry) {
+            return RunicRegistry.isType(entry)
+                ? this.typeToken(entry.runic)
+                : this.runicToken(entry.glyph);
+        },
+
+        typeToken: function(word) {
+            return {
+                type: 'TYPE',
+                value: word,
+                dataType: this.dataTypes[word]
+            };
+        },
+
+        // Longest runic type word starting at `i`, or null
+        matchTypeWord: function(code, i) {
+            let longest = null;
+            for (const word of Object.keys(this.dataTypes)) {
+                if (code.startsWith(word, i) && (!longest || word.length > longest.length)) {
+                    longest = word;
+                }
+            }
+            return longest;
+        },
+
+        // Namespaced ASCII alias starting at `i` (e.g. Q.super), current
+        // or deprecated, or null
+        matchAsciiAlias: function(code, i) {
+            const match = /^[A-Z]\.[a-zA-Z_][a-zA-Z0-9_]*/.exec(code.slice(i, i + 32));
+            if (!match || !RunicRegistry.resolve(match[0])) {
+                return null;
+            }
+            return match[0];
+        },
+
+        // Map string indexes to positions: line is 1-based, column is
+        // 0-based, offset is the UTF-8 byte offset into the source (each
+        // rune is 3 bytes) and index the position in the source string
+        createLocator: function(code) {
+            const lineStarts = [0];
+            const byteOffsets = new Array(code.length + 1);
+            let bytes = 0;
+            for (let i = 0; i < code.length; i++) {
+                byteOffsets[i] = bytes;
+                const unit = code.charCodeAt(i);
+                // A surrogate pair is one 4-byte character
+                bytes += unit < 0x80 ? 1
+                    : unit < 0x800 ? 2
+                        : unit >= 0xD800 && unit <= 0xDBFF ? 4
+                            : unit >= 0xDC00 && unit <= 0xDFFF ? 0
+                                : 3;
+                if (code[i] === '\n') {
+                    lineStarts.push(i + 1);
+                }
+            }
+            byteOffsets[code.length] = bytes;
+
+            return (index) => {
+                let low = 0;
+                let high = lineStarts.length - 1;
+                while (low < high) {
+                    const mid = (low + high + 1) >> 1;
+                    if (lineStarts[mid] <= index) {
+                        low = mid;
+                    } else {
+                        high = mid - 1;
+                    }
+                }
+                return { line: low + 1, column: index - lineStarts[low], offset: byteOffsets[index], index: index };
+            };
+        },
+
+        span: function(locate, start, end) {
+            return { start: locate(start), end: locate(end) };
+        },
+
+        syntaxError: function(message, loc, code, hints) {
+            const error = new SyntaxError(message);
+            error.loc = loc || null;
+            error.code = code || Diagnostics.Code.UNEXPECTED_TOKEN;
+            error.hints = hints || [];
+            return error;
+        },
+
+        // A number starts with a digit, `.5`, or a minus sign glued to a
+        // digit where no operand precedes it (so `a-1` stays a subtraction)
+        startsNumber: function(code, i, previous) {
+            const char = code[i];
+            if (this.isDigit(char)) {
+                return true;
+            }
+            if (char === '.') {
+                return this.isDigit(code[i + 1]) && code[i - 1] !== '.';
+            }
+            if (char === '-' && (this.isDigit(code[i + 1]) || (code[i + 1] === '.' && this.isDigit(code[i + 2])))) {
+                return !previous ||
+                    previous.type === 'OPERATOR' ||
+                    previous.type === 'KEYWORD' ||
+                    (previous.type === 'DELIMITER' && previous.value !== ')' && previous.value !== ']' && previous.value !== '}');
+            }
+            return false;
+        },
+
+        escapes: {
+            'n': '\n',
+            't': '\t',
+            'r': '\r',
+            '0': '\0',
+            'b': '\b',
+            'f': '\f',
+            'v': '\v'
+        },
+
+        // Read a quoted string starting at `start`; returns its value, the
+        // index just past the closing quote and the first lexical error.
+        // Unterminated strings end at the line break so lexing can go on.
+        readString: function(code, start, locate) {
+            const quote = code[start];
+            let value = '';
+            let error = null;
+            let i = start + 1;
+
+            while (i < code.length && code[i] !== quote && code[i] !== '\n') {
+                if (code[i] === '\\') {
+                    const next = code[i + 1];
+                    if (next === 'u') {
+                        const hex = code.slice(i + 2, i + 6);
+                        if (/^[0-9a-fA-F]{4}$/.test(hex)) {
+                            value += String.fromCharCode(parseInt(hex, 16));
+                            i += 6;
+                        } else {
+                            error = error || this.syntaxError(
+                                `Invalid unicode escape: \\u${hex}`,
+                                this.span(locate, i, i + 2),
+                                Diagnostics.Code.INVALID_ESCAPE
+                            );
+                            i += 2;
+                        }
+                    } else {
+                        value += this.escapes[next] !== undefined ? this.escapes[next] : next;
+                        i += 2;
+                    }
+                } else {
+                    value += code[i];
+                    i++;
+                }
+            }
+
+            if (code[i] !== quote) {
+                return {
+                    value: value,
+                    end: i,
+                    error: this.syntaxError(
+                        'Unterminated string literal',
+                        this.span(locate, start, i),
+                        Diagnostics.Code.UNTERMINATED_STRING,
+                        [`Add a closing ${quote}`]
+                    )
+                };
+            }
+
+            return { value: value, end: i + 1, error: error };
+        },
+
         isWhitespace: function(char) {
             return /\s/.test(char);
         },
 
+        isRunic: function(char) {
+            return /[\u16A0-\u16FF\u1400-\u167F]/.test(char);
+        },
+
         isDigit: function(char) {
             return /[0-9]/.test(char);
         },
@@ -172,94 +434,958 @@
         },
 
         isKeyword: function(word) {
-            const keywords = ['function', 'if', 'else', 'for', 'while', 'return', 'let', 'const', 'var'];
+            const keywords = ['function', 'fn', 'if', 'else', 'for', 'in', 'while', 'break', 'continue', 'return', 'let', 'const', 'var', 'import', 'export', 'try', 'catch', 'finally', 'throw'];
             return keywords.includes(word);
         },
 
+        isWordOperator: function(word) {
+            return word === 'and' || word === 'or' || word === 'not';
+        },
+
+        // Binary operator precedence (higher binds tighter)
+        precedence: {
+            'or': 1,
+            'and': 2,
+            '==': 4, '!=': 4,
+            '<': 5, '<=': 5, '>': 5, '>=': 5,
+            '..': 6,
+            '+': 7, '-': 7,
+            '*': 8, '/': 8
+        },
+
+        // Statements that can follow a syntax error
+        statementKeywords: ['function', 'fn', 'if', 'for', 'while', 'return', 'break', 'continue', 'let', 'const', 'var', 'import', 'export', 'try', 'throw'],
+
         // Parser - Build AST
-        parse: function(tokens) {
+        // With a diagnostics collector, syntax errors are recorded and
+        // parsing resumes at the next statement; otherwise the first throws
+        parse: function(tokens, diagnostics) {
             let current = 0;
+            let depth = 0;
+            const statementKeywords = this.statementKeywords;
+            const precedence = this.precedence;
+            const NOT_PRECEDENCE = 3;
+            const UNARY_PRECEDENCE = 9;
+
+            const peek = () => tokens[current];
+
+            // Punctuation and operators are matched by value; other token
+            // types (identifiers, numbers) never count as punctuation
+            const check = (value) => {
+                const token = tokens[current];
+                return !!token && (token.type === 'DELIMITER' || token.type === 'OPERATOR') && token.value === value;
+            };
+
+            const checkKeyword = (value) => {
+                const token = tokens[current];
+                return !!token && token.type === 'KEYWORD' && token.value === value;
+            };
+
+            const describe = (token) => token ? `'${token.value}'` : 'end of input';
+
+            // Syntax error at the current token, or at the end of input
+            const error = (message, code) => {
+                const token = tokens[current];
+                const last = tokens[tokens.length - 1];
+                let loc = null;
+                if (token && token.loc) {
+                    loc = token.loc;
+                } else if (last && last.loc) {
+                    loc = { start: last.loc.end, end: last.loc.end };
+                }
+                return this.syntaxError(message, loc, code);
+            };
+
+            // Attach the span from `start` to the last consumed token
+            const finish = (node, start) => {
+                const first = start && start.loc;
+                const last = tokens[current - 1] && tokens[current - 1].loc;
+                if (first && last) {
+                    node.loc = { start: first.start, end: last.end };
+                }
+                return node;
+            };
+
+            const expect = (value) => {
+                if (!check(value)) {
+                    throw error(`Expected '${value}' but found ${describe(peek())}`, Diagnostics.Code.EXPECTED_TOKEN);
+                }
+                return tokens[current++];
+            };
+
+            const startsExpression = (token) => {
+                if (!token) return false;
+                if (token.type === 'NUMBER' || token.type === 'STRING' || token.type === 'BOOLEAN' ||
+                    token.type === 'NULL' || token.type === 'IDENTIFIER' || token.type === 'RUNE') return true;
+                if (token.type === 'KEYWORD' && (token.value === 'fn' || token.value === 'function')) return true;
+                return (token.type === 'DELIMITER' && (token.value === '(' || token.value === '[' || token.value === '{')) ||
+                    (token.type === 'OPERATOR' && (token.value === '-' || token.value === 'not'));
+            };
+
+            // Comma-separated items up to `close`; a trailing comma is allowed
+            const list = (open, close, item) => {
+                expect(open);
+                const items = [];
+                while (peek() && !check(close)) {
+                    items.push(item());
+                    if (!check(close)) {
+                        expect(',');
+                    }
+                }
+                expect(close);
+                return items;
+            };
+
+            // expr or ...expr
+            const element = () => {
+                const start = peek();
+                if (check('...')) {
+                    current++;
+                    return finish({
+                        type: 'SpreadElement',
+                        argument: expression()
+                    }, start);
+                }
+                return expression();
+            };
 
-            const walk = () => {
-                let token = tokens[current];
+            // ( expr, ...expr, ... )
+            const argumentList = () => list('(', ')', element);
+
+            // key: value or ...map; keys are names, strings or numbers.
+            // Number keys stay numbers so that m[1] finds {1: ...}.
+            const mapEntry = () => {
+                const start = peek();
+                if (check('...')) {
+                    return element();
+                }
+                if (!start || !['IDENTIFIER', 'STRING', 'NUMBER', 'KEYWORD', 'BOOLEAN', 'NULL'].includes(start.type)) {
+                    throw error(`Expected map key but found ${describe(start)}`, Diagnostics.Code.EXPECTED_TOKEN);
+                }
+                current++;
+                expect(':');
+                return finish({
+                    type: 'MapEntry',
+                    key: start.type === 'NUMBER' ? start.value : String(start.value),
+                    value: expression()
+                }, start);
+            };
+
+            const primary = () => {
+                const token = peek();
+
+                if (!token) {
+                    throw error('Unexpected end of input');
+                }
 
                 if (token.type === 'NUMBER') {
                     current++;
-                    return {
+                    return finish({
                         type: 'NumberLiteral',
                         value: token.value
-                    };
+                    }, token);
+                }
+
+                if (token.type === 'STRING') {
+                    current++;
+                    return finish({
+                        type: 'StringLiteral',
+                        value: token.value
+                    }, token);
+                }
+
+                if (token.type === 'BOOLEAN') {
+                    current++;
+                    return finish({
+                        type: 'BooleanLiteral',
+                        value: token.value
+                    }, token);
+                }
+
+                if (token.type === 'NULL') {
+                    current++;
+                    return finish({
+                        type: 'NullLiteral',
+                        value: null
+                    }, token);
                 }
 
                 if (token.type === 'RUNE') {
                     current++;
-                    const node = {
+                    const params = check('(') ? argumentList() : [];
+                    const spread = params.find(param => param.type === 'SpreadElement');
+                    if (spread) {
+                        throw this.syntaxError('Hardware operations take a fixed number of arguments',
+                            spread.loc || null, Diagnostics.Code.UNEXPECTED_TOKEN, ['Pass the arguments one by one']);
+                    }
+                    return finish({
                         type: 'HardwareOperation',
                         operation: token.op.op,
                         hardwareUnit: token.op.hw,
                         description: token.op.desc,
-                        params: []
-                    };
-
-                    // Check for parameters
-                    if (tokens[current] && tokens[current].value === '(') {
-                        current++; // skip (
-                        while (tokens[current] && tokens[current].value !== ')') {
-                            node.params.push(walk());
-                            if (tokens[current] && tokens[current].value === ',') {
-                                current++;
-                            }
-                        }
-                        current++; // skip )
-                    }
-
-                    return node;
+                        params: params
+                    }, token);
                 }
 
                 if (token.type === 'IDENTIFIER') {
+                    if (tokens[current + 1] && tokens[current + 1].type === 'OPERATOR' &&
+                        tokens[current + 1].value === '=>') {
+                        return arrowFunction();
+                    }
+                    const match = token.value === 'match' ? matchExpression() : null;
+                    if (match) {
+                        return match;
+                    }
                     current++;
-                    return {
+                    return finish({
                         type: 'Identifier',
                         name: token.value
-                    };
+                    }, token);
+                }
+
+                if (checkKeyword('fn') || checkKeyword('function')) {
+                    return functionExpression();
+                }
+
+                if (check('(') && startsArrowFunction()) {
+                    return arrowFunction();
+                }
+
+                if (check('[')) {
+                    return finish({
+                        type: 'ArrayExpression',
+                        elements: list('[', ']', element)
+                    }, token);
+                }
+
+                if (check('{')) {
+                    return finish({
+                        type: 'MapExpression',
+                        entries: list('{', '}', mapEntry)
+                    }, token);
                 }
 
-                if (token.type === 'KEYWORD' && token.value === 'function') {
-                    current++; // skip 'function'
-                    const name = tokens[current].value;
-                    current++; // skip name
+                if (check('(')) {
                     current++; // skip (
-                    
-                    const params = [];
-                    while (tokens[current] && tokens[current].value !== ')') {
-                        params.push(tokens[current].value);
+                    const expr = expression();
+                    expect(')');
+                    return expr;
+                }
+
+                throw error(`Unexpected token ${describe(token)}`);
+            };
+
+            // `match` is an ordinary name unless a subject and '{' follow
+            // it on the same line: match value { pattern [if guard] => expr, ... }
+            const matchExpression = () => {
+                const start = peek();
+                const next = tokens[current + 1];
+                if (!startsExpression(next) || !start.loc || !next.loc ||
+                    next.loc.start.line !== start.loc.end.line) {
+                    return null;
+                }
+
+                const saved = current++; // skip 'match'
+                let subject;
+                try {
+                    subject = expression();
+                } catch (err) {
+                    if (!(err instanceof SyntaxError)) throw err;
+                    subject = null;
+                }
+                if (!subject || !check('{')) {
+                    current = saved;
+                    return null;
+                }
+
+                current++; // skip {
+                const arms = [];
+                while (peek() && !check('}')) {
+                    const armStart = peek();
+                    const pattern = matchPattern();
+                    let guard = null;
+                    if (checkKeyword('if')) {
+                        current++; // skip 'if'
+                        guard = expression();
+                    }
+                    expect('=>');
+                    arms.push(finish({
+                        type: 'MatchArm',
+                        pattern: pattern,
+                        guard: guard,
+                        body: expression()
+                    }, armStart));
+                    if (check(',')) {
                         current++;
-                        if (tokens[current] && tokens[current].value === ',') {
-                            current++;
+                    }
+                }
+                expect('}');
+
+                return finish({
+                    type: 'MatchExpression',
+                    subject: subject,
+                    arms: arms
+                }, start);
+            };
+
+            // _ | name | literal | [p, ...rest] | {key: p, name}
+            const matchPattern = () => {
+                const token = peek();
+
+                if (token && token.type === 'IDENTIFIER') {
+                    current++;
+                    return finish(token.value === '_'
+                        ? { type: 'WildcardPattern' }
+                        : { type: 'BindingPattern', name: token.value }, token);
+                }
+
+                if (token && ['NUMBER', 'STRING', 'BOOLEAN', 'NULL'].includes(token.type)) {
+                    current++;
+                    return finish({ type: 'LiteralPattern', value: token.value }, token);
+                }
+
+                if (check('-') && tokens[current + 1] && tokens[current + 1].type === 'NUMBER') {
+                    current += 2;
+                    return finish({ type: 'LiteralPattern', value: -tokens[current - 1].value }, token);
+                }
+
+                if (check('[')) {
+                    let rest = null;
+                    const elements = list('[', ']', () => {
+                        if (rest) {
+                            throw error('A rest pattern must come last', Diagnostics.Code.UNEXPECTED_TOKEN);
+                        }
+                        if (check('...')) {
+                            current++; // skip ...
+                            rest = matchPattern();
+                            if (rest.type !== 'BindingPattern' && rest.type !== 'WildcardPattern') {
+                                throw this.syntaxError('A rest pattern must be a name or _', rest.loc || null,
+                                    Diagnostics.Code.UNEXPECTED_TOKEN);
+                            }
+                            return null;
+                        }
+                        return matchPattern();
+                    });
+                    return finish({
+                        type: 'ArrayPattern',
+                        elements: elements.filter(element => element !== null),
+                        rest: rest
+                    }, token);
+                }
+
+                if (check('{')) {
+                    const entries = list('{', '}', () => {
+                        const key = peek();
+                        if (!key || !['IDENTIFIER', 'STRING', 'NUMBER', 'KEYWORD'].includes(key.type)) {
+                            throw error(`Expected map key but found ${describe(key)}`, Diagnostics.Code.EXPECTED_TOKEN);
                         }
+                        current++;
+                        // {t} is short for {t: t}
+                        if (key.type === 'IDENTIFIER' && !check(':')) {
+                            return { key: key.value, pattern: finish({ type: 'BindingPattern', name: key.value }, key) };
+                        }
+                        expect(':');
+                        return { key: key.type === 'NUMBER' ? key.value : String(key.value), pattern: matchPattern() };
+                    });
+                    return finish({ type: 'MapPattern', entries: entries }, token);
+                }
+
+                throw error(`Expected pattern but found ${describe(token)}`, Diagnostics.Code.EXPECTED_TOKEN);
+            };
+
+            // Calls and indexing chain onto any expression when '(' or '['
+            // follows on the same line: f(x), make_adder(1)(2), rows[i][j];
+            // member access may continue on the next line
+            const call = () => {
+                const start = peek();
+                let expr = primary();
+
+                while (true) {
+                    if (check('(') && onSameLine()) {
+                        expr = finish({
+                            type: 'CallExpression',
+                            callee: expr,
+                            arguments: argumentList()
+                        }, start);
+                    } else if (check('[') && onSameLine()) {
+                        current++; // skip [
+                        const index = expression();
+                        expect(']');
+                        expr = finish({
+                            type: 'IndexExpression',
+                            object: expr,
+                            index: index
+                        }, start);
+                    } else if (check('.')) {
+                        current++; // skip .
+                        const property = peek();
+                        if (!property || (property.type !== 'IDENTIFIER' && property.type !== 'KEYWORD')) {
+                            throw error(`Expected property name but found ${describe(property)}`, Diagnostics.Code.EXPECTED_TOKEN);
+                        }
+                        current++;
+                        expr = finish({
+                            type: 'MemberExpression',
+                            object: expr,
+                            property: property.value
+                        }, start);
+                    } else {
+                        return expr;
                     }
-                    current++; // skip )
-                    current++; // skip {
-                    
-                    const body = [];
-                    while (tokens[current] && tokens[current].value !== '}') {
-                        body.push(walk());
+                }
+            };
+
+            const onSameLine = () => {
+                const token = tokens[current];
+                const previous = tokens[current - 1];
+                return !(previous && previous.loc && token.loc) ||
+                    token.loc.start.line === previous.loc.end.line;
+            };
+
+            // '(' opens an arrow function's parameters when the matching
+            // ')' is followed by '=>'
+            const startsArrowFunction = () => {
+                let nesting = 0;
+                for (let i = current; i < tokens.length; i++) {
+                    const token = tokens[i];
+                    if (token.type !== 'DELIMITER') continue;
+                    if (token.value === '(') nesting++;
+                    if (token.value === ')' && --nesting === 0) {
+                        const next = tokens[i + 1];
+                        return !!next && next.type === 'OPERATOR' && next.value === '=>';
                     }
-                    current++; // skip }
+                }
+                return false;
+            };
+
+            // Precedence climbing over the binary operator table
+            const binary = (minPrecedence) => {
+                const start = peek();
+                let left;
 
-                    return {
-                        type: 'FunctionDeclaration',
-                        name: name,
-                        params: params,
-                        body: body
-                    };
+                if (check('not')) {
+                    current++;
+                    left = finish({
+                        type: 'UnaryExpression',
+                        operator: 'not',
+                        argument: binary(NOT_PRECEDENCE)
+                    }, start);
+                } else if (check('-')) {
+                    current++;
+                    left = finish({
+                        type: 'UnaryExpression',
+                        operator: '-',
+                        argument: binary(UNARY_PRECEDENCE)
+                    }, start);
+                } else {
+                    left = call();
                 }
 
+                while (true) {
+                    const token = peek();
+                    const tokenPrecedence = token && token.type === 'OPERATOR'
+                        ? precedence[token.value]
+                        : undefined;
+
+                    if (tokenPrecedence === undefined || tokenPrecedence < minPrecedence) {
+                        break;
+                    }
+
+                    current++;
+                    left = finish({
+                        type: token.value === 'and' || token.value === 'or' ? 'LogicalExpression' : 'BinaryExpression',
+                        operator: token.value,
+                        left: left,
+                        right: binary(tokenPrecedence + 1)
+                    }, start);
+                }
+
+                return left;
+            };
+
+            // Assignment is right-associative and binds loosest
+            const expression = () => {
+                const start = peek();
+                const left = binary(1);
+
+                if (check('=')) {
+                    current++; // skip =
+                    if (!['Identifier', 'IndexExpression', 'MemberExpression'].includes(left.type)) {
+                        throw this.syntaxError(
+                            'Invalid assignment target',
+                            left.loc || null,
+                            Diagnostics.Code.INVALID_ASSIGNMENT,
+                            ['Only variables, indexes and members can be assigned to']
+                        );
+                    }
+                    return finish({
+                        type: 'AssignmentExpression',
+                        operator: '=',
+                        left: left,
+                        right: expression()
+                    }, start);
+                }
+
+                return left;
+            };
+
+            // Type after ':' or '->': a name (Int, QReg), a T.* alias or
+            // a runic type word
+            const typeAnnotation = () => {
+                const token = peek();
+                if (token && (token.type === 'TYPE' || token.type === 'IDENTIFIER')) {
+                    current++;
+                    return finish({
+                        type: 'TypeAnnotation',
+                        name: token.type === 'TYPE' ? token.dataType : token.value
+                    }, token);
+                }
+                throw error(`Expected type name but found ${describe(token)}`, Diagnostics.Code.EXPECTED_TOKEN);
+            };
+
+            const optionalAnnotation = (marker) => {
+                if (!check(marker)) {
+                    return null;
+                }
+                current++; // skip marker
+                return typeAnnotation();
+            };
+
+            const block = () => {
+                expect('{');
+                const body = [];
+                depth++;
+                try {
+                    while (peek() && !check('}')) {
+                        statementInto(body);
+                    }
+                } finally {
+                    depth--;
+                }
+                expect('}');
+                return body;
+            };
+
+            // ( name[: Type], ... )
+            const parameterList = () => {
+                expect('(');
+                const params = [];
+                const paramTypes = [];
+                while (peek() && !check(')')) {
+                    const param = peek();
+                    if (param.type !== 'IDENTIFIER') {
+                        throw error(`Expected parameter name but found ${describe(param)}`, Diagnostics.Code.EXPECTED_TOKEN);
+                    }
+                    params.push(param.value);
+                    current++;
+                    paramTypes.push(optionalAnnotation(':'));
+                    if (!check(')')) {
+                        expect(',');
+                    }
+                }
+                expect(')');
+                return { params, paramTypes };
+            };
+
+            const functionDeclaration = () => {
+                const start = tokens[current++]; // skip 'function' or 'fn'
+                const name = peek();
+                if (!name || name.type !== 'IDENTIFIER') {
+                    throw error(`Expected function name but found ${describe(name)}`, Diagnostics.Code.EXPECTED_TOKEN);
+                }
                 current++;
-                return {
-                    type: 'Unknown',
-                    value: token
-                };
+
+                const { params, paramTypes } = parameterList();
+                const returnType = optionalAnnotation('->');
+
+                return finish({
+                    type: 'FunctionDeclaration',
+                    name: name.value,
+                    params: params,
+                    paramTypes: paramTypes,
+                    returnType: returnType,
+                    body: block()
+                }, start);
+            };
+
+            // fn(params) [-> Type] { ... }
+            const functionExpression = () => {
+                const start = tokens[current++]; // skip 'function' or 'fn'
+                const { params, paramTypes } = parameterList();
+                const returnType = optionalAnnotation('->');
+
+                return finish({
+                    type: 'FunctionExpression',
+                    params: params,
+                    paramTypes: paramTypes,
+                    returnType: returnType,
+                    body: block()
+                }, start);
+            };
+
+            // x => expr, (a, b) => expr; the body is returned. A '{' after
+            // '=>' starts a map literal when it is empty or its first entry
+            // is `key:` or `...spread`, and a block body otherwise
+            const arrowFunction = () => {
+                const start = peek();
+                let signature;
+                if (check('(')) {
+                    signature = parameterList();
+                } else {
+                    signature = { params: [tokens[current++].value], paramTypes: [null] };
+                }
+                expect('=>');
+
+                const bodyStart = peek();
+                let body;
+                if (check('{') && !startsMapLiteral()) {
+                    body = block();
+                } else {
+                    body = [finish({ type: 'ReturnStatement', argument: expression() }, bodyStart)];
+                }
+                return finish({
+                    type: 'FunctionExpression',
+                    params: signature.params,
+                    paramTypes: signature.paramTypes,
+                    returnType: null,
+                    body
+                }, start);
+            };
+
+            const startsMapLiteral = () => {
+                const punctuation = (token, value) => !!token &&
+                    (token.type === 'DELIMITER' || token.type === 'OPERATOR') && token.value === value;
+                const next = tokens[current + 1];
+                return !next || punctuation(next, '}') || punctuation(next, '...') ||
+                    punctuation(tokens[current + 2], ':');
+            };
+
+            // let/const/var name[: Type] [= expr]; constants need an initializer
+            const variableDeclaration = () => {
+                const start = tokens[current++]; // skip let/const/var
+                const name = peek();
+                if (!name || name.type !== 'IDENTIFIER') {
+                    throw error(`Expected variable name but found ${describe(name)}`, Diagnostics.Code.EXPECTED_TOKEN);
+                }
+                current++;
+                const annotation = optionalAnnotation(':');
+
+                let init = null;
+                if (check('=')) {
+                    current++; // skip =
+                    init = expression();
+                } else if (start.value === 'const') {
+                    throw error(`Expected '=' after constant '${name.value}'`, Diagnostics.Code.EXPECTED_TOKEN);
+                }
+
+                return finish({
+                    type: 'VariableDeclaration',
+                    kind: start.value,
+                    name: name.value,
+                    typeAnnotation: annotation,
+                    init: init
+                }, start);
+            };
+
+            const ifStatement = () => {
+                const start = tokens[current++]; // skip 'if'
+                const test = expression();
+                const consequent = block();
+                let alternate = null;
+
+                if (checkKeyword('else')) {
+                    current++; // skip 'else'
+                    alternate = checkKeyword('if') ? [ifStatement()] : block();
+                }
+
+                return finish({
+                    type: 'IfStatement',
+                    test: test,
+                    consequent: consequent,
+                    alternate: alternate
+                }, start);
+            };
+
+            const whileStatement = () => {
+                const start = tokens[current++]; // skip 'while'
+                return finish({
+                    type: 'WhileStatement',
+                    test: expression(),
+                    body: block()
+                }, start);
+            };
+
+            // try { ... } catch (e) { ... } finally { ... }; the catch
+            // binding is optional and either clause may be left out
+            const tryStatement = () => {
+                const start = tokens[current++]; // skip 'try'
+                const body = block();
+                let handler = null;
+                let finalizer = null;
+
+                if (checkKeyword('catch')) {
+                    const clause = tokens[current++]; // skip 'catch'
+                    let param = null;
+                    if (check('(')) {
+                        current++; // skip (
+                        const name = peek();
+                        if (!name || name.type !== 'IDENTIFIER') {
+                            throw error(`Expected error name but found ${describe(name)}`, Diagnostics.Code.EXPECTED_TOKEN);
+                        }
+                        current++;
+                        param = name.value;
+                        expect(')');
+                    }
+                    handler = finish({
+                        type: 'CatchClause',
+                        param: param,
+                        body: block()
+                    }, clause);
+                }
+
+                if (checkKeyword('finally')) {
+                    current++; // skip 'finally'
+                    finalizer = block();
+                }
+
+                if (!handler && !finalizer) {
+                    throw error(`Expected 'catch' or 'finally' but found ${describe(peek())}`, Diagnostics.Code.EXPECTED_TOKEN);
+                }
+
+                return finish({
+                    type: 'TryStatement',
+                    block: body,
+                    handler: handler,
+                    finalizer: finalizer
+                }, start);
+            };
+
+            // for item in iterable { ... }
+            const forInStatement = () => {
+                const start = tokens[current++]; // skip 'for'
+                const variable = peek();
+                if (!variable || variable.type !== 'IDENTIFIER') {
+                    throw error(`Expected loop variable but found ${describe(variable)}`, Diagnostics.Code.EXPECTED_TOKEN);
+                }
+                current++;
+
+                if (!checkKeyword('in')) {
+                    throw error(`Expected 'in' but found ${describe(peek())}`, Diagnostics.Code.EXPECTED_TOKEN);
+                }
+                current++; // skip 'in'
+
+                return finish({
+                    type: 'ForInStatement',
+                    variable: variable.value,
+                    iterable: expression(),
+                    body: block()
+                }, start);
+            };
+
+            // `from` and `as` are only keywords inside an import
+            const checkWord = (value) => {
+                const token = tokens[current];
+                return !!token && token.type === 'IDENTIFIER' && token.value === value;
+            };
+
+            const moduleSource = () => {
+                const source = peek();
+                if (!source || source.type !== 'STRING') {
+                    throw error(`Expected module path but found ${describe(source)}`, Diagnostics.Code.EXPECTED_TOKEN);
+                }
+                current++;
+                return source.value;
+            };
+
+            // name [as local]
+            const importSpecifier = () => {
+                const start = peek();
+                if (!start || start.type !== 'IDENTIFIER') {
+                    throw error(`Expected imported name but found ${describe(start)}`, Diagnostics.Code.EXPECTED_TOKEN);
+                }
+                current++;
+                let local = start.value;
+                if (checkWord('as')) {
+                    current++; // skip 'as'
+                    const alias = peek();
+                    if (!alias || alias.type !== 'IDENTIFIER') {
+                        throw error(`Expected local name but found ${describe(alias)}`, Diagnostics.Code.EXPECTED_TOKEN);
+                    }
+                    current++;
+                    local = alias.value;
+                }
+                return finish({
+                    type: 'ImportSpecifier',
+                    imported: start.value,
+                    local: local
+                }, start);
+            };
+
+            // Modules are only imported and exported at the top level
+            const topLevel = (keyword) => {
+                if (depth > 0) {
+                    throw error(`'${keyword}' is only allowed at the top level of a module`, Diagnostics.Code.UNEXPECTED_TOKEN);
+                }
+            };
+
+            // import { a, b as c } from "path" | import "path"
+            const importDeclaration = () => {
+                topLevel('import');
+                const start = tokens[current++]; // skip 'import'
+                let specifiers = [];
+                if (check('{')) {
+                    specifiers = list('{', '}', importSpecifier);
+                    if (!checkWord('from')) {
+                        throw error(`Expected 'from' but found ${describe(peek())}`, Diagnostics.Code.EXPECTED_TOKEN);
+                    }
+                    current++; // skip 'from'
+                }
+                return finish({
+                    type: 'ImportDeclaration',
+                    specifiers: specifiers,
+                    source: moduleSource()
+                }, start);
+            };
+
+            // export fn name(...) { ... } | export let/const/var name = ...
+            const exportDeclaration = () => {
+                topLevel('export');
+                const start = tokens[current++]; // skip 'export'
+                let declaration;
+                if ((checkKeyword('function') || checkKeyword('fn')) &&
+                    tokens[current + 1] && tokens[current + 1].type === 'IDENTIFIER') {
+                    declaration = functionDeclaration();
+                } else if (checkKeyword('let') || checkKeyword('const') || checkKeyword('var')) {
+                    declaration = variableDeclaration();
+                } else {
+                    throw error(`Expected a function or variable declaration after 'export' but found ${describe(peek())}`,
+                        Diagnostics.Code.EXPECTED_TOKEN);
+                }
+                declaration.exported = true;
+                return finish(declaration, start);
+            };
+
+            const statement = () => {
+                const token = peek();
+
+                if (checkKeyword('import')) {
+                    return importDeclaration();
+                }
+
+                if (checkKeyword('export')) {
+                    return exportDeclaration();
+                }
+
+                // fn name(...) declares; fn(...) is a function expression
+                if ((checkKeyword('function') || checkKeyword('fn')) &&
+                    tokens[current + 1] && tokens[current + 1].type === 'IDENTIFIER') {
+                    return functionDeclaration();
+                }
+
+                if (checkKeyword('let') || checkKeyword('const') || checkKeyword('var')) {
+                    return variableDeclaration();
+                }
+
+                if (checkKeyword('if')) {
+                    return ifStatement();
+                }
+
+                if (checkKeyword('while')) {
+                    return whileStatement();
+                }
+
+                if (checkKeyword('for')) {
+                    return forInStatement();
+                }
+
+                if (checkKeyword('break') || checkKeyword('continue')) {
+                    current++;
+                    return finish({
+                        type: token.value === 'break' ? 'BreakStatement' : 'ContinueStatement'
+                    }, token);
+                }
+
+                if (checkKeyword('try')) {
+                    return tryStatement();
+                }
+
+                if (checkKeyword('throw')) {
+                    current++; // skip 'throw'
+                    if (!startsExpression(peek())) {
+                        throw error(`Expected a value to throw but found ${describe(peek())}`, Diagnostics.Code.EXPECTED_TOKEN);
+                    }
+                    return finish({
+                        type: 'ThrowStatement',
+                        argument: expression()
+                    }, token);
+                }
+
+                if (checkKeyword('return')) {
+                    current++; // skip 'return'
+                    return finish({
+                        type: 'ReturnStatement',
+                        argument: startsExpression(peek()) ? expression() : null
+                    }, token);
+                }
+
+                if (!startsExpression(token)) {
+                    current++;
+                    // Stray closing delimiters are reported by checkDelimiters
+                    if (diagnostics && token.type !== 'DELIMITER') {
+                        diagnostics.warning(
+                            Diagnostics.Code.UNEXPECTED_TOKEN,
+                            `Ignoring unexpected token ${describe(token)}`,
+                            token.loc || null
+                        );
+                    }
+                    return finish({
+                        type: 'Unknown',
+                        value: token
+                    }, token);
+                }
+
+                return expression();
+            };
+
+            // A statement boundary: a closing brace, a statement keyword,
+            // or the first token on a new line
+            const atStatementBoundary = () => {
+                const token = tokens[current];
+                const previous = tokens[current - 1];
+                if (check('}')) {
+                    return true;
+                }
+                if (token.type === 'KEYWORD' && statementKeywords.includes(token.value)) {
+                    return true;
+                }
+                return !!(previous && previous.loc && token.loc &&
+                    token.loc.start.line > previous.loc.end.line);
+            };
+
+            const statementInto = (body) => {
+                const start = current;
+
+                if (!diagnostics) {
+                    body.push(statement());
+                    return;
+                }
+
+                try {
+                    body.push(statement());
+                } catch (err) {
+                    if (!(err instanceof SyntaxError)) {
+                        throw err;
+                    }
+                    diagnostics.fromError(err);
+
+                    // Always make progress, but leave a block's closing
+                    // brace for the enclosing block to consume
+                    if (current === start && !(depth > 0 && check('}'))) {
+                        current++;
+                    }
+                    while (current < tokens.length && !atStatementBoundary()) {
+                        current++;
+                    }
+                }
             };
 
             const ast = {
@@ -268,86 +1394,146 @@
             };
 
             while (current < tokens.length) {
-                ast.body.push(walk());
+                statementInto(ast.body);
+            }
+
+            if (tokens.length > 0) {
+                finish(ast, tokens[0]);
             }
 
             return ast;
         },
 
-        // Code Generator - Target hardware operations
-        generate: function(ast) {
-            const code = {
-                operations: [],
-                hardwareMap: {},
-                executionPlan: []
-            };
+        // Semantic analysis - Resolve names and assign frame slots
+        analyze: function(ast, diagnostics, options) {
+            return new APLSemanticAnalyzer(diagnostics, options).analyze(ast);
+        },
+
+        // Type checking - Annotations and hardware operation signatures
+        typeCheck: function(ast, diagnostics, options = {}) {
+            return new APLTypeChecker(diagnostics, options).check(ast);
+        },
+
+        // Linearity - Quantum registers are neither copied nor reused once consumed
+        checkLinearity: function(ast, diagnostics) {
+            return new APLLinearityChecker(diagnostics).check(ast);
+        },
+
+        // Optimizer - Lower the AST to the IR and run `options.passes`,
+        // or the passes of `options.optLevel` (none by default)
+        optimize: function(ast, options = {}) {
+            const ir = APLIR.lower(ast);
+            new APLOptimizer().optimize(ir, options.passes || APLOptimizer.passes(options.optLevel || 0));
+            return ir;
+        },
 
-            const traverse = (node) => {
-                if (node.type === 'HardwareOperation') {
-                    const op = {
-                        operation: node.operation,
-                        hardwareUnit: node.hardwareUnit,
-                        params: node.params.map(p => traverse(p))
-                    };
-                    
-                    code.operations.push(op);
-                    
-                    if (!code.hardwareMap[node.hardwareUnit]) {
-                        code.hardwareMap[node.hardwareUnit] = [];
+        // Code Generator - Lower the IR to runtime opcodes
+        generate: function(ast, options) {
+            return new APLCodeGenerator().generate(ast, options);
+        },
+
+        // Report opening and closing delimiters that do not pair up
+        checkDelimiters: function(tokens, diagnostics) {
+            const pairs = { '(': ')', '[': ']', '{': '}' };
+            const closers = { ')': '(', ']': '[', '}': '{' };
+            const open = [];
+
+            tokens.forEach(token => {
+                if (token.type !== 'DELIMITER') return;
+
+                if (pairs[token.value]) {
+                    open.push(token);
+                } else if (closers[token.value]) {
+                    const opener = open[open.length - 1];
+                    if (!opener) {
+                        diagnostics.warning(
+                            Diagnostics.Code.UNBALANCED_DELIMITER,
+                            `Unmatched '${token.value}'`,
+                            token.loc || null,
+                            [`Remove it or add a matching '${closers[token.value]}'`]
+                        );
+                        return;
+                    }
+
+                    open.pop();
+                    if (pairs[opener.value] !== token.value) {
+                        const where = opener.loc ? ` at line ${opener.loc.start.line}` : '';
+                        diagnostics.warning(
+                            Diagnostics.Code.UNBALANCED_DELIMITER,
+                            `Mismatched '${token.value}': expected '${pairs[opener.value]}' to close '${opener.value}'${where}`,
+                            token.loc || null
+                        );
                     }
-                    code.hardwareMap[node.hardwareUnit].push(op);
-                    
-                    return op;
                 }
-                
-                if (node.type === 'NumberLiteral') {
-                    return { type: 'number', value: node.value };
+            });
+
+            open.forEach(opener => {
+                diagnostics.warning(
+                    Diagnostics.Code.UNBALANCED_DELIMITER,
+                    `Unclosed '${opener.value}'`,
+                    opener.loc || null,
+                    [`Add a matching '${pairs[opener.value]}'`]
+                );
+            });
+        },
+
+        // Compiler pipeline
+        // Collects every diagnostic; `error`/`loc` echo the first error.
+        // `options.globals` names host-provided natives and
+        // `options.natives` gives their { params, returns, pure } where
+        // declared; `keepResult: false` drops the value of a trailing
+        // expression (imported modules). `file` and `mode` name the
+        // source in the source map. `optLevel` (0-2) or a list of
+        // `passes` selects the optimizations; the optimized IR is
+        // returned as `ir`.
+        compile: function(source, options = {}) {
+            const diagnostics = new Diagnostics();
+            let tokens = [];
+            let ast = null;
+            let ir = null;
+            let code = null;
+
+            try {
+                tokens = this.tokenize(source, diagnostics);
+                this.checkDelimiters(tokens, diagnostics);
+                ast = this.parse(tokens, diagnostics);
+                if (!diagnostics.hasErrors()) {
+                    this.analyze(ast, diagnostics, options);
                 }
-                
-                if (node.type === 'Identifier') {
-                    return { type: 'variable', name: node.name };
+                if (!diagnostics.hasErrors()) {
+                    this.typeCheck(ast, diagnostics, options);
+                    this.checkLinearity(ast, diagnostics);
                 }
-                
-                if (node.type === 'FunctionDeclaration') {
-                    return {
-                        type: 'function',
-                        name: node.name,
-                        params: node.params,
-                        body: node.body.map(stmt => traverse(stmt))
-                    };
+                if (!diagnostics.hasErrors()) {
+                    ir = this.optimize(ast, options);
+                    code = this.generate(ir, options);
                 }
-                
-                return node;
-            };
-
-            if (ast.body) {
-                ast.body.forEach(node => {
-                    code.executionPlan.push(traverse(node));
-                });
+            } catch (error) {
+                diagnostics.fromError(error);
             }
 
-            return code;
-        },
+            const sorted = diagnostics.toArray();
+            const firstError = sorted.find(d => d.severity === Diagnostics.Severity.ERROR);
 
-        // Compiler pipeline
-        compile: function(source) {
-            try {
-                const tokens = this.tokenize(source);
-                const ast = this.parse(tokens);
-                const code = this.generate(ast);
-                
+            if (firstError) {
                 return {
-                    success: true,
-                    code: code,
+                    success: false,
+                    error: firstError.message,
+                    loc: firstError.loc,
+                    diagnostics: sorted,
                     tokens: tokens,
                     ast: ast
                 };
-            } catch (error) {
-                return {
-                    success: false,
-                    error: error.message
-                };
             }
+
+            return {
+                success: true,
+                code: code,
+                tokens: tokens,
+                ast: ast,
+                ir: ir,
+                diagnostics: sorted
+            };
         },
 
         // Execute compiled code
@@ -359,15 +1545,10 @@
             const results = [];
             const coordinator = global.HardwareCoordinator;
 
-            compiled.code.executionPlan.forEach(op => {
-                if (op.type === 'function') {
-                    // Register function
-                    results.push({ type: 'function_registered', name: op.name });
-                } else {
-                    // Execute hardware operation
-                    const result = this.executeHardwareOp(op, coordinator);
-                    results.push(result);
-                }
+            // Dispatch each hardware operation directly to its engine
+            compiled.code.operations.forEach(op => {
+                const result = this.executeHardwareOp(op, coordinator);
+                results.push(result);
             });
 
             return {
@@ -465,25 +1646,25 @@
         // Example APL programs
         examples: {
             quantumEvolution: `
-                function á™ áš¥á›Ÿáš¤áš¥á™ _á›©áš±áš³áš»á›‡á›á™ áš³á›áš¢áš±á™ () {
-                    á›ˆá›Ÿá›ˆ = á›œáš¢á›©áš¾á›áš¢á›—(100)
-                    for á˜›á™ áš¾ in 0..1000 {
-                        áš á›‡á›áš¾á™ á›Šá›Š = áš (á›ˆá›Ÿá›ˆ)
-                        á›Šá™ áš¤á™ áš³á›á™ á›ž = á›©(á›ˆá›Ÿá›ˆ, áš á›‡á›áš¾á™ á›Šá›Š)
-                        á›ˆá›Ÿá›ˆ = áš´(á›Šá™ áš¤á™ áš³á›á™ á›ž)
-                        áš¥(á›ˆá›Ÿá›ˆ)
+                function quantum_evolution(population) {
+                    for generation in 0..1000 {
+                        fitness = ᚠ(population)
+                        selected = ᛞ(fitness)
+                        population = ᚴ(selected)
+                        ᚥ(population, 0.1)
                     }
-                    return á›ˆá›Ÿá›ˆ
+                    return population
                 }
             `,
             neuralResonance: `
-                function áš±á™ á›Šá›Ÿáš¾á›©áš¾áš³á™ _á›Šá›˜áš¾áš³() {
-                    á›Ÿá›Šáš³ = á›Ÿ(10)
+                function resonance_sync() {
+                    osc = ᛟ(10)
+                    sync = 0
                     for i in 0..100 {
-                        á›ˆáš»á›©á›Šá™  = áš±(á›Ÿá›Šáš³)
-                        á›Šá›˜áš¾áš³ = áš³(á›ˆáš»á›©á›Šá™ )
+                        phase = ᚱ(osc)
+                        sync = ᚳ(phase)
                     }
-                    return á›Šá›˜áš¾áš³
+                    return sync
                 }
             `
         }
@@ -492,6 +1673,10 @@
     // Export to global scope
     global.APLCompiler = APLCompiler;
 
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = APLCompiler;
+    }
+
     // Log initialization
     if (global.AevQGInfinity) {
         global.AevQGInfinity.log('APL Compiler Initialized', 'info');
@@ -0,0 +1,135 @@
+/**
+ * APL Compiler Diagnostics
+ * Structured errors and warnings collected across compiler passes
+ * Version: 1.0.0
+ */
+
+const Severity = Object.freeze({
+    ERROR: 'error',
+    WARNING: 'warning',
+    INFO: 'info'
+});
+
+// Diagnostic codes, grouped by compiler phase
+const DiagnosticCode = Object.freeze({
+    // Lexical (APL1xxx)
+    UNTERMINATED_STRING: 'APL1001',
+    UNTERMINATED_COMMENT: 'APL1002',
+    INVALID_ESCAPE: 'APL1003',
+    UNKNOWN_CHARACTER: 'APL1004',
+    UNKNOWN_RUNE: 'APL1005',
+    DEPRECATED_ALIAS: 'APL1006',
+
+    // Syntax (APL2xxx)
+    UNEXPECTED_TOKEN: 'APL2001',
+    EXPECTED_TOKEN: 'APL2002',
+    INVALID_ASSIGNMENT: 'APL2003',
+    UNBALANCED_DELIMITER: 'APL2004',
+    JUMP_OUTSIDE_LOOP: 'APL2005',
+
+    // Semantic (APL3xxx)
+    UNDEFINED_NAME: 'APL3001',
+    USE_BEFORE_DECLARATION: 'APL3002',
+    CONST_REASSIGNMENT: 'APL3003',
+    DUPLICATE_DECLARATION: 'APL3004',
+
+    // Types (APL4xxx)
+    TYPE_MISMATCH: 'APL4001',
+    UNKNOWN_TYPE: 'APL4002',
+    ARGUMENT_COUNT: 'APL4003',
+    QUANTUM_COPY: 'APL4004',
+    QUANTUM_CONSUMED: 'APL4005',
+    QUANTUM_LEAK: 'APL4006',
+    NON_EXHAUSTIVE_MATCH: 'APL4007',
+    UNREACHABLE_PATTERN: 'APL4008',
+
+    // Modules (APL5xxx)
+    MODULE_NOT_FOUND: 'APL5001',
+    MISSING_EXPORT: 'APL5002',
+    IMPORT_CYCLE: 'APL5003',
+    IMPORTED_ASSIGNMENT: 'APL5004',
+
+    // Internal
+    INTERNAL_ERROR: 'APL9000'
+});
+
+class Diagnostics {
+    constructor() {
+        this.items = [];
+    }
+
+    /**
+     * Record a diagnostic: { code, severity, message, loc, hints, related }.
+     * `related` points at other places involved: [{ message, loc }].
+     */
+    report(code, severity, message, loc = null, hints = [], related = []) {
+        const diagnostic = { code, severity, message, loc, hints, related };
+        this.items.push(diagnostic);
+        return diagnostic;
+    }
+
+    error(code, message, loc, hints, related) {
+        return this.report(code, Severity.ERROR, message, loc, hints, related);
+    }
+
+    warning(code, message, loc, hints, related) {
+        return this.report(code, Severity.WARNING, message, loc, hints, related);
+    }
+
+    /**
+     * Record a thrown compiler error, keeping its code and location
+     */
+    fromError(error) {
+        return this.error(
+            error.code || DiagnosticCode.INTERNAL_ERROR,
+            error.message,
+            error.loc || null,
+            error.hints || []
+        );
+    }
+
+    hasErrors() {
+        return this.items.some(d => d.severity === Severity.ERROR);
+    }
+
+    errors() {
+        return this.items.filter(d => d.severity === Severity.ERROR);
+    }
+
+    warnings() {
+        return this.items.filter(d => d.severity === Severity.WARNING);
+    }
+
+    /**
+     * Diagnostics in source order
+     */
+    toArray() {
+        const offset = d => d.loc ? d.loc.start.offset : Infinity;
+        return [...this.items].sort((a, b) => offset(a) - offset(b));
+    }
+
+    /**
+     * Single-line rendering, e.g. "3:5 error APL2002: Expected ')'".
+     * Diagnostics from another module of a program carry its `file`:
+     * "util.apl:3:5 error ...".
+     */
+    static format(diagnostic) {
+        let where = diagnostic.loc
+            ? `${diagnostic.loc.start.line}:${diagnostic.loc.start.column + 1} `
+            : '';
+        if (diagnostic.file) {
+            where = `${diagnostic.file}:${where || ' '}`;
+        }
+        return `${where}${diagnostic.severity} ${diagnostic.code}: ${diagnostic.message}`;
+    }
+}
+
+Diagnostics.Severity = Severity;
+Diagnostics.Code = DiagnosticCode;
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Diagnostics;
+} else if (typeof window !== 'undefined') {
+    window.APLDiagnostics = Diagnostics;
+}
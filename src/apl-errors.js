@@ -0,0 +1,111 @@
+/**
+ * APL Errors
+ * Error types reported by the compiler and thrown by the runtime
+ * Version: 1.0.0
+ */
+
+class APLError extends Error {
+    constructor(message, loc = null) {
+        super(message);
+        this.name = this.constructor.name;
+        this.loc = loc;
+    }
+}
+
+/**
+ * A program that did not compile. `diagnostics` are the compiler's
+ * diagnostics; `loc` and `file` locate the first error.
+ */
+class APLCompileError extends APLError {
+    constructor(message, { diagnostics = [], loc = null, file = null } = {}) {
+        super(message, loc);
+        this.diagnostics = diagnostics;
+        this.file = file;
+    }
+}
+
+/**
+ * Bytes that are not loadable bytecode. Version mismatches carry the
+ * `format` and runic `standard` versions the bytecode was written with;
+ * bytecode that fails verification carries the verifier's `problems`.
+ */
+class APLBytecodeError extends APLError {
+    constructor(message, { format = null, standard = null, problems = [] } = {}) {
+        super(message);
+        this.format = format;
+        this.standard = standard;
+        this.problems = problems;
+    }
+}
+
+/**
+ * An error raised while a program runs. The runtime fills in the
+ * instruction that failed (`opcode`, `pc`, `loc`), its source
+ * `location` from the source map ({ file, mode, line, column, endLine,
+ * endColumn, function }) and `trace`, the APL call stack innermost
+ * first: [{ function, pc, loc, file, line, column }]. An APL `throw`
+ * carries the thrown value in `value`.
+ */
+class APLRuntimeError extends APLError {
+    constructor(message, { value, cause } = {}) {
+        super(message);
+        this.opcode = null;
+        this.pc = null;
+        this.location = null;
+        this.trace = [];
+        if (value !== undefined) {
+            this.value = value;
+        }
+        if (cause !== undefined) {
+            this.cause = cause;
+        }
+    }
+
+    // One "at function (file:line:column)" line per call, innermost first
+    formatTrace() {
+        return this.trace.map(({ function: name, pc, file, line, column }) => {
+            const position = line !== undefined && line !== null ? `${line}:${column + 1}` : `pc ${pc}`;
+            return `    at ${name} (${file ? `${file}:` : ''}${position})`;
+        }).join('\n');
+    }
+}
+
+class QuantumStateError extends APLRuntimeError {}
+
+class DivisionByZero extends APLRuntimeError {
+    constructor() {
+        super('Division by zero');
+    }
+}
+
+class UndefinedVariable extends APLRuntimeError {
+    constructor(variable) {
+        super(`Undefined variable: ${variable}`);
+        this.variable = variable;
+    }
+}
+
+class StackOverflow extends APLRuntimeError {
+    constructor(depth) {
+        super(`Maximum call depth of ${depth} exceeded`);
+        this.depth = depth;
+    }
+}
+
+const APLErrors = {
+    APLError,
+    APLCompileError,
+    APLBytecodeError,
+    APLRuntimeError,
+    QuantumStateError,
+    DivisionByZero,
+    UndefinedVariable,
+    StackOverflow
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = APLErrors;
+} else if (typeof window !== 'undefined') {
+    window.APLErrors = APLErrors;
+}
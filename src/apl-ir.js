@@ -0,0 +1,444 @@
+/**
+ * APL Intermediate Representation
+ * Tree IR between semantic analysis and code generation
+ * Version: 1.0.0
+ */
+
+/**
+ * The IR is a copy of the analyzed AST: the same node types, with names
+ * resolved to frame slots and types checked, so the code generator
+ * reads it like the AST. Lowering copies the tree, leaving the parse
+ * tree that compile() returns as written, and adds:
+ *
+ *   id              on each function, 'f1', 'f2', ... in source order
+ *   variable        on each node that reads or writes a variable, a key
+ *                   shared by every reference to it: 'g<slot>' for a
+ *                   global slot, '<function id>.<slot>' for a local
+ *   paramVariables  on each function, the keys of its parameters
+ *
+ * Optimizer passes rewrite the IR in place with the helpers below.
+ */
+
+// Child nodes of each node type; `[key]` marks a list
+const CHILDREN = {
+    Program: ['[body]'],
+    VariableDeclaration: ['init'],
+    ReturnStatement: ['argument'],
+    ThrowStatement: ['argument'],
+    IfStatement: ['test', '[consequent]', '[alternate]'],
+    WhileStatement: ['test', '[body]'],
+    ForInStatement: ['iterable', '[body]'],
+    TryStatement: ['[block]', 'handler', '[finalizer]'],
+    CatchClause: ['[body]'],
+    FunctionDeclaration: ['[body]'],
+    FunctionExpression: ['[body]'],
+    AssignmentExpression: ['left', 'right'],
+    ArrayExpression: ['[elements]'],
+    MapExpression: ['[entries]'],
+    MapEntry: ['value'],
+    SpreadElement: ['argument'],
+    IndexExpression: ['object', 'index'],
+    MemberExpression: ['object'],
+    MatchExpression: ['subject', '[arms]'],
+    MatchArm: ['guard', 'body'],
+    CallExpression: ['callee', '[arguments]'],
+    BinaryExpression: ['left', 'right'],
+    LogicalExpression: ['left', 'right'],
+    UnaryExpression: ['argument'],
+    HardwareOperation: ['[params]']
+};
+
+// Keys of statement lists
+const STATEMENT_LISTS = {
+    Program: ['body'],
+    IfStatement: ['consequent', 'alternate'],
+    WhileStatement: ['body'],
+    ForInStatement: ['body'],
+    TryStatement: ['block', 'finalizer'],
+    CatchClause: ['body'],
+    FunctionDeclaration: ['body'],
+    FunctionExpression: ['body']
+};
+
+const EXPRESSIONS = new Set([
+    'NumberLiteral', 'StringLiteral', 'BooleanLiteral', 'NullLiteral',
+    'Identifier', 'AssignmentExpression', 'ArrayExpression', 'MapExpression',
+    'IndexExpression', 'MemberExpression', 'MatchExpression', 'CallExpression',
+    'FunctionExpression', 'BinaryExpression', 'LogicalExpression',
+    'UnaryExpression', 'HardwareOperation'
+]);
+
+const LITERALS = new Set(['NumberLiteral', 'StringLiteral', 'BooleanLiteral', 'NullLiteral']);
+
+class APLIR {
+    /**
+     * IR for an analyzed Program node
+     */
+    static lower(ast) {
+        const ir = APLIR.copy(ast);
+        let functions = 0;
+
+        // `stack` holds the ids of the enclosing functions, outermost first
+        const annotate = (node, stack) => {
+            const key = binding => APLIR.variable(binding, stack);
+
+            switch (node.type) {
+                case 'FunctionDeclaration':
+                case 'FunctionExpression': {
+                    // An exported function's slot is written where it is declared
+                    if (node.binding) {
+                        node.variable = key(node.binding);
+                    }
+                    node.id = `f${++functions}`;
+                    node.paramVariables = (node.paramSlots || []).map(slot => `${node.id}.${slot}`);
+                    node.body.forEach(child => annotate(child, [...stack, node.id]));
+                    return;
+                }
+                case 'TryStatement':
+                    if (node.errorBinding) {
+                        node.errorVariable = key(node.errorBinding);
+                    }
+                    break;
+                case 'MatchExpression':
+                    node.subjectVariable = key(node.subjectBinding);
+                    break;
+                case 'MatchArm':
+                    APLIR.patternBindings(node.pattern).forEach(pattern => {
+                        pattern.variable = key(pattern.binding);
+                    });
+                    break;
+                case 'ImportDeclaration':
+                    node.specifiers.forEach(specifier => {
+                        if (specifier.binding) {
+                            specifier.variable = key(specifier.binding);
+                        }
+                    });
+                    break;
+                default:
+                    if (node.binding) {
+                        node.variable = key(node.binding);
+                    }
+            }
+            APLIR.forEachChild(node, child => annotate(child, stack));
+        };
+        annotate(ir, []);
+        return ir;
+    }
+
+    /**
+     * Key of the variable a binding refers to, from inside the
+     * functions `stack`
+     */
+    static variable(binding, stack) {
+        if (binding.scope === 'global') {
+            return `g${binding.slot}`;
+        }
+        return `${stack[stack.length - 1 - (binding.depth || 0)]}.${binding.slot}`;
+    }
+
+    // Deep copy that keeps shared objects shared
+    static copy(value, seen = new Map()) {
+        if (!value || typeof value !== 'object') {
+            return value;
+        }
+        if (seen.has(value)) {
+            return seen.get(value);
+        }
+        const result = Array.isArray(value) ? [] : {};
+        seen.set(value, result);
+        for (const [key, item] of Object.entries(value)) {
+            result[key] = APLIR.copy(item, seen);
+        }
+        return result;
+    }
+
+    static isLiteral(node) {
+        return !!node && LITERALS.has(node.type);
+    }
+
+    static isExpression(node) {
+        return !!node && EXPRESSIONS.has(node.type);
+    }
+
+    // Literal node for `value` at `loc`
+    static literal(value, loc = null) {
+        const type = typeof value === 'number' ? 'NumberLiteral'
+            : typeof value === 'string' ? 'StringLiteral'
+                : typeof value === 'boolean' ? 'BooleanLiteral'
+                    : 'NullLiteral';
+        return { type, value: type === 'NullLiteral' ? null : value, loc };
+    }
+
+    // BindingPattern nodes in a match pattern
+    static patternBindings(pattern) {
+        switch (pattern.type) {
+            case 'BindingPattern':
+                return pattern.binding ? [pattern] : [];
+            case 'ArrayPattern':
+                return [...pattern.elements, ...(pattern.rest ? [pattern.rest] : [])]
+                    .flatMap(element => APLIR.patternBindings(element));
+            case 'MapPattern':
+                return pattern.entries.flatMap(entry => APLIR.patternBindings(entry.pattern));
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Call `visit(child, key)` for each child node of `node`
+     */
+    static forEachChild(node, visit) {
+        (CHILDREN[node.type] || []).forEach(spec => {
+            const key = spec.replace(/[[\]]/g, '');
+            const value = node[key];
+            if (Array.isArray(value)) {
+                value.forEach(child => child && visit(child, key));
+            } else if (value) {
+                visit(value, key);
+            }
+        });
+    }
+
+    /**
+     * Replace each child node of `node` with `map(child, key)`
+     */
+    static mapChildren(node, map) {
+        (CHILDREN[node.type] || []).forEach(spec => {
+            const key = spec.replace(/[[\]]/g, '');
+            const value = node[key];
+            if (Array.isArray(value)) {
+                node[key] = value.map(child => (child ? map(child, key) : child));
+            } else if (value) {
+                node[key] = map(value, key);
+            }
+        });
+    }
+
+    /**
+     * Visit `node` and everything below it, parents first. Returning
+     * false from `visit` skips a node's children.
+     */
+    static walk(node, visit) {
+        if (visit(node) !== false) {
+            APLIR.forEachChild(node, child => APLIR.walk(child, visit));
+        }
+    }
+
+    /**
+     * Replace each expression below `node` with `rewrite(expression)`,
+     * innermost first. The target of an assignment is not an expression.
+     */
+    static rewrite(node, rewrite) {
+        APLIR.mapChildren(node, (child, key) => {
+            if (node.type === 'AssignmentExpression' && key === 'left' && child.type === 'Identifier') {
+                return child;
+            }
+            APLIR.rewrite(child, rewrite);
+            return EXPRESSIONS.has(child.type) ? rewrite(child) : child;
+        });
+    }
+
+    /**
+     * Replace each statement list below `node` with
+     * `rewrite(list, owner, key)`, innermost first
+     */
+    static rewriteStatements(node, rewrite) {
+        APLIR.forEachChild(node, child => APLIR.rewriteStatements(child, rewrite));
+        (STATEMENT_LISTS[node.type] || []).forEach(key => {
+            if (Array.isArray(node[key])) {
+                node[key] = rewrite(node[key], node, key);
+            }
+        });
+    }
+
+    /**
+     * Call `visit(statement)` for each statement in `list` and in the
+     * blocks nested in it, without entering functions
+     */
+    static forEachStatement(list, visit) {
+        list.forEach(statement => {
+            visit(statement);
+            if (statement.type === 'FunctionDeclaration') {
+                return;
+            }
+            (STATEMENT_LISTS[statement.type] || []).forEach(key => {
+                if (Array.isArray(statement[key])) {
+                    APLIR.forEachStatement(statement[key], visit);
+                }
+            });
+            if (statement.type === 'TryStatement' && statement.handler) {
+                APLIR.forEachStatement(statement.handler.body, visit);
+            }
+        });
+    }
+
+    /**
+     * Text form of the IR, for golden tests and debugging. Nested
+     * operators are parenthesized; hidden slots print as `(name)`.
+     */
+    static print(ir) {
+        return new APLIRPrinter().program(ir);
+    }
+}
+
+class APLIRPrinter {
+    program(ir) {
+        return this.statements(ir.body, 0).map(line => `${line}\n`).join('');
+    }
+
+    statements(list, depth) {
+        return list.flatMap(node => this.statement(node, depth));
+    }
+
+    // Lines of a braced block opened at the end of `head`
+    block(head, list, depth) {
+        return [`${head} {`, ...this.statements(list, depth + 1), `${'    '.repeat(depth)}}`];
+    }
+
+    // Follow the block ending `lines` with `head` and another block
+    chain(lines, head, list, depth) {
+        const [open, ...rest] = this.block(head, list, depth);
+        lines[lines.length - 1] += ` ${open}`;
+        lines.push(...rest);
+    }
+
+    statement(node, depth) {
+        const pad = '    '.repeat(depth);
+        const exported = node.exported ? 'export ' : '';
+
+        switch (node.type) {
+            case 'FunctionDeclaration':
+                return this.block(`${pad}${exported}fn ${node.name}(${node.params.join(', ')})`, node.body, depth);
+            case 'VariableDeclaration':
+                return [`${pad}${exported}${node.kind} ${node.name}${node.init ? ` = ${this.expression(node.init)}` : ''}`];
+            case 'ReturnStatement':
+                return [`${pad}return${node.argument ? ` ${this.expression(node.argument)}` : ''}`];
+            case 'ThrowStatement':
+                return [`${pad}throw ${this.expression(node.argument)}`];
+            case 'BreakStatement':
+                return [`${pad}break`];
+            case 'ContinueStatement':
+                return [`${pad}continue`];
+            case 'IfStatement': {
+                const lines = this.block(`${pad}if ${this.expression(node.test)}`, node.consequent, depth);
+                if (node.alternate) {
+                    this.chain(lines, 'else', node.alternate, depth);
+                }
+                return lines;
+            }
+            case 'WhileStatement':
+                return this.block(`${pad}while ${this.expression(node.test)}`, node.body, depth);
+            case 'ForInStatement':
+                return this.block(`${pad}for ${node.variable} in ${this.expression(node.iterable)}`, node.body, depth);
+            case 'TryStatement': {
+                const lines = this.block(`${pad}try`, node.block, depth);
+                if (node.handler) {
+                    const { param, body } = node.handler;
+                    this.chain(lines, param ? `catch (${param})` : 'catch', body, depth);
+                }
+                if (node.finalizer) {
+                    this.chain(lines, 'finally', node.finalizer, depth);
+                }
+                return lines;
+            }
+            case 'ImportDeclaration': {
+                const names = node.specifiers.map(({ imported, local }) =>
+                    (imported === local ? imported : `${imported} as ${local}`));
+                return [`${pad}import { ${names.join(', ')} } from ${JSON.stringify(node.source)}`];
+            }
+            case 'Unknown':
+                return [];
+            default:
+                return [`${pad}${this.expression(node)}`];
+        }
+    }
+
+    // Operators nested in operators are parenthesized
+    operand(node) {
+        const text = this.expression(node);
+        return ['BinaryExpression', 'LogicalExpression', 'AssignmentExpression'].includes(node.type)
+            ? `(${text})`
+            : text;
+    }
+
+    expression(node) {
+        switch (node.type) {
+            case 'NumberLiteral':
+                return Object.is(node.value, -0) ? '-0' : String(node.value);
+            case 'StringLiteral':
+                return JSON.stringify(node.value);
+            case 'BooleanLiteral':
+            case 'NullLiteral':
+                return String(node.value);
+            case 'Identifier':
+                return node.name;
+            case 'AssignmentExpression':
+                return `${this.expression(node.left)} = ${this.expression(node.right)}`;
+            case 'ArrayExpression':
+                return `[${this.list(node.elements)}]`;
+            case 'MapExpression':
+                return `{${this.list(node.entries)}}`;
+            case 'MapEntry':
+                return `${/^[A-Za-z_]\w*$/.test(node.key) ? node.key : JSON.stringify(node.key)}: ${this.expression(node.value)}`;
+            case 'SpreadElement':
+                return `...${this.expression(node.argument)}`;
+            case 'IndexExpression':
+                return `${this.operand(node.object)}[${this.expression(node.index)}]`;
+            case 'MemberExpression':
+                return `${this.operand(node.object)}.${node.property}`;
+            case 'CallExpression':
+                return `${this.operand(node.callee)}(${this.list(node.arguments)})`;
+            case 'HardwareOperation':
+                return `${node.operation}(${this.list(node.params)})`;
+            case 'BinaryExpression':
+            case 'LogicalExpression':
+                return `${this.operand(node.left)} ${node.operator} ${this.operand(node.right)}`;
+            case 'UnaryExpression':
+                return `${node.operator === 'not' ? 'not ' : '-'}${this.operand(node.argument)}`;
+            case 'FunctionExpression':
+                return `fn(${node.params.join(', ')}) { ${this.statements(node.body, 0).join('; ')} }`;
+            case 'MatchExpression': {
+                const arms = node.arms.map(arm => {
+                    const guard = arm.guard ? ` if ${this.expression(arm.guard)}` : '';
+                    return `${this.pattern(arm.pattern)}${guard} => ${this.expression(arm.body)}`;
+                });
+                return `match ${this.expression(node.subject)} { ${arms.join(', ')} }`;
+            }
+            default:
+                return `<${node.type}>`;
+        }
+    }
+
+    list(nodes) {
+        return nodes.map(node => this.expression(node)).join(', ');
+    }
+
+    pattern(node) {
+        switch (node.type) {
+            case 'WildcardPattern':
+                return '_';
+            case 'BindingPattern':
+                return node.name;
+            case 'LiteralPattern':
+                return JSON.stringify(node.value);
+            case 'ArrayPattern': {
+                const elements = node.elements.map(element => this.pattern(element));
+                if (node.rest) {
+                    elements.push(`...${this.pattern(node.rest)}`);
+                }
+                return `[${elements.join(', ')}]`;
+            }
+            case 'MapPattern':
+                return `{${node.entries.map(({ key, pattern }) => `${key}: ${this.pattern(pattern)}`).join(', ')}}`;
+            default:
+                return `<${node.type}>`;
+        }
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = APLIR;
+} else if (typeof window !== 'undefined') {
+    window.APLIR = APLIR;
+}
@@ -0,0 +1,624 @@
+/**
+ * APL Linearity Checker
+ * Quantum registers model physical qubits: they cannot be copied, used
+ * after an operation consumes them, or dropped without being measured
+ * Version: 1.0.0
+ */
+
+const Diagnostics = typeof require === 'function' ? require('./apl-diagnostics') : window.APLDiagnostics;
+const RunicRegistry = typeof require === 'function' ? require('./runic-registry') : window.APLRunicRegistry;
+
+/**
+ * Checks each function body on its own. Registers are tracked per
+ * variable slot of the function being checked; a global register used
+ * inside a declared function is not tracked there.
+ *
+ * A variable holding a register is `live`, `gone` (moved elsewhere or
+ * consumed) or, after branches that disagree, `maybe` gone.
+ *
+ * A lambda, `fn` expression or declared function takes the registers it
+ * refers to where it appears. If its body consumes or moves one of them
+ * it can only be called once, so the variable holding it (or, for a
+ * top-level function, `function:<name>`) is tracked like a register
+ * (`closure`) and a call consumes it.
+ */
+class APLLinearityChecker {
+    constructor(diagnostics) {
+        this.diagnostics = diagnostics;
+        this.linearTypes = RunicRegistry.linearTypes();
+
+        // slot -> { name, status, loc, by: { kind, loc, operation } }
+        // for the function being checked; null once a return is reached
+        this.state = null;
+
+        // Binding scope tracked in the current function
+        this.scope = 'global';
+
+        // Slots already reported as leaked in the current function
+        this.leaked = new Set();
+
+        // Whether the current function has given up a captured register
+        this.releasedCapture = false;
+
+        // Trailing expression statement whose value is the program result
+        this.result = null;
+    }
+
+    /**
+     * Check a Program node annotated by semantic analysis and type
+     * checking (`binding`, `valueType`)
+     */
+    check(ast) {
+        const statements = ast.body.filter(node =>
+            node.type !== 'FunctionDeclaration' && node.type !== 'Unknown');
+        this.result = statements[statements.length - 1] || null;
+
+        this.withFunction('global', () => this.block(ast.body));
+        return ast;
+    }
+
+    // ============================================
+    // OWNERSHIP
+    // ============================================
+
+    withFunction(scope, check) {
+        const outer = { state: this.state, scope: this.scope, leaked: this.leaked, releasedCapture: this.releasedCapture };
+        this.state = new Map();
+        this.scope = scope;
+        this.leaked = new Set();
+        this.releasedCapture = false;
+        try {
+            check();
+            this.leaks();
+        } finally {
+            Object.assign(this, outer);
+        }
+    }
+
+    // State key of a variable: its slot, or for a register captured
+    // from outside the function, `global:<slot>` or `closure:<depth>:<slot>`
+    key(binding) {
+        if (!binding) {
+            return null;
+        }
+        if (binding.scope === this.scope) {
+            return binding.slot;
+        }
+        const key = this.keyAt(binding, 0);
+        return key !== null && this.state && this.state.has(key) ? key : null;
+    }
+
+    // Key in the function being checked of a variable referenced `level`
+    // functions further in; null for a variable of one of those functions
+    keyAt(binding, level) {
+        if (binding.scope === 'global') {
+            return this.scope === 'global' ? binding.slot : `global:${binding.slot}`;
+        }
+        if (binding.scope === 'local') {
+            return level === 0 ? binding.slot : null;
+        }
+        const depth = binding.depth - level;
+        if (depth < 0) {
+            return null;
+        }
+        return depth === 0 ? binding.slot : `closure:${depth}:${binding.slot}`;
+    }
+
+    // Key of the same variable inside a closure created here
+    innerKey(key) {
+        if (typeof key === 'number') {
+            return this.scope === 'global' ? `global:${key}` : `closure:1:${key}`;
+        }
+        const [scope, depth, slot] = key.split(':');
+        return scope === 'global' ? key : `closure:${Number(depth) + 1}:${slot}`;
+    }
+
+    /**
+     * Read a variable. Returns { slot, node } when it holds a register,
+     * reporting a use after the register has gone; otherwise null.
+     */
+    read(node) {
+        const slot = this.key(node.binding);
+        const owner = this.state && slot !== null ? this.state.get(slot) : undefined;
+        if (!owner) {
+            return null;
+        }
+        if (owner.status !== 'live') {
+            this.reportGone(owner, node);
+        }
+        return { slot, node, closure: owner.closure };
+    }
+
+    reportGone(owner, node) {
+        const { kind, loc, operation } = owner.by;
+        const maybe = owner.status === 'maybe' ? 'may have been' : 'was';
+        const line = loc ? ` at line ${loc.start.line}` : '';
+
+        if (owner.closure) {
+            const used = kind === 'consumed' ? `${maybe} already called` : `${maybe} moved`;
+            this.report(kind === 'consumed' ? Diagnostics.Code.QUANTUM_CONSUMED : Diagnostics.Code.QUANTUM_COPY,
+                `'${owner.name}' is used after its closure ${used}${line}; it consumes a captured quantum register, so it can be called only once`,
+                node, [], [{ message: `'${owner.name}' ${kind === 'consumed' ? 'called' : 'moved'} here`, loc }]);
+        } else if (kind === 'captured') {
+            const by = owner.by.function ? `function '${owner.by.function}'` : 'a closure';
+            this.report(Diagnostics.Code.QUANTUM_COPY,
+                `'${owner.name}' is used after its register ${maybe} captured by ${by}${line}; quantum registers cannot be copied`,
+                node, [`Use the register only inside ${by}`],
+                [{ message: `'${owner.name}' captured here`, loc }]);
+        } else if (kind === 'consumed') {
+            this.report(Diagnostics.Code.QUANTUM_CONSUMED,
+                `'${owner.name}' is used after its register ${maybe} consumed by ${operation}${line}`,
+                node, [], [{ message: `'${owner.name}' consumed here`, loc }]);
+        } else {
+            this.report(Diagnostics.Code.QUANTUM_COPY,
+                `'${owner.name}' is used after its register ${maybe} moved${line}; quantum registers cannot be copied`,
+                node, [`Use the variable that received the register instead`],
+                [{ message: `'${owner.name}' moved here`, loc }]);
+        }
+    }
+
+    // Hand a register to a new owner
+    move(value) {
+        this.release(value, { kind: 'moved', loc: value && value.node.loc });
+    }
+
+    consume(value, operation) {
+        this.release(value, { kind: 'consumed', loc: value && value.node.loc, operation });
+    }
+
+    release(value, by) {
+        if (!value || value.slot === undefined) {
+            return;
+        }
+        const owner = this.state.get(value.slot);
+        if (owner && owner.status === 'live') {
+            owner.status = 'gone';
+            owner.by = by;
+        }
+        if (owner && owner.captured) {
+            this.releasedCapture = true;
+        }
+    }
+
+    // Store a value in a variable, taking ownership of a register
+    bind(binding, name, value, node) {
+        const slot = this.key(binding);
+        if (slot === null) {
+            this.move(value);
+            return;
+        }
+        if (value && value.slot === slot) {
+            return;
+        }
+
+        const owner = this.state.get(slot);
+        if (owner && owner.status === 'live') {
+            this.warnLeak(`The register in '${name}' is overwritten before it is measured`, node, name);
+        }
+
+        if (value) {
+            this.move(value);
+            this.state.set(slot, { name, status: 'live', loc: node.loc, by: null, closure: Boolean(value.closure) });
+        } else {
+            this.state.delete(slot);
+        }
+    }
+
+    // Registers still live when the function is left. Captured ones
+    // belong to the closure, which is tracked where it was created.
+    leaks() {
+        if (!this.state) {
+            return;
+        }
+        for (const [slot, owner] of this.state) {
+            if (owner.status === 'live' && !owner.captured && !this.leaked.has(slot)) {
+                this.leaked.add(slot);
+                if (owner.closure) {
+                    this.warnLeak(`'${owner.name}' captures a quantum register but is never called`, owner, owner.name, true);
+                } else {
+                    this.warnLeak(`Quantum register '${owner.name}' is never measured`, owner, owner.name);
+                }
+            }
+        }
+    }
+
+    warnLeak(message, node, name, closure) {
+        let hint = name
+            ? `Measure it with Q.measure(${name}) or return it`
+            : 'Assign it to a variable or measure it';
+        if (closure) {
+            hint = name ? `Call ${name}() or return it` : 'Assign it to a variable or call it';
+        }
+        this.diagnostics.warning(Diagnostics.Code.QUANTUM_LEAK, message, node.loc || null, [hint]);
+    }
+
+    report(code, message, node, hints, related) {
+        this.diagnostics.error(code, message, node && node.loc ? node.loc : null, hints,
+            related.filter(entry => entry.loc));
+    }
+
+    // ============================================
+    // CONTROL FLOW
+    // ============================================
+
+    snapshot() {
+        return this.state && new Map([...this.state].map(([slot, owner]) => [slot, { ...owner }]));
+    }
+
+    // State after either of two paths; null stands for a path that returned
+    merge(a, b) {
+        if (!a || !b) {
+            return a || b;
+        }
+        const merged = new Map(a);
+        for (const [slot, other] of b) {
+            const owner = merged.get(slot);
+            if (!owner || owner.status === other.status) {
+                merged.set(slot, owner || other);
+            } else if (owner.status === 'live' || other.status === 'live') {
+                const gone = owner.status === 'live' ? other : owner;
+                merged.set(slot, { ...gone, status: 'maybe' });
+            }
+        }
+        return merged;
+    }
+
+    /**
+     * A register that was live on entry to a loop body and is gone at
+     * its end would be used again by the next iteration
+     */
+    loop(body) {
+        const entry = this.snapshot();
+        this.block(body);
+
+        if (entry && this.state) {
+            for (const [slot, before] of entry) {
+                const after = this.state.get(slot);
+                // Nested loops see the same release; report it once
+                if (before.status === 'live' && after && after.status !== 'live' && !after.by.looped) {
+                    after.by.looped = true;
+                    let verb = after.by.kind === 'consumed' ? `consumed by ${after.by.operation}` : after.by.kind;
+                    if (after.closure && after.by.kind === 'consumed') {
+                        verb = 'called';
+                    }
+                    this.report(
+                        after.by.kind === 'consumed' ? Diagnostics.Code.QUANTUM_CONSUMED : Diagnostics.Code.QUANTUM_COPY,
+                        `'${after.name}' is ${verb} inside a loop and would be used again on the next iteration`,
+                        after.by, [], []);
+                }
+            }
+        }
+        this.state = this.merge(entry, this.state);
+    }
+
+    // ============================================
+    // STATEMENTS
+    // ============================================
+
+    // A declared function is checked where it appears, since that is
+    // where it takes the registers it captures
+    block(statements) {
+        statements.forEach(node => {
+            if (node.type === 'FunctionDeclaration') {
+                this.namedFunction(node);
+            } else {
+                this.statement(node);
+            }
+        });
+    }
+
+    namedFunction(node) {
+        if (!this.state) {
+            this.functionDeclaration(node);
+            return;
+        }
+        if (this.functionExpression(node) && this.state) {
+            const key = node.local ? node.binding.slot : `function:${node.name}`;
+            this.state.set(key, { name: node.name, status: 'live', loc: node.loc, by: null, closure: true });
+        }
+    }
+
+    statement(node) {
+        // Nothing after a return is reachable
+        if (!this.state) {
+            return;
+        }
+
+        switch (node.type) {
+            case 'VariableDeclaration': {
+                const value = node.init ? this.expression(node.init) : null;
+                return this.bind(node.binding, node.name, value, node);
+            }
+            case 'ReturnStatement':
+                if (node.argument) {
+                    this.move(this.expression(node.argument));
+                }
+                this.leaks();
+                this.state = null;
+                return;
+            case 'IfStatement': {
+                this.expression(node.test);
+                const before = this.snapshot();
+                this.block(node.consequent);
+                const consequent = this.state;
+                this.state = before;
+                if (node.alternate) {
+                    this.block(node.alternate);
+                }
+                this.state = this.merge(consequent, this.state);
+                return;
+            }
+            case 'WhileStatement':
+                this.expression(node.test);
+                return this.loop(node.body);
+            case 'ForInStatement':
+                this.expression(node.iterable);
+                return this.loop(node.body);
+            case 'TryStatement':
+                return this.tryStatement(node);
+            case 'ThrowStatement':
+                this.move(this.expression(node.argument));
+                this.state = null;
+                return;
+            case 'BreakStatement':
+            case 'ContinueStatement':
+            case 'ImportDeclaration':
+            case 'Unknown':
+                return;
+            default: {
+                const value = this.expression(node);
+                if (node === this.result) {
+                    this.move(value);
+                } else if (value && value.slot === undefined && value.closure) {
+                    this.warnLeak('A closure that captures a quantum register is discarded without being called', node, null, true);
+                } else if (value && value.slot === undefined) {
+                    this.warnLeak('Quantum register is discarded without being measured', node);
+                }
+            }
+        }
+    }
+
+    /**
+     * The try block can be left at any point, so the catch block starts
+     * from either the state before it or the state after it
+     */
+    tryStatement(node) {
+        const entry = this.snapshot();
+        this.block(node.block);
+
+        if (node.handler) {
+            const completed = this.state;
+            this.state = this.merge(entry, this.snapshot());
+            this.block(node.handler.body);
+            this.state = this.merge(completed, this.state);
+        }
+        if (node.finalizer) {
+            this.block(node.finalizer);
+        }
+    }
+
+    // Returns whether the body gives up a register in `captured`, a map
+    // from keys inside the function to the owners they were taken from
+    functionDeclaration(node, captured = new Map()) {
+        let released = false;
+        this.withFunction('local', () => {
+            captured.forEach((owner, key) => {
+                this.state.set(key, { ...owner, status: 'live', loc: node.loc, by: null, captured: true });
+            });
+            (node.paramSlots || []).forEach((slot, i) => {
+                const type = node.paramTypes && node.paramTypes[i];
+                if (type && this.linearTypes.includes(type.name)) {
+                    this.state.set(slot, { name: node.params[i], status: 'live', loc: type.loc || node.loc, by: null });
+                }
+            });
+            this.block(node.body);
+            released = this.releasedCapture;
+        });
+        return released;
+    }
+
+    /**
+     * Creating a closure moves the registers it refers to into it. It
+     * is returned as a value to track when calling it gives one up.
+     */
+    functionExpression(node) {
+        const captured = new Map();
+        this.captures(node).forEach((identifier, key) => {
+            const owner = this.state.get(key);
+            if (owner.status !== 'live') {
+                this.reportGone(owner, identifier);
+            }
+            captured.set(this.innerKey(key), { name: owner.name, closure: owner.closure });
+            this.release({ slot: key, node }, { kind: 'captured', loc: node.loc, function: node.name });
+        });
+
+        const consumes = this.functionDeclaration(node, captured);
+        return consumes ? { node, closure: true } : null;
+    }
+
+    // A top-level function, by name; tracked only when it consumes a
+    // register it captured
+    named(node) {
+        const slot = `function:${node.name}`;
+        const owner = this.state.get(slot);
+        if (!owner) {
+            return null;
+        }
+        if (owner.status !== 'live') {
+            this.reportGone(owner, node);
+        }
+        return { slot, node, closure: true };
+    }
+
+    // Tracked variables of this function referred to inside `fn`, by key,
+    // with the first identifier that refers to each
+    captures(fn) {
+        const captured = new Map();
+        const visit = (node, level) => {
+            if (!node || typeof node !== 'object') return;
+            if (Array.isArray(node)) {
+                node.forEach(child => visit(child, level));
+                return;
+            }
+            if (node.type === 'Identifier' && node.binding) {
+                const key = this.keyAt(node.binding, level);
+                if (key !== null && this.state.has(key) && !captured.has(key)) {
+                    captured.set(key, node);
+                }
+            }
+            const inner = node.type === 'FunctionExpression' || node.type === 'FunctionDeclaration' ? level + 1 : level;
+            for (const [key, value] of Object.entries(node)) {
+                if (key !== 'loc' && key !== 'binding') visit(value, inner);
+            }
+        };
+        visit(fn, 0);
+        return captured;
+    }
+
+    // ============================================
+    // EXPRESSIONS
+    // ============================================
+
+    /**
+     * Returns the register an expression evaluates to: { slot, node }
+     * for one held by a variable, { node } for a new one, or null
+     */
+    expression(node) {
+        switch (node.type) {
+            case 'Identifier':
+                return node.function ? this.named(node) : this.read(node);
+
+            case 'AssignmentExpression': {
+                const value = this.expression(node.right);
+                if (node.left.type !== 'Identifier') {
+                    this.expression(node.left);
+                    this.move(value);
+                    return null;
+                }
+                this.bind(node.left.binding, node.left.name, value, node.left);
+                return value && this.read(node.left);
+            }
+
+            case 'CallExpression': {
+                const callee = node.callee.type !== 'Identifier' || node.callee.binding
+                    ? this.expression(node.callee)
+                    : this.named(node.callee);
+                node.arguments.forEach(arg => this.move(this.expression(arg)));
+                if (callee && callee.closure) {
+                    this.consume(callee, 'a call');
+                }
+                return this.fresh(node);
+            }
+
+            case 'FunctionExpression':
+                return this.functionExpression(node);
+
+            // A register stored in an array or map moves into it
+            case 'ArrayExpression':
+                node.elements.forEach(element => this.move(this.expression(element)));
+                return null;
+
+            case 'MapExpression':
+                node.entries.forEach(entry =>
+                    this.move(this.expression(entry.type === 'MapEntry' ? entry.value : entry)));
+                return null;
+
+            case 'SpreadElement':
+                this.expression(node.argument);
+                return null;
+
+            case 'IndexExpression':
+                this.expression(node.object);
+                this.expression(node.index);
+                return null;
+
+            case 'MemberExpression':
+                this.expression(node.object);
+                return null;
+
+            case 'MatchExpression':
+                return this.matchExpression(node);
+
+            case 'BinaryExpression':
+            case 'LogicalExpression':
+                this.expression(node.left);
+                this.expression(node.right);
+                return null;
+
+            case 'UnaryExpression':
+                this.expression(node.argument);
+                return null;
+
+            case 'HardwareOperation':
+                return this.hardwareOperation(node);
+
+            default:
+                return null;
+        }
+    }
+
+    // Arms are alternative paths, like the branches of an if
+    matchExpression(node) {
+        this.move(this.expression(node.subject));
+        const before = this.snapshot();
+        let after = null;
+
+        node.arms.forEach((arm, i) => {
+            this.state = before;
+            this.state = this.snapshot();
+            if (arm.guard) {
+                this.expression(arm.guard);
+            }
+            this.move(this.expression(arm.body));
+            after = i === 0 ? this.state : this.merge(after, this.state);
+        });
+
+        if (node.arms.length > 0) {
+            this.state = after;
+        }
+        return null;
+    }
+
+    fresh(node) {
+        return this.linearTypes.includes(node.valueType) ? { node } : null;
+    }
+
+    /**
+     * Linear arguments are consumed where the standard says so and
+     * borrowed otherwise; any other argument holding a register takes
+     * it. An operation that only borrows registers and returns a linear
+     * type hands back the register it borrowed.
+     */
+    hardwareOperation(node) {
+        const operation = RunicRegistry.byOpcode(node.operation);
+        const consumes = operation && operation.consumes || [];
+        const borrows = Boolean(operation) && consumes.length === 0 &&
+            operation.params.some(type => this.linearTypes.includes(type));
+        let borrowed = null;
+
+        node.params.forEach((param, i) => {
+            const value = this.expression(param);
+            if (!value || !operation) {
+                this.move(value);
+            } else if (consumes.includes(i)) {
+                this.consume(value, operation.ascii);
+            } else if (this.linearTypes.includes(operation.params[i])) {
+                borrowed = borrowed || value;
+            } else {
+                this.move(value);
+            }
+        });
+
+        if (!this.fresh(node)) {
+            return null;
+        }
+        return borrows ? borrowed : { node };
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = APLLinearityChecker;
+} else if (typeof window !== 'undefined') {
+    window.APLLinearityChecker = APLLinearityChecker;
+}
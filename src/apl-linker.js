@@ -0,0 +1,196 @@
+/**
+ * APL Linker
+ * Combines separately compiled modules into one executable unit
+ * Version: 1.0.0
+ */
+
+const OPCODES = typeof require === 'function' ? require('./apl-opcodes') : window.APLOpcodes;
+const APLSourceMap = typeof require === 'function' ? require('./apl-sourcemap') : window.APLSourceMap;
+
+// Instruction operands holding a bytecode address
+const ADDRESS_OPERANDS = ['target', 'end', 'start'];
+
+// Instructions naming a function; natives keep their names
+const NAMED_FUNCTIONS = [OPCODES.FUNC_DECL, OPCODES.CALL, OPCODES.FUNC_REF];
+
+/**
+ * Modules are laid out one after another in execution order, so every
+ * module's top-level code runs before the modules that import it.
+ *
+ * - Jump targets, unwind table entries and hardware operation addresses
+ *   move by the module's offset in the combined code.
+ * - Global slots move by the module's offset in the combined global
+ *   frame; imported slots are pointed at the exporter's slot.
+ * - Functions of every module but the last are renamed `module.name`,
+ *   so modules can reuse function names.
+ * - Source maps are concatenated, each module's sources named by its
+ *   file.
+ */
+class APLLinker {
+    /**
+     * `modules`: [{ name, file, code, dependencies }] in execution order,
+     * where `code` is the output of APLCodeGenerator.generate and
+     * `dependencies[i]` is the module index that `code.imports[i]`
+     * resolved to.
+     *
+     * Returns code of the same shape, with `modules: [{ name, file,
+     * start, end }]` giving each module's range of instructions.
+     */
+    link(modules) {
+        const layout = this.layout(modules);
+        const linked = {
+            operations: [],
+            hardwareMap: {},
+            executionPlan: [],
+            handlers: [],
+            globals: layout.globals,
+            modules: [],
+            sourceMap: {
+                version: APLSourceMap.VERSION,
+                sources: [],
+                mappings: [],
+                functions: [],
+                globals: new Array(layout.globals).fill(null)
+            }
+        };
+
+        modules.forEach((module, index) => {
+            const { offset, base } = layout.modules[index];
+            const slots = this.importedSlots(module, modules, layout);
+            const names = this.functionNames(module, index === modules.length - 1);
+
+            const start = linked.executionPlan.length;
+            module.code.executionPlan.forEach(instruction => {
+                linked.executionPlan.push(this.relocate(instruction, { offset, base, slots, names }));
+            });
+
+            (module.code.handlers || []).forEach(handler => {
+                linked.handlers.push(this.relocateHandler(handler, offset));
+            });
+
+            module.code.operations.forEach(operation => {
+                const moved = { ...operation, address: operation.address + offset };
+                linked.operations.push(moved);
+                (linked.hardwareMap[moved.hardwareUnit] = linked.hardwareMap[moved.hardwareUnit] || []).push(moved);
+            });
+
+            this.linkSourceMap(linked.sourceMap, module, { offset, base, names });
+
+            linked.modules.push({
+                name: module.name,
+                file: module.file || null,
+                start,
+                end: linked.executionPlan.length
+            });
+        });
+
+        return linked;
+    }
+
+    // Code offset and global slot base of each module
+    layout(modules) {
+        let offset = 0;
+        let globals = 0;
+        const positions = modules.map(module => {
+            const position = { offset, base: globals };
+            offset += module.code.executionPlan.length;
+            globals += module.code.globals || 0;
+            return position;
+        });
+        return { modules: positions, globals };
+    }
+
+    // Importer slot -> linked slot of the exported name
+    importedSlots(module, modules, layout) {
+        const slots = new Map();
+        (module.code.imports || []).forEach((declaration, i) => {
+            const target = module.dependencies[i];
+            const exporter = modules[target];
+            declaration.names.forEach(name => {
+                const slot = exporter.code.exports[name.imported];
+                if (slot === undefined) {
+                    throw new Error(`Module '${exporter.name}' does not export '${name.imported}'`);
+                }
+                slots.set(name.slot, layout.modules[target].base + slot);
+            });
+        });
+        return slots;
+    }
+
+    // Function name -> linked name for functions the module declares
+    functionNames(module, isEntry) {
+        const names = new Map();
+        module.code.executionPlan
+            .filter(instruction => instruction.opcode === OPCODES.FUNC_DECL)
+            .forEach(instruction => {
+                names.set(instruction.name, isEntry ? instruction.name : `${module.name}.${instruction.name}`);
+            });
+        return names;
+    }
+
+    relocate(instruction, { offset, base, slots, names }) {
+        const moved = { ...instruction };
+
+        for (const operand of ADDRESS_OPERANDS) {
+            if (typeof moved[operand] === 'number') {
+                moved[operand] += offset;
+            }
+        }
+
+        if (moved.scope === 'global' && moved.slot !== undefined) {
+            moved.slot = slots.has(moved.slot) ? slots.get(moved.slot) : moved.slot + base;
+        }
+
+        if (NAMED_FUNCTIONS.includes(moved.opcode)) {
+            const key = moved.opcode === OPCODES.CALL ? 'function' : 'name';
+            if (names.has(moved[key])) {
+                moved[key] = names.get(moved[key]);
+            }
+        }
+
+        return moved;
+    }
+
+    linkSourceMap(sourceMap, module, { offset, base, names }) {
+        const map = module.code.sourceMap;
+        if (!map) {
+            return;
+        }
+        const first = sourceMap.sources.length;
+        map.sources.forEach(source => {
+            sourceMap.sources.push({ ...source, file: source.file || module.file || null });
+        });
+        map.mappings.forEach(([pc, source, ...position]) => {
+            sourceMap.mappings.push([pc + offset, source + first, ...position]);
+        });
+        map.functions.forEach(func => {
+            sourceMap.functions.push({
+                ...func,
+                name: names.has(func.name) ? names.get(func.name) : func.name,
+                start: func.start + offset,
+                end: func.end + offset,
+                source: func.source + first
+            });
+        });
+        map.globals.forEach((name, slot) => {
+            sourceMap.globals[base + slot] = name;
+        });
+    }
+
+    relocateHandler(handler, offset) {
+        return {
+            ...handler,
+            start: handler.start + offset,
+            end: handler.end + offset,
+            handler: handler.handler + offset,
+            owner: handler.owner === null ? null : handler.owner + offset
+        };
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = APLLinker;
+} else if (typeof window !== 'undefined') {
+    window.APLLinker = APLLinker;
+}
@@ -0,0 +1,164 @@
+/**
+ * APL Module Loader
+ * Loads the modules a program imports, rejects import cycles and links
+ * everything into one executable unit
+ * Version: 1.0.0
+ */
+
+const Diagnostics = typeof require === 'function' ? require('./apl-diagnostics') : window.APLDiagnostics;
+const APLLinker = typeof require === 'function' ? require('./apl-linker') : window.APLLinker;
+
+class APLModuleLoader {
+    /**
+     * `compile(source, options)` compiles one module and returns a
+     * compiler result; `resolver` is an APLModuleResolver
+     */
+    constructor({ compile, resolver }) {
+        this.compile = compile;
+        this.resolver = resolver;
+    }
+
+    /**
+     * Load everything `compiled` (the entry module, read from `file` or
+     * null) imports, and link. Returns a compiler result for the whole
+     * program; each diagnostic from an imported module names its `file`.
+     */
+    load(compiled, file = null) {
+        this.diagnostics = new Diagnostics();
+        this.modules = new Map();
+        this.order = [];
+
+        compiled.diagnostics.forEach(diagnostic => this.diagnostics.items.push(diagnostic));
+
+        const entry = { name: 'main', file, code: compiled.code, dependencies: [] };
+        this.entry = entry;
+        this.visit(entry, file ? [file] : []);
+
+        if (this.diagnostics.hasErrors()) {
+            return this.failure(compiled);
+        }
+
+        const order = this.order;
+        const dependencies = new Map(order.map((module, index) => [module, index]));
+        const code = new APLLinker().link(order.map(module => ({
+            ...module,
+            dependencies: module.dependencies.map(dependency => dependencies.get(dependency))
+        })));
+
+        return {
+            ...compiled,
+            code,
+            diagnostics: this.diagnostics.items
+        };
+    }
+
+    failure(compiled) {
+        const first = this.diagnostics.errors()[0];
+        return {
+            success: false,
+            error: first.message,
+            loc: first.loc,
+            file: first.file || null,
+            diagnostics: this.diagnostics.items,
+            tokens: compiled.tokens,
+            ast: compiled.ast
+        };
+    }
+
+    /**
+     * Depth-first over imports. `stack` holds the files being loaded,
+     * so reaching one of them again is a cycle. Modules are added to
+     * `order` after their dependencies.
+     */
+    visit(module, stack) {
+        module.dependencies = module.code.imports.map(declaration => {
+            const dependency = this.dependency(module, declaration, stack);
+            if (dependency) {
+                this.checkNames(module, declaration, dependency);
+            }
+            return dependency;
+        });
+        this.order.push(module);
+    }
+
+    dependency(module, declaration, stack) {
+        const resolved = this.resolver.resolve(declaration.source, module.file);
+        if (!resolved) {
+            this.report(module, Diagnostics.Code.MODULE_NOT_FOUND,
+                `Cannot find module '${declaration.source}'`, declaration.loc,
+                ['Relative imports start with ./ or ../; packages are installed with apl-pkg install']);
+            return null;
+        }
+
+        if (stack.includes(resolved.file)) {
+            const cycle = [...stack.slice(stack.indexOf(resolved.file)), resolved.file]
+                .map(file => this.displayName(file));
+            this.report(module, Diagnostics.Code.IMPORT_CYCLE,
+                `Import cycle: ${cycle.join(' -> ')}`, declaration.loc,
+                ['Move the shared code into a module that both can import']);
+            return null;
+        }
+
+        if (this.modules.has(resolved.file)) {
+            return this.modules.get(resolved.file);
+        }
+
+        const compiled = this.compile(this.resolver.read(resolved.file), { keepResult: false });
+        compiled.diagnostics.forEach(diagnostic => {
+            this.diagnostics.items.push({ ...diagnostic, file: resolved.file });
+        });
+        if (!compiled.success) {
+            return null;
+        }
+
+        const dependency = {
+            name: this.uniqueName(resolved.name),
+            file: resolved.file,
+            code: compiled.code,
+            dependencies: []
+        };
+        this.modules.set(resolved.file, dependency);
+        this.visit(dependency, [...stack, resolved.file]);
+        return dependency;
+    }
+
+    checkNames(module, declaration, dependency) {
+        declaration.names.forEach(name => {
+            if (!Object.prototype.hasOwnProperty.call(dependency.code.exports, name.imported)) {
+                const exported = Object.keys(dependency.code.exports);
+                this.report(module, Diagnostics.Code.MISSING_EXPORT,
+                    `Module '${declaration.source}' does not export '${name.imported}'`, name.loc,
+                    exported.length > 0 ? [`It exports: ${exported.join(', ')}`] : []);
+            }
+        });
+    }
+
+    // Function names are prefixed with the module name when linked
+    uniqueName(name) {
+        const taken = new Set([...this.modules.values()].map(module => module.name));
+        let unique = name;
+        for (let i = 2; taken.has(unique) || unique === 'main'; i++) {
+            unique = `${name}${i}`;
+        }
+        return unique;
+    }
+
+    displayName(file) {
+        const parts = file.split(/[\\/]/);
+        return parts[parts.length - 1];
+    }
+
+    report(module, code, message, loc, hints) {
+        const diagnostic = this.diagnostics.error(code, message, loc || null, hints);
+        if (module !== this.entry) {
+            diagnostic.file = module.file;
+        }
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = APLModuleLoader;
+} else if (typeof window !== 'undefined') {
+    window.APLModuleLoader = APLModuleLoader;
+}
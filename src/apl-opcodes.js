@@ -0,0 +1,76 @@
+/**
+ * APL Opcode Table
+ * Instruction set shared by the code generator and the runtime
+ * Version: 1.0.0
+ */
+
+const OPCODES = Object.freeze({
+    // Memory Operations
+    MEM_LOAD: 0b0000,
+    MEM_STORE: 0b0001,
+    MEM_ALLOC: 0b0010,
+    MEM_FREE: 0b0011,
+
+    // Pattern Operations
+    PATTERN_MATCH: 0b0100,
+    PATTERN_BIND: 0b0101,
+
+    // Neural Operations
+    NEURAL_SPIKE: 0b1000,
+    NEURAL_LEARN: 0b1001,
+
+    // Quantum Operations
+    QUANTUM_INIT: 0b01100,
+    QUANTUM_GATE: 0b01101,
+    QUANTUM_MEASURE: 0b01110,
+    QUANTUM_ENTANGLE: 0b01111,
+
+    // Control Flow
+    JUMP: 0b10000,
+    JUMP_IF: 0b10001,
+    CALL: 0b10010,
+    RETURN: 0b10011,
+    LOOP: 0b10100,
+    PARALLEL: 0b10101,
+    THROW: 0b10110,
+
+    // Arithmetic
+    ADD: 0b11000,
+    SUB: 0b11001,
+    MUL: 0b11010,
+    DIV: 0b11011,
+
+    // Special opcodes (non-binary)
+    FUNC_DECL: 'FUNC_DECL',
+    PUSH_CONST: 'PUSH_CONST',
+    LOOP_END: 'LOOP_END',
+    POP: 'POP',
+    DUP: 'DUP',
+    HARDWARE_OP: 'HARDWARE_OP',
+    NEG: 'NEG',
+    RANGE: 'RANGE',
+    MAKE_CLOSURE: 'MAKE_CLOSURE',
+    FUNC_REF: 'FUNC_REF',
+    CALL_VALUE: 'CALL_VALUE',
+    MAKE_ARRAY: 'MAKE_ARRAY',
+    MAKE_MAP: 'MAKE_MAP',
+    INDEX_GET: 'INDEX_GET',
+    INDEX_SET: 'INDEX_SET',
+    CALL_NATIVE: 'CALL_NATIVE',
+
+    // Comparison & Logic
+    EQ: 'EQ',
+    NE: 'NE',
+    LT: 'LT',
+    LE: 'LE',
+    GT: 'GT',
+    GE: 'GE',
+    NOT: 'NOT'
+});
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OPCODES;
+} else if (typeof window !== 'undefined') {
+    window.APLOpcodes = OPCODES;
+}
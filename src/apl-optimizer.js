@@ -0,0 +1,754 @@
+/**
+ * APL Optimizer
+ * Optimization passes over the IR
+ * Version: 1.0.0
+ */
+
+const APLIR = typeof require === 'function' ? require('./apl-ir') : window.APLIR;
+
+// Evaluation of constant operands, as the runtime does it
+const BINARY = {
+    '+': (a, b) => a + b,
+    '-': (a, b) => a - b,
+    '*': (a, b) => a * b,
+    '/': (a, b) => a / b,
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b
+};
+
+const TERMINATORS = ['ReturnStatement', 'ThrowStatement', 'BreakStatement', 'ContinueStatement'];
+
+// Largest expression (in nodes) copied into a call site
+const INLINE_LIMIT = 16;
+
+// Rounds of the selected passes before giving up on a fixed point
+const MAX_ROUNDS = 8;
+
+/**
+ * How a program uses its variables and declared functions, gathered
+ * from the IR before a pass rewrites it.
+ *
+ * A variable's `writes` count every store: declarations, assignments,
+ * parameters, loop and catch variables, pattern bindings and imports.
+ * It is `declared` when one of those stores is a declaration, so it
+ * holds a value before any read in the function that owns it.
+ */
+class APLUsage {
+    constructor(ir) {
+        this.variables = new Map();
+        // Function (id, or null at the top level) each read occurs in
+        this.contexts = new Map();
+        // Declarations and references of functions, by name
+        this.functions = new Map();
+        this.references = new Map();
+        this.scan(ir, null);
+    }
+
+    variable(key) {
+        if (!this.variables.has(key)) {
+            this.variables.set(key, { reads: 0, writes: 0, declarations: [], declared: false, exported: false });
+        }
+        return this.variables.get(key);
+    }
+
+    // Record a store; `declaration` is the declaring node, if any
+    write(key, declaration = null) {
+        const variable = this.variable(key);
+        variable.writes++;
+        if (declaration) {
+            variable.declared = true;
+            if (declaration.type === 'VariableDeclaration') {
+                variable.declarations.push(declaration);
+            }
+            if (declaration.exported && declaration.variable === key) {
+                variable.exported = true;
+            }
+        }
+    }
+
+    reference(name) {
+        this.references.set(name, (this.references.get(name) || 0) + 1);
+    }
+
+    scan(node, context) {
+        switch (node.type) {
+            case 'FunctionDeclaration':
+                if (!this.functions.has(node.name)) {
+                    this.functions.set(node.name, []);
+                }
+                this.functions.get(node.name).push(node);
+                if (node.variable) {
+                    this.write(node.variable, node);
+                }
+                // falls through
+            case 'FunctionExpression':
+                node.paramVariables.forEach(key => this.write(key, node));
+                node.body.forEach(child => this.scan(child, node.id));
+                return;
+            case 'Identifier':
+                if (node.variable) {
+                    this.variable(node.variable).reads++;
+                    this.contexts.set(node, context);
+                } else if (node.function) {
+                    this.reference(node.name);
+                }
+                return;
+            case 'AssignmentExpression':
+                if (node.left.type === 'Identifier') {
+                    if (node.left.variable) {
+                        this.write(node.left.variable);
+                    }
+                    this.scan(node.right, context);
+                    return;
+                }
+                break;
+            case 'CallExpression':
+                if (isNamedCall(node)) {
+                    this.reference(node.callee.name);
+                }
+                break;
+            case 'VariableDeclaration':
+            case 'ForInStatement':
+            case 'CatchClause':
+                if (node.variable) {
+                    this.write(node.variable, node);
+                }
+                break;
+            case 'TryStatement':
+                if (node.errorVariable) {
+                    this.write(node.errorVariable);
+                }
+                break;
+            case 'MatchExpression':
+                this.write(node.subjectVariable);
+                break;
+            case 'MatchArm':
+                APLIR.patternBindings(node.pattern).forEach(pattern => this.write(pattern.variable, pattern));
+                break;
+            case 'ImportDeclaration':
+                node.specifiers
+                    .filter(specifier => specifier.variable)
+                    .forEach(specifier => this.write(specifier.variable, specifier));
+                break;
+        }
+        APLIR.forEachChild(node, child => this.scan(child, context));
+    }
+
+    /**
+     * Whether reading `identifier` cannot fail: function references
+     * always resolve, and a declared variable read by the function that
+     * owns it has been stored by then. Reads from other functions may
+     * run before the store.
+     */
+    safeRead(identifier) {
+        if (identifier.function) {
+            return true;
+        }
+        const variable = this.variables.get(identifier.variable);
+        return !!variable && variable.declared && this.contexts.get(identifier) === owner(identifier.variable);
+    }
+}
+
+// Function id owning a variable key, null for globals
+function owner(key) {
+    return key.startsWith('g') ? null : key.slice(0, key.indexOf('.'));
+}
+
+// A call to a declared APL function by name
+function isNamedCall(node) {
+    return node.callee.type === 'Identifier' && !node.callee.binding && !node.callee.native;
+}
+
+/**
+ * Whether evaluating `node` has no effect and cannot throw, so it can
+ * be dropped when its value is unused
+ */
+function isPure(node, usage) {
+    switch (node.type) {
+        case 'NumberLiteral':
+        case 'StringLiteral':
+        case 'BooleanLiteral':
+        case 'NullLiteral':
+        case 'FunctionExpression':
+            return true;
+        case 'Identifier':
+            return usage.safeRead(node);
+        case 'ArrayExpression':
+            return node.elements.every(element => element.type !== 'SpreadElement' && isPure(element, usage));
+        case 'MapExpression':
+            return node.entries.every(entry => entry.type === 'MapEntry' && isPure(entry.value, usage));
+        case 'BinaryExpression':
+            // Ranges allocate; division by zero throws
+            if (node.operator === '..' ||
+                (node.operator === '/' && !(node.right.type === 'NumberLiteral' && node.right.value !== 0))) {
+                return false;
+            }
+            return isPure(node.left, usage) && isPure(node.right, usage);
+        case 'LogicalExpression':
+            return isPure(node.left, usage) && isPure(node.right, usage);
+        case 'UnaryExpression':
+            return isPure(node.argument, usage);
+        default:
+            return false;
+    }
+}
+
+// Number of nodes in an expression
+function size(node) {
+    let count = 0;
+    APLIR.walk(node, () => {
+        count++;
+    });
+    return count;
+}
+
+/**
+ * The statement whose value is the program's result: the last one the
+ * code generator emits. Passes keep it in place.
+ */
+function resultStatement(ir) {
+    const emitted = ir.body.filter(node =>
+        !['FunctionDeclaration', 'ImportDeclaration', 'Unknown'].includes(node.type));
+    return emitted[emitted.length - 1] || null;
+}
+
+/**
+ * Constant folding: operators applied to literals are replaced by the
+ * literal result. Division by zero is left to fail at run time and
+ * ranges, which allocate, are not folded. `and`/`or` with a literal
+ * left operand reduce to whichever operand they would produce.
+ */
+class ConstantFolding {
+    run(ir) {
+        let changes = 0;
+        APLIR.rewrite(ir, node => {
+            const folded = this.fold(node);
+            if (folded !== node) {
+                changes++;
+            }
+            return folded;
+        });
+        return changes;
+    }
+
+    fold(node) {
+        switch (node.type) {
+            case 'BinaryExpression': {
+                const { operator, left, right } = node;
+                if (!APLIR.isLiteral(left) || !APLIR.isLiteral(right) || !BINARY[operator] ||
+                    (operator === '/' && right.value === 0)) {
+                    return node;
+                }
+                return APLIR.literal(BINARY[operator](left.value, right.value), node.loc);
+            }
+            case 'UnaryExpression': {
+                const { operator, argument } = node;
+                if (!APLIR.isLiteral(argument)) {
+                    return node;
+                }
+                return APLIR.literal(operator === 'not' ? !argument.value : -argument.value, node.loc);
+            }
+            case 'LogicalExpression': {
+                const { operator, left, right } = node;
+                if (!APLIR.isLiteral(left)) {
+                    return node;
+                }
+                const shortCircuit = operator === 'and' ? !left.value : !!left.value;
+                return shortCircuit ? left : right;
+            }
+            default:
+                return node;
+        }
+    }
+}
+
+/**
+ * Constant propagation: a variable stored only by its declaration, with
+ * a literal, is read as that literal in the function that declares it.
+ * Reads from nested functions keep loading it, since they may run
+ * before the declaration.
+ */
+class ConstantPropagation {
+    run(ir) {
+        const usage = new APLUsage(ir);
+        const constants = new Map();
+        usage.variables.forEach((variable, key) => {
+            const [declaration] = variable.declarations;
+            if (variable.writes === 1 && declaration && APLIR.isLiteral(declaration.init)) {
+                constants.set(key, declaration.init);
+            }
+        });
+
+        let changes = 0;
+        APLIR.rewrite(ir, node => {
+            if (node.type !== 'Identifier' || !constants.has(node.variable) ||
+                usage.contexts.get(node) !== owner(node.variable)) {
+                return node;
+            }
+            changes++;
+            return APLIR.literal(constants.get(node.variable).value, node.loc);
+        });
+        return changes;
+    }
+}
+
+/**
+ * Dead-code elimination: removes expression statements without effects,
+ * stores to variables that are never read (keeping the stored value's
+ * effects) and functions that are never called or referenced. Exported
+ * names are read by other modules and kept.
+ */
+class DeadCodeElimination {
+    run(ir) {
+        const usage = new APLUsage(ir);
+        const result = resultStatement(ir);
+        const unread = key => {
+            const variable = usage.variables.get(key);
+            return !!variable && variable.reads === 0 && !variable.exported;
+        };
+
+        let changes = 0;
+        APLIR.rewriteStatements(ir, list => list.flatMap(node => {
+            if (node === result) {
+                return [node];
+            }
+            const replacement = this.statement(node, usage, unread);
+            if (replacement !== node) {
+                changes++;
+                return replacement ? [replacement] : [];
+            }
+            return [node];
+        }));
+        return changes;
+    }
+
+    // The statement to keep in place of `node`, or null to drop it
+    statement(node, usage, unread) {
+        switch (node.type) {
+            case 'FunctionDeclaration':
+                if (node.local) {
+                    return unread(node.variable) ? null : node;
+                }
+                return !node.exported && !usage.references.has(node.name) ? null : node;
+            case 'VariableDeclaration':
+                return unread(node.variable) && (!node.init || isPure(node.init, usage)) ? null : node;
+            case 'AssignmentExpression':
+                if (node.left.type === 'Identifier' && unread(node.left.variable)) {
+                    return isPure(node.right, usage) ? null : node.right;
+                }
+                return node;
+            default:
+                return APLIR.isExpression(node) && isPure(node, usage) ? null : node;
+        }
+    }
+}
+
+/**
+ * Unreachable-code elimination: drops statements after a return, throw,
+ * break or continue in the same block (declared functions are hoisted
+ * and stay), replaces an `if` on a literal with the branch it takes
+ * unless that branch declares functions, and removes `while` loops on a
+ * falsy literal.
+ */
+class UnreachableCodeElimination {
+    run(ir) {
+        const result = resultStatement(ir);
+        let changes = 0;
+
+        APLIR.rewriteStatements(ir, list => {
+            const pending = [...list];
+            const kept = [];
+            let reachable = true;
+
+            while (pending.length > 0) {
+                const node = pending.shift();
+                if (!reachable) {
+                    if (node.type === 'FunctionDeclaration') {
+                        kept.push(node);
+                    } else {
+                        changes++;
+                    }
+                } else if (node !== result && node.type === 'IfStatement' && APLIR.isLiteral(node.test) &&
+                    !this.declaresFunctions(node.test.value ? node.consequent : node.alternate)) {
+                    // The branch's statements are checked like the rest of the block
+                    pending.unshift(...(node.test.value ? node.consequent : node.alternate || []));
+                    changes++;
+                } else if (node !== result && node.type === 'WhileStatement' &&
+                    APLIR.isLiteral(node.test) && !node.test.value) {
+                    changes++;
+                } else {
+                    kept.push(node);
+                    reachable = !TERMINATORS.includes(node.type);
+                }
+            }
+            return kept;
+        });
+        return changes;
+    }
+
+    // Functions declared in a block are hoisted to its start; moved into
+    // the enclosing block they would be declared before the `if` runs
+    declaresFunctions(list) {
+        return !!list && list.some(node => node.type === 'FunctionDeclaration');
+    }
+}
+
+/**
+ * Common-subexpression elimination: within one statement, an operator
+ * expression computed more than once is stored in a temporary slot
+ * (named `(cse1)`, `(cse2)`, ... in its frame) where it is first
+ * evaluated, and read from there afterwards.
+ *
+ * Only statements that cannot change a variable before the last use
+ * are considered: no calls, hardware operations, matches or
+ * assignments other than the statement's own. Occurrences in the right
+ * operand of `and`/`or` may not be evaluated and are not shared.
+ * Ranges allocate a new array each time and are never shared.
+ */
+class CommonSubexpressionElimination {
+    run(ir) {
+        const owners = [ir];
+        APLIR.walk(ir, node => {
+            if (node.type === 'FunctionDeclaration' || node.type === 'FunctionExpression') {
+                owners.push(node);
+            }
+        });
+
+        let changes = 0;
+        owners.filter(owner => owner.frame).forEach(owner => {
+            APLIR.forEachStatement(owner.body, statement => {
+                this.roots(statement)
+                    .filter(root => this.eligible(root, true))
+                    .forEach(root => {
+                        changes += this.eliminate(root, owner);
+                    });
+            });
+        });
+        return changes;
+    }
+
+    // Expressions a statement evaluates
+    roots(statement) {
+        switch (statement.type) {
+            case 'VariableDeclaration':
+                return statement.init ? [statement.init] : [];
+            case 'ReturnStatement':
+            case 'ThrowStatement':
+                return statement.argument ? [statement.argument] : [];
+            case 'IfStatement':
+            case 'WhileStatement':
+                return [statement.test];
+            case 'ForInStatement':
+                return [statement.iterable];
+            default:
+                return APLIR.isExpression(statement) ? [statement] : [];
+        }
+    }
+
+    eligible(node, root = false) {
+        switch (node.type) {
+            case 'CallExpression':
+            case 'HardwareOperation':
+            case 'MatchExpression':
+                return false;
+            case 'FunctionExpression':
+                return true;
+            case 'AssignmentExpression':
+                if (!root || node.left.type !== 'Identifier') {
+                    return false;
+                }
+                return this.eligible(node.right);
+        }
+        let eligible = true;
+        APLIR.forEachChild(node, child => {
+            eligible = eligible && this.eligible(child);
+        });
+        return eligible;
+    }
+
+    // Share repeated subexpressions of `root`, largest first
+    eliminate(root, owner) {
+        let changes = 0;
+        for (;;) {
+            const groups = new Map();
+            this.occurrences(root).forEach(occurrence => {
+                const key = this.key(occurrence.node);
+                if (!groups.has(key)) {
+                    groups.set(key, []);
+                }
+                groups.get(key).push(occurrence);
+            });
+
+            const repeated = [...groups.values()].filter(group => group.length > 1);
+            if (repeated.length === 0) {
+                return changes;
+            }
+            const largest = repeated.reduce((best, group) =>
+                (size(group[0].node) > size(best[0].node) ? group : best));
+
+            const temporary = this.temporary(owner);
+            largest.forEach(({ parent, key, index, node }, i) => {
+                const replacement = i === 0
+                    ? { type: 'AssignmentExpression', operator: '=', left: temporary(node.loc), right: node, loc: node.loc }
+                    : temporary(node.loc);
+                if (index === null) {
+                    parent[key] = replacement;
+                } else {
+                    parent[key][index] = replacement;
+                }
+            });
+            changes++;
+        }
+    }
+
+    /**
+     * Candidate subexpressions below `root` that are always evaluated,
+     * in evaluation order, with where each one sits
+     */
+    occurrences(root) {
+        const found = [];
+        const visit = (node) => {
+            if (node.type === 'FunctionExpression') {
+                return;
+            }
+            (node.type === 'LogicalExpression' ? ['left'] : childKeys(node)).forEach(key => {
+                const value = node[key];
+                const children = Array.isArray(value) ? value : [value];
+                children.forEach((child, i) => {
+                    if (!child) {
+                        return;
+                    }
+                    if (this.key(child) !== null && isOperator(child)) {
+                        found.push({ parent: node, key, index: Array.isArray(value) ? i : null, node: child });
+                    }
+                    visit(child);
+                });
+            });
+        };
+        visit(root);
+        return found;
+    }
+
+    // Structural key of an expression, or null when it cannot be shared
+    key(node) {
+        switch (node.type) {
+            case 'NumberLiteral':
+            case 'StringLiteral':
+            case 'BooleanLiteral':
+            case 'NullLiteral':
+                return `${node.type}:${typeof node.value === 'string' ? JSON.stringify(node.value) : String(node.value)}`;
+            case 'Identifier':
+                return node.variable ? `$${node.variable}` : node.function ? `@${node.name}` : null;
+            case 'BinaryExpression':
+            case 'LogicalExpression': {
+                if (node.operator === '..') {
+                    return null;
+                }
+                const left = this.key(node.left);
+                const right = this.key(node.right);
+                return left !== null && right !== null ? `(${left} ${node.operator} ${right})` : null;
+            }
+            case 'UnaryExpression': {
+                const argument = this.key(node.argument);
+                return argument !== null ? `(${node.operator} ${argument})` : null;
+            }
+            case 'IndexExpression': {
+                const object = this.key(node.object);
+                const index = this.key(node.index);
+                return object !== null && index !== null ? `${object}[${index}]` : null;
+            }
+            case 'MemberExpression': {
+                const object = this.key(node.object);
+                return object !== null ? `${object}.${JSON.stringify(node.property)}` : null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    // A new slot in `owner`'s frame; returns a factory for references to it
+    temporary(owner) {
+        const { frame } = owner;
+        const slot = frame.slots++;
+        const name = `(cse${frame.locals.filter(local => local.startsWith('(cse')).length + 1})`;
+        frame.locals.push(name);
+
+        const global = owner.type === 'Program';
+        return loc => ({
+            type: 'Identifier',
+            name,
+            binding: global ? { slot, scope: 'global' } : { slot, scope: 'local' },
+            variable: global ? `g${slot}` : `${owner.id}.${slot}`,
+            loc
+        });
+    }
+}
+
+function childKeys(node) {
+    const keys = [];
+    APLIR.forEachChild(node, (child, key) => {
+        if (!keys.includes(key)) {
+            keys.push(key);
+        }
+    });
+    return keys;
+}
+
+function isOperator(node) {
+    return ['BinaryExpression', 'LogicalExpression', 'UnaryExpression', 'IndexExpression', 'MemberExpression']
+        .includes(node.type);
+}
+
+/**
+ * Function inlining: a call to a function whose body is a single
+ * `return expression` is replaced by that expression with the
+ * arguments in place of the parameters. The function must be the only
+ * one with its name, and its expression small, free of calls and
+ * closures, and reading no variables but its parameters: a global read
+ * moved to the call site could run before the global's declaration.
+ * Arguments must be literals or reads that cannot fail, so evaluating
+ * them where the parameters appear (or not at all) does the same as
+ * passing them.
+ */
+class FunctionInlining {
+    run(ir) {
+        const usage = new APLUsage(ir);
+        const inlinable = new Map();
+        usage.functions.forEach(([declaration, ...others], name) => {
+            const [statement] = declaration.body;
+            if (others.length === 0 && declaration.body.length === 1 &&
+                statement.type === 'ReturnStatement' && statement.argument &&
+                size(statement.argument) <= INLINE_LIMIT && this.inlinable(statement.argument, declaration)) {
+                inlinable.set(name, declaration);
+            }
+        });
+
+        let changes = 0;
+        APLIR.rewrite(ir, node => {
+            if (node.type !== 'CallExpression' || !isNamedCall(node) || !inlinable.has(node.callee.name)) {
+                return node;
+            }
+            const declaration = inlinable.get(node.callee.name);
+            if (node.arguments.length !== declaration.params.length ||
+                !node.arguments.every(arg => APLIR.isLiteral(arg) || (arg.type === 'Identifier' && usage.safeRead(arg)))) {
+                return node;
+            }
+            changes++;
+            return this.substitute(declaration, node.arguments);
+        });
+        return changes;
+    }
+
+    inlinable(expression, declaration) {
+        let inlinable = true;
+        APLIR.walk(expression, node => {
+            switch (node.type) {
+                case 'NumberLiteral':
+                case 'StringLiteral':
+                case 'BooleanLiteral':
+                case 'NullLiteral':
+                case 'BinaryExpression':
+                case 'LogicalExpression':
+                case 'UnaryExpression':
+                case 'IndexExpression':
+                case 'MemberExpression':
+                case 'ArrayExpression':
+                case 'MapExpression':
+                case 'MapEntry':
+                    return true;
+                case 'Identifier':
+                    inlinable = inlinable && (node.function || declaration.paramVariables.includes(node.variable));
+                    return true;
+                default:
+                    inlinable = false;
+                    return false;
+            }
+        });
+        return inlinable;
+    }
+
+    // The function's expression with `args` for its parameters
+    substitute(declaration, args) {
+        const holder = { type: 'ReturnStatement', argument: APLIR.copy(declaration.body[0].argument) };
+        APLIR.rewrite(holder, node => {
+            const index = node.type === 'Identifier' ? declaration.paramVariables.indexOf(node.variable) : -1;
+            return index === -1 ? node : APLIR.copy(args[index]);
+        });
+        return holder.argument;
+    }
+}
+
+const PASSES = {
+    'inlining': FunctionInlining,
+    'constant-folding': ConstantFolding,
+    'constant-propagation': ConstantPropagation,
+    'unreachable-code': UnreachableCodeElimination,
+    'dead-code': DeadCodeElimination,
+    'common-subexpressions': CommonSubexpressionElimination
+};
+
+// Passes run once the others are done: the temporaries they add would
+// hide constants from later rounds
+const FINAL = ['common-subexpressions'];
+
+// Passes run at each optimization level, in order
+const LEVELS = [
+    [],
+    ['constant-folding', 'constant-propagation', 'unreachable-code', 'dead-code'],
+    ['inlining', 'constant-folding', 'constant-propagation', 'unreachable-code', 'dead-code', 'common-subexpressions']
+];
+
+class APLOptimizer {
+    /**
+     * Pass names for an optimization level: 0 runs none, 1 folds and
+     * propagates constants and removes unreachable and dead code, 2
+     * also inlines small functions and shares common subexpressions.
+     * Levels above 2 are level 2.
+     */
+    static passes(optLevel = 0) {
+        if (!Number.isInteger(optLevel) || optLevel < 0) {
+            throw new RangeError(`Invalid optimization level: ${optLevel}`);
+        }
+        return LEVELS[Math.min(optLevel, LEVELS.length - 1)];
+    }
+
+    /**
+     * Run the named passes over `ir` in place, in order, until a round
+     * changes nothing; then common-subexpression elimination, if named,
+     * once on the result. Returns how many changes each pass made.
+     */
+    optimize(ir, names) {
+        names.forEach(name => {
+            if (!PASSES[name]) {
+                throw new Error(`Unknown optimizer pass '${name}'`);
+            }
+        });
+
+        const stats = Object.fromEntries(names.map(name => [name, 0]));
+        const run = (passes) => passes.reduce((changes, [name, pass]) => {
+            const count = pass.run(ir);
+            stats[name] += count;
+            return changes + count;
+        }, 0);
+
+        const passes = names.map(name => [name, new PASSES[name]()]);
+        const repeated = passes.filter(([name]) => !FINAL.includes(name));
+        for (let round = 0; round < MAX_ROUNDS && run(repeated) > 0; round++);
+        run(passes.filter(([name]) => FINAL.includes(name)));
+        return stats;
+    }
+}
+
+APLOptimizer.PASSES = Object.keys(PASSES);
+APLOptimizer.LEVELS = LEVELS;
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = APLOptimizer;
+} else if (typeof window !== 'undefined') {
+    window.APLOptimizer = APLOptimizer;
+}
@@ -0,0 +1,128 @@
+/**
+ * APL Module Resolver
+ * Finds the file behind an import: relative paths, or packages
+ * installed by apl-pkg
+ * Version: 1.0.0
+ */
+
+const fs = typeof require === 'function' ? require('fs') : null;
+const path = typeof require === 'function' ? require('path') : null;
+const os = typeof require === 'function' ? require('os') : null;
+
+const EXTENSION = '.apl';
+
+class APLModuleResolver {
+    /**
+     * Packages are looked up where APLPackageManager keeps them: pass
+     * the manager as `packageManager`, or `globalDir` / `cacheDir`.
+     * Installed packages live in `globalDir/<name>/<version>`; an
+     * unpacked `cacheDir/<name>` is used before any installed version.
+     */
+    constructor(options = {}) {
+        // The browser bundle maps fs to an empty module
+        if (!fs || typeof fs.readFileSync !== 'function') {
+            throw new Error('Resolving imports needs a file system');
+        }
+        const packages = options.packageManager ? options.packageManager.options : options;
+
+        this.globalDir = packages.globalDir || path.join(os.homedir(), '.apl', 'packages');
+        this.cacheDir = packages.cacheDir || path.join(process.cwd(), '.apl_cache');
+        this.baseDir = options.baseDir || process.cwd();
+    }
+
+    /**
+     * Resolve `specifier` as imported from the file `from` (null for
+     * source without a file). Returns { file, name } or null.
+     */
+    resolve(specifier, from = null) {
+        if (this.isRelative(specifier)) {
+            const dir = from ? path.dirname(from) : this.baseDir;
+            const file = this.findFile(path.resolve(dir, specifier));
+            return file && { file, name: path.basename(file, EXTENSION) };
+        }
+        return this.resolvePackage(specifier);
+    }
+
+    isRelative(specifier) {
+        return specifier.startsWith('./') || specifier.startsWith('../') || path.isAbsolute(specifier);
+    }
+
+    read(file) {
+        return fs.readFileSync(file, 'utf8');
+    }
+
+    // `name` or `name/path/in/package`
+    resolvePackage(specifier) {
+        const parts = specifier.split('/');
+        const name = parts[0];
+        const subpath = parts.slice(1).join('/');
+
+        for (const root of this.packageRoots(name)) {
+            const file = subpath
+                ? this.findFile(path.join(root, subpath))
+                : this.findFile(path.join(root, this.packageMain(root)));
+            if (file) {
+                return { file, name: specifier };
+            }
+        }
+        return null;
+    }
+
+    // Package directories for `name`: the unpacked cache copy, then
+    // installed versions, newest first
+    packageRoots(name) {
+        const roots = [path.join(this.cacheDir, name)];
+        const installed = path.join(this.globalDir, name);
+        if (this.isDirectory(installed)) {
+            const versions = fs.readdirSync(installed)
+                .filter(version => this.isDirectory(path.join(installed, version)))
+                .sort((a, b) => this.compareVersions(b, a));
+            roots.push(...versions.map(version => path.join(installed, version)));
+        }
+        return roots.filter(root => this.isDirectory(root));
+    }
+
+    // Entry file from the package's package.json, as written by `apl-pkg init`
+    packageMain(root) {
+        const manifest = path.join(root, 'package.json');
+        if (this.isFile(manifest)) {
+            try {
+                return JSON.parse(fs.readFileSync(manifest, 'utf8')).main || `index${EXTENSION}`;
+            } catch (error) {
+                return `index${EXTENSION}`;
+            }
+        }
+        return `index${EXTENSION}`;
+    }
+
+    // The path itself, with the .apl extension added, or its index.apl
+    findFile(base) {
+        const candidates = [base, base + EXTENSION, path.join(base, `index${EXTENSION}`)];
+        return candidates.find(candidate => this.isFile(candidate)) || null;
+    }
+
+    compareVersions(a, b) {
+        const pa = a.split('.').map(part => parseInt(part, 10) || 0);
+        const pb = b.split('.').map(part => parseInt(part, 10) || 0);
+        for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+            const diff = (pa[i] || 0) - (pb[i] || 0);
+            if (diff !== 0) return diff;
+        }
+        return 0;
+    }
+
+    isFile(file) {
+        return fs.existsSync(file) && fs.statSync(file).isFile();
+    }
+
+    isDirectory(dir) {
+        return fs.existsSync(dir) && fs.statSync(dir).isDirectory();
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = APLModuleResolver;
+} else if (typeof window !== 'undefined') {
+    window.APLModuleResolver = APLModuleResolver;
+}
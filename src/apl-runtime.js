@@ -4,30 +4,150 @@
  * Version: 1.0.0
  */
 
+const OPCODES = typeof require === 'function' ? require('./apl-opcodes') : window.APLOpcodes;
+const { APLRuntimeError, QuantumStateError, DivisionByZero, UndefinedVariable, StackOverflow } =
+    typeof require === 'function' ? require('./apl-errors') : window.APLErrors;
+const APLSourceMap = typeof require === 'function' ? require('./apl-sourcemap') : window.APLSourceMap;
+
+// Calls that may be active at once unless `maxCallDepth` is given
+const DEFAULT_MAX_CALL_DEPTH = 10000;
+
+// Types a native's signature can check values against; values of other
+// types (quantum registers, neurons, ...) are host objects
+const CHECKED_TYPES = ['Null', 'Bool', 'Int', 'Float', 'String', 'Array', 'Map', 'Function'];
+
+// Elements a range used outside a for loop may have
+const MAX_RANGE_LENGTH = 10000000;
+
+// start..end as a for loop sees it: start, start + 1, ... while below
+// end, produced one at a time
+class Range {
+    constructor(start, end) {
+        this.start = start;
+        this.end = end;
+    }
+    
+    * [Symbol.iterator]() {
+        for (let value = this.start; value < this.end; value++) {
+            yield value;
+        }
+    }
+    
+    get length() {
+        return Math.max(0, Math.ceil(this.end - this.start));
+    }
+}
+
+// Iteration state for a running LOOP, kept on the operand stack.
+// Maps are iterated by key.
+class LoopIterator {
+    constructor(iterable) {
+        if (iterable === null || iterable === undefined || typeof iterable[Symbol.iterator] !== 'function') {
+            throw new Error(`Value is not iterable: ${iterable}`);
+        }
+        this.iterator = iterable instanceof Map ? iterable.keys() : iterable[Symbol.iterator]();
+    }
+    
+    next() {
+        return this.iterator.next();
+    }
+}
+
+// Local variable slots of one call (or of the top-level program).
+// `parent` is the frame a closure was created in. The frame of a call
+// also records the closure it runs, its return address (the pc of the
+// call instruction), the operand stack height on entry, and for
+// functions compiled without slots the caller's `memory`.
+class Frame {
+    constructor(size = 0, parent = null) {
+        this.locals = new Array(size);
+        this.names = new Array(size);
+        this.parent = parent;
+        this.function = null;
+        this.returnAddress = null;
+        this.stackBase = 0;
+        this.memory = null;
+    }
+    
+    // Named view of the assigned slots, for debugging. `slotNames`
+    // (from the source map) names slots not yet stored to by name.
+    variables(slotNames = []) {
+        const variables = {};
+        this.locals.forEach((value, slot) => {
+            const name = this.names[slot] !== undefined ? this.names[slot] : slotNames[slot];
+            if (name !== undefined && name !== null && value !== undefined) {
+                variables[name] = value;
+            }
+        });
+        return variables;
+    }
+}
+
+// Function value: compiled code plus the frame it closes over
+class Closure {
+    constructor({ name, params, slots, address, isAsync }, env) {
+        this.name = name;
+        this.params = params;
+        this.slots = slots;
+        this.address = address;
+        this.isAsync = isAsync;
+        this.env = env;
+    }
+}
+
 class APLRuntime {
-    constructor() {
+    /**
+     * `options.maxCallDepth` limits how many calls can be active at
+     * once; going deeper raises StackOverflow
+     */
+    constructor(options = {}) {
+        this.maxCallDepth = options.maxCallDepth || DEFAULT_MAX_CALL_DEPTH;
         this.memory = new Map();
+        this.globalFrame = new Frame();
+        this.frame = this.globalFrame;
         this.stack = [];
+        // Frames of the active calls, innermost last; `frame` is the
+        // innermost, or the global frame
         this.callStack = [];
         this.functions = new Map();
         this.globals = new Map();
+        // Native name -> { name, func, params, returns, pure }
+        this.natives = new Map();
         this.quantumState = null;
         this.neuralState = null;
         this.pc = 0; // Program counter
         this.running = false;
+        this.sourceMap = null;
     }
     
     /**
-     * Execute compiled bytecode
+     * Execute compiled bytecode. `options.handlers` is the unwind table
+     * and `options.sourceMap` the source map from the code generator. A
+     * failed run reports the error message, the APLRuntimeError as
+     * `exception` and the source `location` of the failing pc.
      */
-    async execute(bytecode) {
+    async execute(bytecode, options = {}) {
+        this.bytecode = bytecode;
+        this.handlers = options.handlers || [];
+        this.sourceMap = options.sourceMap ? new APLSourceMap(options.sourceMap) : null;
+        this.stack = [];
+        this.callStack = [];
+        this.globalFrame = new Frame();
+        this.frame = this.globalFrame;
         this.pc = 0;
         this.running = true;
         
         try {
             while (this.pc < bytecode.length && this.running) {
                 const instruction = bytecode[this.pc];
-                await this.executeInstruction(instruction);
+                try {
+                    const pending = this.executeInstruction(instruction);
+                    if (pending && typeof pending.then === 'function') {
+                        await pending;
+                    }
+                } catch (error) {
+                    this.raise(error);
+                }
                 this.pc++;
             }
             
@@ -36,84 +156,127 @@ class APLRuntime {
                 result: this.stack.length > 0 ? this.stack[this.stack.length - 1] : null
             };
         } catch (error) {
+            const pc = error.pc !== undefined && error.pc !== null ? error.pc : this.pc;
             return {
                 success: false,
                 error: error.message,
-                pc: this.pc
+                pc,
+                location: error.location || this.locate(pc),
+                exception: error
             };
         }
     }
     
     /**
-     * Execute single instruction
+     * Execute single instruction. Returns a promise only when the
+     * instruction has to wait (an asynchronous native, PARALLEL).
      */
-    async executeInstruction(instruction) {
+    executeInstruction(instruction) {
         const { opcode } = instruction;
         
         switch (opcode) {
             // Memory Operations
-            case 0b0000: // MEM_LOAD
+            case OPCODES.MEM_LOAD:
                 return this.opMemLoad(instruction);
-            case 0b0001: // MEM_STORE
+            case OPCODES.MEM_STORE:
                 return this.opMemStore(instruction);
-            case 0b0010: // MEM_ALLOC
+            case OPCODES.MEM_ALLOC:
                 return this.opMemAlloc(instruction);
-            case 0b0011: // MEM_FREE
+            case OPCODES.MEM_FREE:
                 return this.opMemFree(instruction);
             
             // Pattern Operations
-            case 0b0100: // PATTERN_MATCH
+            case OPCODES.PATTERN_MATCH:
                 return this.opPatternMatch(instruction);
-            case 0b0101: // PATTERN_BIND
+            case OPCODES.PATTERN_BIND:
                 return this.opPatternBind(instruction);
             
             // Neural Operations
-            case 0b1000: // NEURAL_SPIKE
+            case OPCODES.NEURAL_SPIKE:
                 return this.opNeuralSpike(instruction);
-            case 0b1001: // NEURAL_LEARN
+            case OPCODES.NEURAL_LEARN:
                 return this.opNeuralLearn(instruction);
             
             // Quantum Operations
-            case 0b01100: // QUANTUM_INIT
+            case OPCODES.QUANTUM_INIT:
                 return this.opQuantumInit(instruction);
-            case 0b01101: // QUANTUM_GATE
+            case OPCODES.QUANTUM_GATE:
                 return this.opQuantumGate(instruction);
-            case 0b01110: // QUANTUM_MEASURE
+            case OPCODES.QUANTUM_MEASURE:
                 return this.opQuantumMeasure(instruction);
-            case 0b01111: // QUANTUM_ENTANGLE
+            case OPCODES.QUANTUM_ENTANGLE:
                 return this.opQuantumEntangle(instruction);
             
             // Control Flow
-            case 0b10000: // JUMP
+            case OPCODES.JUMP:
                 return this.opJump(instruction);
-            case 0b10001: // JUMP_IF
+            case OPCODES.JUMP_IF:
                 return this.opJumpIf(instruction);
-            case 0b10010: // CALL
+            case OPCODES.CALL:
                 return this.opCall(instruction);
-            case 0b10011: // RETURN
+            case OPCODES.CALL_VALUE:
+                return this.opCallValue(instruction);
+            case OPCODES.CALL_NATIVE:
+                return this.opCallNative(instruction);
+            case OPCODES.RETURN:
                 return this.opReturn(instruction);
-            case 0b10100: // LOOP
+            case OPCODES.LOOP:
                 return this.opLoop(instruction);
-            case 0b10101: // PARALLEL
+            case OPCODES.PARALLEL:
                 return this.opParallel(instruction);
+            case OPCODES.THROW:
+                return this.opThrow();
             
             // Arithmetic
-            case 0b11000: // ADD
+            case OPCODES.ADD:
                 return this.opAdd();
-            case 0b11001: // SUB
+            case OPCODES.SUB:
                 return this.opSub();
-            case 0b11010: // MUL
+            case OPCODES.MUL:
                 return this.opMul();
-            case 0b11011: // DIV
+            case OPCODES.DIV:
                 return this.opDiv();
             
             // Special opcodes (non-binary)
-            case 'FUNC_DECL':
+            case OPCODES.FUNC_DECL:
                 return this.opFuncDecl(instruction);
-            case 'PUSH_CONST':
+            case OPCODES.MAKE_CLOSURE:
+                return this.opMakeClosure(instruction);
+            case OPCODES.FUNC_REF:
+                return this.opFuncRef(instruction);
+            case OPCODES.PUSH_CONST:
                 return this.stack.push(instruction.value);
-            case 'LOOP_END':
-                return; // No-op, handled by loop logic
+            case OPCODES.LOOP_END:
+                return this.opLoopEnd(instruction);
+            case OPCODES.POP:
+                return this.stack.pop();
+            case OPCODES.DUP:
+                return this.stack.push(this.stack[this.stack.length - 1]);
+            case OPCODES.HARDWARE_OP:
+                return this.opHardware(instruction);
+            case OPCODES.NEG:
+                return this.stack.push(-this.stack.pop());
+            case OPCODES.RANGE:
+                return this.opRange();
+            case OPCODES.MAKE_ARRAY:
+                return this.opMakeArray(instruction);
+            case OPCODES.MAKE_MAP:
+                return this.opMakeMap(instruction);
+            case OPCODES.INDEX_GET:
+                return this.opIndexGet();
+            case OPCODES.INDEX_SET:
+                return this.opIndexSet();
+            
+            // Comparison & Logic
+            case OPCODES.EQ:
+            case OPCODES.NE:
+            case OPCODES.LT:
+            case OPCODES.LE:
+            case OPCODES.GT:
+            case OPCODES.GE:
+                return this.opCompare(opcode);
+            case OPCODES.NOT:
+                return this.stack.push(!this.stack.pop());
             
             default:
                 throw new Error(`Unknown opcode: ${opcode}`);
@@ -125,16 +288,48 @@ class APLRuntime {
     // ============================================
     
     opMemLoad(instruction) {
-        const value = this.memory.get(instruction.source) || this.globals.get(instruction.source);
+        let value;
+        if (instruction.slot !== undefined) {
+            value = this.frameFor(instruction).locals[instruction.slot];
+        } else {
+            value = this.memory.has(instruction.source)
+                ? this.memory.get(instruction.source)
+                : this.globals.get(instruction.source);
+        }
         if (value === undefined) {
-            throw new Error(`Undefined variable: ${instruction.source}`);
+            throw new UndefinedVariable(instruction.source);
         }
         this.stack.push(value);
     }
     
     opMemStore(instruction) {
         const value = this.stack.pop();
-        this.memory.set(instruction.target, value);
+        this.store(instruction, instruction.target, value);
+    }
+    
+    // Compiled code addresses variables by frame slot; bytecode without
+    // slot indices falls back to the named memory map
+    frameFor(instruction) {
+        if (instruction.scope === 'global') {
+            return this.globalFrame;
+        }
+        let frame = this.frame;
+        if (instruction.scope === 'closure') {
+            for (let i = 0; i < instruction.depth; i++) {
+                frame = frame.parent;
+            }
+        }
+        return frame;
+    }
+    
+    store(instruction, name, value) {
+        if (instruction.slot === undefined) {
+            this.memory.set(name, value);
+            return;
+        }
+        const frame = this.frameFor(instruction);
+        frame.locals[instruction.slot] = value;
+        frame.names[instruction.slot] = name;
     }
     
     opMemAlloc(instruction) {
@@ -154,39 +349,86 @@ class APLRuntime {
     // PATTERN OPERATIONS
     // ============================================
     
+    // Patterns are built by the code generator: { type: 'wildcard' |
+    // 'bind' | 'literal' | 'array' | 'map', ... }
     opPatternMatch(instruction) {
         const value = this.stack.pop();
-        const pattern = instruction.pattern;
-        
-        // Simple pattern matching
-        const matches = this.matchPattern(value, pattern);
-        this.stack.push(matches);
+        this.stack.push(this.matchPattern(value, instruction.pattern));
     }
     
     matchPattern(value, pattern) {
-        if (typeof pattern === 'object' && pattern !== null) {
-            if (Array.isArray(pattern)) {
-                return Array.isArray(value) && pattern.every((p, i) => this.matchPattern(value[i], p));
+        switch (pattern.type) {
+            case 'wildcard':
+            case 'bind':
+                return true;
+            case 'literal':
+                return value === pattern.value;
+            case 'array': {
+                if (!Array.isArray(value)) return false;
+                const count = pattern.elements.length;
+                if (pattern.rest ? value.length < count : value.length !== count) return false;
+                return pattern.elements.every((element, i) => this.matchPattern(value[i], element));
             }
-            return Object.keys(pattern).every(key => this.matchPattern(value[key], pattern[key]));
+            case 'map':
+                return pattern.entries.every(({ key, pattern: entry }) => {
+                    const member = this.patternMember(value, key);
+                    return member !== undefined && this.matchPattern(member, entry);
+                });
+            default:
+                throw new Error(`Unknown pattern type: ${pattern.type}`);
         }
-        return value === pattern;
     }
     
+    // Entry of a map, or own property of a host object; undefined if absent
+    patternMember(value, key) {
+        if (value instanceof Map) {
+            return value.has(key) ? value.get(key) : undefined;
+        }
+        if (value !== null && typeof value === 'object' && !Array.isArray(value) &&
+            Object.prototype.hasOwnProperty.call(value, key)) {
+            return value[key];
+        }
+        return undefined;
+    }
+    
+    // Store the values captured by the pattern's bindings in `targets`
     opPatternBind(instruction) {
         const value = this.stack.pop();
-        instruction.bindings.forEach(binding => {
-            this.memory.set(binding, value);
+        const captured = [];
+        this.capture(value, instruction.pattern, captured);
+        instruction.targets.forEach((target, i) => {
+            this.store(target, target.name, captured[i]);
         });
     }
     
+    capture(value, pattern, captured) {
+        switch (pattern.type) {
+            case 'bind':
+                captured.push(value);
+                return;
+            case 'array':
+                pattern.elements.forEach((element, i) => this.capture(value[i], element, captured));
+                if (pattern.rest) {
+                    this.capture(value.slice(pattern.elements.length), pattern.rest, captured);
+                }
+                return;
+            case 'map':
+                pattern.entries.forEach(({ key, pattern: entry }) => {
+                    this.capture(this.patternMember(value, key), entry, captured);
+                });
+                return;
+        }
+    }
+    
     // ============================================
     // QUANTUM OPERATIONS
     // ============================================
     
     opQuantumInit(instruction) {
         // Initialize quantum state
-        const numQubits = instruction.args[0]?.value || 1;
+        const numQubits = 'argCount' in instruction
+            ? this.popArgs(instruction.argCount)[0] || 1
+            : instruction.args[0]?.value || 1;
         
         this.quantumState = {
             numQubits,
@@ -205,26 +447,46 @@ class APLRuntime {
     }
     
     opQuantumGate(instruction) {
+        // Compiled code passes (state, gate, target, control|angle) on the stack
+        const operands = 'argCount' in instruction
+            ? this.gateOperands(this.popArgs(instruction.argCount))
+            : instruction;
+        
         if (!this.quantumState) {
-            throw new Error('Quantum state not initialized');
+            throw new QuantumStateError('Quantum state not initialized');
         }
         
-        const gate = instruction.gate;
-        const target = instruction.target;
+        const { gate, target } = operands;
         
         switch (gate) {
             case 'HADAMARD':
                 this.applyHadamard(target);
                 break;
             case 'CNOT':
-                this.applyCNOT(target, instruction.control);
+                this.applyCNOT(target, operands.control);
                 break;
             case 'PHASE':
-                this.applyPhase(target, instruction.angle);
+                this.applyPhase(target, operands.angle);
                 break;
             default:
                 throw new Error(`Unknown quantum gate: ${gate}`);
         }
+        
+        if ('argCount' in instruction) {
+            this.stack.push(this.quantumState);
+        }
+    }
+    
+    gateOperands([state, gate, target = 0, extra]) {
+        if (state && state.amplitudes) {
+            this.quantumState = state;
+        }
+        return {
+            gate: String(gate).toUpperCase(),
+            target,
+            control: extra,
+            angle: extra
+        };
     }
     
     applyHadamard(target) {
@@ -283,8 +545,14 @@ class APLRuntime {
     }
     
     opQuantumMeasure(instruction) {
+        if ('argCount' in instruction) {
+            const [state] = this.popArgs(instruction.argCount);
+            if (state && state.amplitudes) {
+                this.quantumState = state;
+            }
+        }
         if (!this.quantumState) {
-            throw new Error('Quantum state not initialized');
+            throw new QuantumStateError('Quantum state not initialized');
         }
         
         const { amplitudes } = this.quantumState;
@@ -314,6 +582,19 @@ class APLRuntime {
     }
     
     opQuantumEntangle(instruction) {
+        if ('argCount' in instruction) {
+            const [state, qubit1 = 0, qubit2 = 1] = this.popArgs(instruction.argCount);
+            if (state && state.amplitudes) {
+                this.quantumState = state;
+            }
+            if (!this.quantumState) {
+                throw new QuantumStateError('Quantum state not initialized');
+            }
+            this.quantumState.entangled.push([qubit1, qubit2]);
+            this.stack.push(this.quantumState);
+            return;
+        }
+        
         const qubit1 = instruction.qubit1;
         const qubit2 = instruction.qubit2;
         
@@ -371,80 +652,299 @@ class APLRuntime {
         }
     }
     
+    // Named call: an APL function, else a native from `globals`
     opCall(instruction) {
-        this.callStack.push({
-            pc: this.pc,
-            memory: new Map(this.memory)
-        });
-        
-        // Look up function
+        const args = this.callArgs(instruction);
         const func = this.functions.get(instruction.function);
-        if (!func) {
+        if (func) {
+            return this.invoke(func, args, instruction.tail);
+        }
+        
+        const native = this.globals.get(instruction.function);
+        if (typeof native !== 'function') {
             throw new Error(`Undefined function: ${instruction.function}`);
         }
+        return this.callNative(native, args, this.natives.get(instruction.function));
+    }
+    
+    opCallNative(instruction) {
+        const args = this.callArgs(instruction);
+        const native = this.globals.get(instruction.function);
+        if (typeof native !== 'function') {
+            throw new APLRuntimeError(`Undefined native function: ${instruction.function}`);
+        }
+        return this.callNative(native, args, this.natives.get(instruction.function));
+    }
+    
+    // Call the function value below the arguments
+    opCallValue(instruction) {
+        const args = this.callArgs(instruction);
+        const callee = this.stack.pop();
         
-        // Set up arguments
-        const args = [];
-        for (let i = 0; i < instruction.argCount; i++) {
-            args.unshift(this.stack.pop());
+        if (callee instanceof Closure) {
+            return this.invoke(callee, args, instruction.tail);
+        }
+        if (typeof callee === 'function') {
+            return this.callNative(callee, args, this.signatureOf(callee));
+        }
+        throw new Error(`Value is not callable: ${callee}`);
+    }
+    
+    /**
+     * Enter an APL function; its RETURN resumes after the current pc.
+     * A tail call (`tail`, from `return f(...)`) replaces the current
+     * call's frame, so the callee returns straight to its caller.
+     */
+    invoke(func, args, tail = false) {
+        if (args.length !== func.params.length) {
+            const name = func.name ? `'${func.name}'` : 'Function';
+            throw new APLRuntimeError(`${name} expects ${func.params.length} argument(s) but got ${args.length}`);
+        }
+        
+        const frame = new Frame(func.slots, func.env);
+        frame.function = func;
+        
+        if (tail && this.callStack.length > 0) {
+            const replaced = this.callStack.pop();
+            frame.returnAddress = replaced.returnAddress;
+            frame.stackBase = replaced.stackBase;
+            frame.memory = replaced.memory;
+            this.cut(frame.stackBase);
+        } else {
+            if (this.callStack.length >= this.maxCallDepth) {
+                throw new StackOverflow(this.maxCallDepth);
+            }
+            frame.returnAddress = this.pc;
+            frame.stackBase = this.stack.length;
+        }
+        
+        // Functions compiled without slots keep locals in `memory`,
+        // which is restored on return
+        if (func.slots === undefined && !frame.memory) {
+            frame.memory = new Map(this.memory);
         }
+        this.callStack.push(frame);
+        this.frame = frame;
         
         func.params.forEach((param, i) => {
-            this.memory.set(param.name, args[i]);
+            this.store(param.slot !== undefined ? { slot: param.slot } : {}, param.name, args[i]);
         });
         
         // Jump to function
         this.pc = func.address - 1;
     }
     
+    /**
+     * Natives receive APL functions as plain JS functions. A promise
+     * result is awaited before the value is pushed. Arguments and
+     * result are checked against the `signature` the native was
+     * registered with.
+     */
+    callNative(func, args, signature = null) {
+        if (signature && signature.params) {
+            this.checkNativeArgs(signature, args);
+        }
+        
+        const result = func(...args.map(arg => this.toNative(arg)));
+        if (result && typeof result.then === 'function') {
+            return result.then(value => {
+                this.stack.push(this.fromNative(value, signature));
+            });
+        }
+        this.stack.push(this.fromNative(result, signature));
+    }
+    
+    signatureOf(func) {
+        for (const signature of this.natives.values()) {
+            if (signature.func === func) {
+                return signature;
+            }
+        }
+        return null;
+    }
+    
+    checkNativeArgs({ name, params }, args) {
+        if (args.length !== params.length) {
+            throw new APLRuntimeError(`'${name}' expects ${params.length} argument(s) but got ${args.length}`);
+        }
+        params.forEach((type, i) => {
+            if (!this.fits(args[i], type)) {
+                throw new APLRuntimeError(
+                    `Argument ${i + 1} of '${name}' expects ${type} but got ${this.valueType(args[i])}`);
+            }
+        });
+    }
+    
+    /**
+     * Result of a native as an APL value: undefined is null, and a
+     * native declared to return a Map or Array may return a plain
+     * object or any iterable
+     */
+    fromNative(value, signature) {
+        if (value === undefined) {
+            return null;
+        }
+        if (!signature) {
+            return value;
+        }
+        
+        let result = value;
+        if (signature.returns === 'Map' && this.isPlainObject(value)) {
+            result = new Map(Object.entries(value));
+        } else if (signature.returns === 'Array' && !Array.isArray(value) &&
+            value !== null && typeof value === 'object' && typeof value[Symbol.iterator] === 'function') {
+            result = Array.from(value);
+        }
+        
+        if (!this.fits(result, signature.returns)) {
+            throw new APLRuntimeError(
+                `'${signature.name}' should return ${signature.returns} but returned ${this.valueType(result)}`);
+        }
+        return result;
+    }
+    
+    isPlainObject(value) {
+        if (value === null || typeof value !== 'object') {
+            return false;
+        }
+        const prototype = Object.getPrototypeOf(value);
+        return prototype === Object.prototype || prototype === null;
+    }
+    
+    // Type name of a value as the type checker writes it; Any for host
+    // objects
+    valueType(value) {
+        if (value === null || value === undefined) return 'Null';
+        if (typeof value === 'boolean') return 'Bool';
+        if (typeof value === 'number') return Number.isInteger(value) ? 'Int' : 'Float';
+        if (typeof value === 'string') return 'String';
+        if (Array.isArray(value)) return 'Array';
+        if (value instanceof Map) return 'Map';
+        if (value instanceof Closure || typeof value === 'function') return 'Function';
+        return 'Any';
+    }
+    
+    // As in the type checker, null fits any type and Int widens to
+    // Float. Host objects stand in for the types that are not checked.
+    fits(value, type) {
+        const actual = this.valueType(value);
+        if (type === 'Any' || actual === type || actual === 'Null' || (actual === 'Int' && type === 'Float')) {
+            return true;
+        }
+        return actual === 'Any' && !CHECKED_TYPES.includes(type);
+    }
+    
+    // Arguments past the function's parameters (such as the index
+    // Array.prototype.map passes) are dropped
+    toNative(value) {
+        return value instanceof Closure
+            ? (...args) => this.callFunction(value, args.slice(0, value.params.length))
+            : value;
+    }
+    
+    /**
+     * Run an APL function to completion and return its result, for
+     * natives calling back into APL. The callback cannot wait on an
+     * asynchronous native.
+     */
+    callFunction(func, args) {
+        const depth = this.callStack.length;
+        this.invoke(func, args);
+        
+        while (this.callStack.length > depth) {
+            this.pc++;
+            try {
+                const pending = this.executeInstruction(this.bytecode[this.pc]);
+                if (pending && typeof pending.then === 'function') {
+                    throw new Error('Functions called from native code cannot wait on asynchronous natives');
+                }
+            } catch (error) {
+                // Handlers outside the callback are reached through the
+                // native, which sees the error
+                this.raise(error, depth + 1);
+            }
+        }
+        return this.stack.pop();
+    }
+    
+    // The return value replaces whatever the call left on the stack
     opReturn(instruction) {
         if (this.callStack.length === 0) {
             this.running = false;
             return;
         }
         
+        const value = this.stack.pop();
+        const frame = this.leaveFrame();
+        this.cut(frame.stackBase);
+        this.stack.push(value);
+        this.pc = frame.returnAddress;
+    }
+    
+    // Pop the innermost call, restoring the caller's locals
+    leaveFrame() {
         const frame = this.callStack.pop();
-        this.pc = frame.pc;
-        
-        // Restore memory (keep return value on stack)
-        const returnValue = this.stack[this.stack.length - 1];
-        this.memory = frame.memory;
-        if (returnValue !== undefined) {
-            this.stack.push(returnValue);
+        this.frame = this.callStack.length > 0
+            ? this.callStack[this.callStack.length - 1]
+            : this.globalFrame;
+        if (frame.memory) {
+            this.memory = frame.memory;
         }
+        return frame;
     }
     
-    async opLoop(instruction) {
-        const iterable = this.evalExpression(instruction.iterable);
-        const variable = instruction.variable;
+    // Drop operand stack entries above `height`
+    cut(height) {
+        if (this.stack.length > height) {
+            this.stack.length = height;
+        }
+    }
+    
+    opLoop(instruction) {
+        // First entry replaces the iterable with its iterator; LOOP_END
+        // jumps back here with the iterator still on top of the stack
+        let iterator = this.stack[this.stack.length - 1];
+        if (!(iterator instanceof LoopIterator)) {
+            iterator = new LoopIterator(this.stack.pop());
+            this.stack.push(iterator);
+        }
         
-        // Mark loop start
-        const loopStart = this.pc;
+        const step = iterator.next();
+        if (step.done) {
+            this.stack.pop();
+            this.pc = instruction.end - 1;
+            return;
+        }
         
-        for (const item of iterable) {
-            this.memory.set(variable, item);
-            
-            // Execute loop body
-            let depth = 1;
-            let bodyPc = this.pc + 1;
-            while (depth > 0 && bodyPc < this.bytecode.length) {
-                if (this.bytecode[bodyPc].opcode === 'LOOP') depth++;
-                if (this.bytecode[bodyPc].opcode === 'LOOP_END') depth--;
-                
-                if (depth > 0) {
-                    await this.executeInstruction(this.bytecode[bodyPc]);
-                }
-                bodyPc++;
+        this.store(instruction, instruction.variable, step.value);
+    }
+    
+    opLoopEnd(instruction) {
+        this.pc = instruction.start - 1;
+    }
+    
+    // Half-open range: start..end yields start, start + 1, ... while
+    // below end. A for loop steps through it; anywhere else it is an array.
+    opRange() {
+        const end = this.stack.pop();
+        const start = this.stack.pop();
+        [start, end].forEach(bound => {
+            if (typeof bound !== 'number' || Number.isNaN(bound)) {
+                throw new APLRuntimeError(`Range bounds must be numbers, got ${this.valueType(bound)}`);
             }
-        }
+        });
         
-        // Skip to after LOOP_END
-        let depth = 1;
-        while (depth > 0 && this.pc < this.bytecode.length) {
-            this.pc++;
-            if (this.bytecode[this.pc].opcode === 'LOOP') depth++;
-            if (this.bytecode[this.pc].opcode === 'LOOP_END') depth--;
+        const range = new Range(start, end);
+        const next = this.bytecode[this.pc + 1];
+        if (next && next.opcode === OPCODES.LOOP) {
+            this.stack.push(range);
+            return;
+        }
+        if (range.length > MAX_RANGE_LENGTH) {
+            throw new APLRuntimeError(
+                `Range ${start}..${end} has ${range.length} elements; only a for loop can step through more than ${MAX_RANGE_LENGTH}`);
         }
+        this.stack.push([...range]);
     }
     
     async opParallel(instruction) {
@@ -495,6 +995,248 @@ class APLRuntime {
         this.memory = savedMemory;
     }
     
+    // ============================================
+    // ERRORS
+    // ============================================
+    
+    // A finally handler throws the error it caught on unchanged
+    opThrow() {
+        const value = this.stack.pop();
+        if (value instanceof APLRuntimeError) {
+            throw value;
+        }
+        throw new APLRuntimeError(this.thrownMessage(value), { value });
+    }
+    
+    thrownMessage(value) {
+        if (typeof value === 'string') {
+            return value;
+        }
+        if (value instanceof Map && typeof value.get('message') === 'string') {
+            return value.get('message');
+        }
+        return `Uncaught ${this.describe(value)}`;
+    }
+    
+    /**
+     * Continue at the handler for an error thrown by the instruction at
+     * pc. Only functions at least `floor` calls deep are searched; when
+     * none of them handles the error, it is rethrown as an
+     * APLRuntimeError from the call at `floor`.
+     */
+    raise(error, floor = 0) {
+        const exception = this.exception(error);
+        if (!this.unwind(exception, floor)) {
+            throw exception;
+        }
+    }
+    
+    // The error, located at the current instruction unless an inner
+    // call already did
+    exception(error) {
+        if (error instanceof APLRuntimeError && error.pc !== null) {
+            return error;
+        }
+        const exception = error instanceof APLRuntimeError
+            ? error
+            : new APLRuntimeError(error.message, { cause: error });
+        const instruction = this.bytecode[this.pc];
+        exception.opcode = instruction ? instruction.opcode : null;
+        exception.pc = this.pc;
+        exception.loc = (instruction && instruction.loc) || null;
+        exception.location = this.locate(this.pc);
+        exception.trace = this.trace();
+        return exception;
+    }
+    
+    /**
+     * Source position of `pc`: { file, mode, line, column, endLine,
+     * endColumn, function } from the source map, or from the
+     * instruction's own location when there is no map
+     */
+    locate(pc) {
+        if (this.sourceMap) {
+            return this.sourceMap.lookup(pc);
+        }
+        const instruction = this.bytecode && this.bytecode[pc];
+        if (!instruction || !instruction.loc) {
+            return null;
+        }
+        const { start, end } = instruction.loc;
+        return {
+            file: null,
+            mode: null,
+            line: start.line,
+            column: start.column,
+            endLine: end.line,
+            endColumn: end.column,
+            function: null
+        };
+    }
+    
+    // APL call stack, innermost first
+    trace() {
+        const trace = [];
+        let pc = this.pc;
+        for (let i = this.callStack.length - 1; i >= 0; i--) {
+            trace.push(this.traceEntry(this.callStack[i], pc));
+            pc = this.callStack[i].returnAddress;
+        }
+        trace.push(this.traceEntry(this.globalFrame, pc));
+        return trace;
+    }
+    
+    traceEntry(frame, pc) {
+        const instruction = this.bytecode[pc];
+        const location = this.locate(pc);
+        return {
+            function: frame.function ? frame.function.name || '<anonymous>' : '<main>',
+            pc,
+            loc: (instruction && instruction.loc) || null,
+            file: location ? location.file : null,
+            line: location ? location.line : null,
+            column: location ? location.column : null
+        };
+    }
+    
+    /**
+     * Find the innermost handler covering the failing pc in the current
+     * function, returning from calls until one is found
+     */
+    unwind(exception, floor) {
+        let pc = this.pc;
+        for (;;) {
+            if (this.callStack.length < floor) {
+                this.pc = pc;
+                return false;
+            }
+            const owner = this.frame.function ? this.frame.function.address : null;
+            const entry = this.handlers.find(handler =>
+                handler.owner === owner && handler.start <= pc && pc < handler.end);
+            
+            if (entry) {
+                this.cut(this.frame.stackBase + entry.stack);
+                this.stack.push(entry.kind === 'catch' ? this.errorValue(exception) : exception);
+                this.pc = entry.handler - 1;
+                return true;
+            }
+            
+            if (this.callStack.length === 0) {
+                this.pc = pc;
+                return false;
+            }
+            pc = this.leaveFrame().returnAddress;
+        }
+    }
+    
+    // What a catch block receives: the thrown value, or a map describing
+    // an error raised by the runtime
+    errorValue(exception) {
+        if (Object.prototype.hasOwnProperty.call(exception, 'value')) {
+            return exception.value;
+        }
+        const value = new Map([['type', exception.name], ['message', exception.message]]);
+        if (exception.loc) {
+            value.set('line', exception.loc.start.line);
+        }
+        return value;
+    }
+    
+    // ============================================
+    // ARRAYS AND MAPS
+    // ============================================
+    
+    // Elements listed in `spread` are expanded; a map spreads its keys
+    opMakeArray(instruction) {
+        const values = this.popArgs(instruction.count);
+        const spread = new Set(instruction.spread || []);
+        const array = [];
+        
+        values.forEach((value, i) => {
+            if (!spread.has(i)) {
+                array.push(value);
+            } else if (value instanceof Map) {
+                array.push(...value.keys());
+            } else if (Array.isArray(value) || typeof value === 'string') {
+                array.push(...value);
+            } else {
+                throw new Error(`Cannot spread ${this.describe(value)}`);
+            }
+        });
+        this.stack.push(array);
+    }
+    
+    // A null key takes every entry of the map in its position
+    opMakeMap(instruction) {
+        const values = this.popArgs(instruction.keys.length);
+        const map = new Map();
+        
+        instruction.keys.forEach((key, i) => {
+            if (key !== null) {
+                map.set(key, values[i]);
+            } else if (values[i] instanceof Map) {
+                values[i].forEach((value, entry) => map.set(entry, value));
+            } else {
+                throw new Error(`Cannot spread ${this.describe(values[i])} into a map`);
+            }
+        });
+        this.stack.push(map);
+    }
+    
+    opIndexGet() {
+        const index = this.stack.pop();
+        const container = this.stack.pop();
+        
+        if (container instanceof Map) {
+            return this.stack.push(container.has(index) ? container.get(index) : null);
+        }
+        if (Array.isArray(container) || typeof container === 'string') {
+            return this.stack.push(container[this.position(container, index, container.length - 1)]);
+        }
+        // Host objects returned by natives and hardware operations
+        if (container !== null && typeof container === 'object') {
+            return this.stack.push(Object.prototype.hasOwnProperty.call(container, index)
+                ? container[index]
+                : null);
+        }
+        throw new Error(`Cannot index ${this.describe(container)}`);
+    }
+    
+    // Arrays can grow by one element at a time
+    opIndexSet() {
+        const value = this.stack.pop();
+        const index = this.stack.pop();
+        const container = this.stack.pop();
+        
+        if (container instanceof Map) {
+            container.set(index, value);
+        } else if (Array.isArray(container)) {
+            container[this.position(container, index, container.length)] = value;
+        } else if (container !== null && typeof container === 'object') {
+            container[index] = value;
+        } else {
+            throw new Error(`Cannot assign into ${this.describe(container)}`);
+        }
+        this.stack.push(value);
+    }
+    
+    position(container, index, last) {
+        if (!Number.isInteger(index)) {
+            throw new Error(`Index must be an integer, got ${this.describe(index)}`);
+        }
+        if (index < 0 || index > last) {
+            throw new Error(`Index ${index} out of range for length ${container.length}`);
+        }
+        return index;
+    }
+    
+    describe(value) {
+        if (value === null || value === undefined) return 'null';
+        if (value instanceof Map) return 'a map';
+        if (Array.isArray(value)) return 'an array';
+        return typeof value === 'object' ? 'an object' : `${typeof value} ${JSON.stringify(value)}`;
+    }
+    
     // ============================================
     // ARITHMETIC OPERATIONS
     // ============================================
@@ -520,28 +1262,107 @@ class APLRuntime {
     opDiv() {
         const b = this.stack.pop();
         const a = this.stack.pop();
-        if (b === 0) throw new Error('Division by zero');
+        if (b === 0) throw new DivisionByZero();
         this.stack.push(a / b);
     }
     
+    // ============================================
+    // COMPARISON OPERATIONS
+    // ============================================
+    
+    opCompare(opcode) {
+        const b = this.stack.pop();
+        const a = this.stack.pop();
+        
+        switch (opcode) {
+            case OPCODES.EQ: return this.stack.push(a === b);
+            case OPCODES.NE: return this.stack.push(a !== b);
+            case OPCODES.LT: return this.stack.push(a < b);
+            case OPCODES.LE: return this.stack.push(a <= b);
+            case OPCODES.GT: return this.stack.push(a > b);
+            case OPCODES.GE: return this.stack.push(a >= b);
+        }
+    }
+    
     // ============================================
     // HELPER METHODS
     // ============================================
     
+    // Top-level functions are registered by name. Nested ones are made
+    // with MAKE_CLOSURE and kept in a slot of the declaring frame, so a
+    // recursive call cannot replace the one an outer activation sees.
     opFuncDecl(instruction) {
-        this.functions.set(instruction.name, {
-            params: instruction.params,
-            address: this.pc + 1,
-            isAsync: instruction.isAsync
-        });
+        this.functions.set(instruction.name, this.closure(instruction));
         
         // Skip function body
+        if (instruction.end !== undefined) {
+            this.pc = instruction.end - 1;
+            return;
+        }
+        
         let depth = 1;
         while (depth > 0 && this.pc < this.bytecode.length) {
             this.pc++;
-            if (this.bytecode[this.pc].opcode === 'FUNC_DECL') depth++;
-            if (this.bytecode[this.pc].opcode === 0b10011) depth--; // RETURN
+            if (this.bytecode[this.pc].opcode === OPCODES.FUNC_DECL) depth++;
+            if (this.bytecode[this.pc].opcode === OPCODES.RETURN) depth--;
+        }
+    }
+    
+    // Push a function value and skip its body
+    opMakeClosure(instruction) {
+        this.stack.push(this.closure(instruction));
+        this.pc = instruction.end - 1;
+    }
+    
+    // A declared function used as a value
+    opFuncRef(instruction) {
+        const func = this.functions.get(instruction.name);
+        if (!func) {
+            throw new Error(`Undefined function: ${instruction.name}`);
+        }
+        this.stack.push(func);
+    }
+    
+    // Function whose body starts after the current instruction, closing
+    // over the current frame
+    closure(instruction) {
+        return new Closure({
+            name: instruction.name,
+            params: instruction.params,
+            slots: instruction.slots,
+            address: this.pc + 1,
+            isAsync: instruction.isAsync
+        }, this.frame);
+    }
+    
+    /**
+     * Dispatch a hardware operation without a dedicated opcode
+     */
+    opHardware(instruction) {
+        const args = this.popArgs(instruction.argCount);
+        this.stack.push({
+            operation: instruction.operation,
+            hardwareUnit: instruction.hardwareUnit,
+            args,
+            status: 'executed'
+        });
+    }
+    
+    // Arguments of a call; a spread call passes them as one array
+    callArgs(instruction) {
+        if (!instruction.spread) {
+            return this.popArgs(instruction.argCount);
         }
+        const args = this.stack.pop();
+        return Array.isArray(args) ? args : [args];
+    }
+    
+    popArgs(count = 0) {
+        const args = [];
+        for (let i = 0; i < count; i++) {
+            args.unshift(this.stack.pop());
+        }
+        return args;
     }
     
     evalExpression(expr) {
@@ -564,19 +1385,48 @@ class APLRuntime {
     }
     
     /**
-     * Register native functions
+     * Register a native function. `options.params` lists its parameter
+     * types (without it any arguments are passed), `options.returns` its
+     * result type and `options.pure` marks it free of side effects.
      */
-    registerNative(name, func) {
+    registerNative(name, func, options = {}) {
         this.globals.set(name, func);
+        this.natives.set(name, {
+            name,
+            func,
+            params: options.params || null,
+            returns: options.returns || 'Any',
+            pure: !!options.pure
+        });
+    }
+    
+    // Slot names of `frame` from the source map
+    slotNames(frame) {
+        if (!this.sourceMap) {
+            return [];
+        }
+        return this.sourceMap.slotNames(frame.function ? frame.function.address : null);
     }
     
     /**
-     * Get current state
+     * Snapshot for debuggers. `trace` is the APL call stack innermost
+     * first, each entry located in the source, and `location` the
+     * source position of the current pc.
      */
     getState() {
         return {
-            memory: Object.fromEntries(this.memory),
+            memory: {
+                ...Object.fromEntries(this.memory),
+                ...this.globalFrame.variables(this.slotNames(this.globalFrame))
+            },
+            locals: this.frame.variables(this.slotNames(this.frame)),
             stack: [...this.stack],
+            callStack: this.callStack.map(frame => ({
+                function: frame.function.name || '<anonymous>',
+                pc: frame.returnAddress
+            })),
+            trace: this.bytecode ? this.trace() : [],
+            location: this.bytecode ? this.locate(this.pc) : null,
             quantumState: this.quantumState,
             neuralState: this.neuralState,
             pc: this.pc
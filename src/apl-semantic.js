@@ -0,0 +1,579 @@
+/**
+ * APL Semantic Analyzer
+ * Resolves names to lexical declarations and assigns frame slots
+ * Version: 1.0.0
+ */
+
+const Diagnostics = typeof require === 'function' ? require('./apl-diagnostics') : window.APLDiagnostics;
+
+// Frame of one function (or the top-level program): slot allocation and
+// the names that will be declared somewhere in its body
+class FunctionContext {
+    constructor(parent, names) {
+        this.parent = parent;
+        this.locals = [];
+        this.names = names;
+    }
+
+    allocate(name) {
+        this.locals.push(name);
+        return this.locals.length - 1;
+    }
+
+    get isProgram() {
+        return this.parent === null;
+    }
+}
+
+class Scope {
+    constructor(parent, context) {
+        this.parent = parent;
+        this.context = context;
+        this.bindings = new Map();
+    }
+}
+
+class APLSemanticAnalyzer {
+    /**
+     * `options.globals` lists names provided by the host (natives)
+     */
+    constructor(diagnostics, options = {}) {
+        this.diagnostics = diagnostics;
+        this.globals = new Set(options.globals || []);
+        this.scope = null;
+
+        // Function expressions with the scope they close over, analyzed
+        // once the whole program has been seen
+        this.closures = [];
+
+        // Module interface: global slot of each exported name, and the
+        // global slots imported names are read from
+        this.exports = {};
+        this.imports = [];
+    }
+
+    /**
+     * Annotate a Program node in place. Identifiers, assignments,
+     * declarations and loops get `binding: { slot, scope, depth? }`;
+     * functions and the program get `frame: { slots, locals }`.
+     * The program also gets `exports: { name: slot }` and
+     * `imports: [{ source, loc, names: [{ imported, local, slot, loc }] }]`.
+     */
+    analyze(ast) {
+        const context = new FunctionContext(null, this.declaredNames(ast.body));
+        this.scope = new Scope(null, context);
+        this.block(ast.body, false);
+
+        while (this.closures.length > 0) {
+            const { node, scope } = this.closures.shift();
+            this.scope = scope;
+            this.functionBody(node);
+        }
+
+        ast.frame = this.frame(context);
+        ast.exports = this.exports;
+        ast.imports = this.imports;
+        return ast;
+    }
+
+    // ============================================
+    // SCOPES
+    // ============================================
+
+    withScope(context, analyze) {
+        const outer = this.scope;
+        this.scope = new Scope(outer, context || outer.context);
+        try {
+            return analyze();
+        } finally {
+            this.scope = outer;
+        }
+    }
+
+    functionScope() {
+        let scope = this.scope;
+        while (scope.parent && scope.parent.context === scope.context) {
+            scope = scope.parent;
+        }
+        return scope;
+    }
+
+    /**
+     * Add a binding. Bindings start out undeclared unless `declared` is
+     * set; reading them before their declaration is an error.
+     */
+    declare(scope, name, kind, node, declared = false) {
+        const existing = scope.bindings.get(name);
+        if (existing) {
+            const redeclarable = kind === 'var' && (existing.kind === 'var' || existing.kind === 'implicit');
+            if (!redeclarable) {
+                this.report(Diagnostics.Code.DUPLICATE_DECLARATION,
+                    `'${name}' is already declared in this scope`, node);
+            }
+            return existing;
+        }
+
+        const binding = { name, kind, declared, context: scope.context };
+        if (kind !== 'function') {
+            binding.slot = scope.context.allocate(name);
+        }
+        scope.bindings.set(name, binding);
+        return binding;
+    }
+
+    lookup(name) {
+        for (let scope = this.scope; scope; scope = scope.parent) {
+            if (scope.bindings.has(name)) {
+                return scope.bindings.get(name);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Resolve a name for reading or writing. Returns the binding, or
+     * null after reporting why it cannot be used here.
+     */
+    resolve(name, node) {
+        const binding = this.lookup(name);
+
+        if (!binding) {
+            if (this.willDeclare(name, node)) {
+                this.report(Diagnostics.Code.USE_BEFORE_DECLARATION,
+                    `'${name}' is used before its declaration`, node);
+            } else if (!this.globals.has(name)) {
+                this.report(Diagnostics.Code.UNDEFINED_NAME, `Undefined name '${name}'`, node);
+            }
+            return null;
+        }
+
+        if (!binding.declared) {
+            this.report(Diagnostics.Code.USE_BEFORE_DECLARATION,
+                `'${name}' is used before its declaration`, node);
+            return null;
+        }
+
+        return binding;
+    }
+
+    // A declaration after `node` in this or an enclosing function
+    willDeclare(name, node) {
+        const offset = node && node.loc ? node.loc.start.offset : -1;
+        for (let context = this.scope.context; context; context = context.parent) {
+            const offsets = context.names.get(name) || [];
+            if (offsets.some(declared => declared > offset)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Slot reference recorded on AST nodes for the code generator.
+     * Locals of an enclosing function are reached through `depth`
+     * closure environments.
+     */
+    reference(binding) {
+        if (binding.context.isProgram) {
+            return { slot: binding.slot, scope: 'global' };
+        }
+        let depth = 0;
+        for (let context = this.scope.context; context !== binding.context; context = context.parent) {
+            depth++;
+        }
+        return depth === 0
+            ? { slot: binding.slot, scope: 'local' }
+            : { slot: binding.slot, scope: 'closure', depth };
+    }
+
+    frame(context) {
+        return { slots: context.locals.length, locals: [...context.locals] };
+    }
+
+    report(code, message, node, hints) {
+        this.diagnostics.error(code, message, node && node.loc ? node.loc : null, hints);
+    }
+
+    // ============================================
+    // STATEMENTS
+    // ============================================
+
+    /**
+     * Analyze a statement list in the current scope. Functions and
+     * let/const names are bound up front; function bodies are analyzed
+     * once the whole list has been seen, so they can use names declared
+     * after them.
+     */
+    block(statements, ownScope = true) {
+        const analyze = () => {
+            const functions = statements.filter(node => node.type === 'FunctionDeclaration');
+
+            statements
+                .filter(node => node.type === 'ImportDeclaration')
+                .forEach(node => this.importDeclaration(node));
+            functions.forEach(node => {
+                const binding = this.declare(this.scope, node.name, 'function', node, true);
+                if (node.exported) {
+                    this.exportFunction(node, binding);
+                } else if (this.scope.parent) {
+                    this.localFunction(node, binding);
+                }
+            });
+            statements
+                .filter(node => node.type === 'VariableDeclaration' && node.kind !== 'var')
+                .forEach(node => this.declare(this.scope, node.name, node.kind, node));
+
+            statements
+                .filter(node => node.type !== 'FunctionDeclaration')
+                .forEach(node => this.statement(node));
+
+            functions.forEach(node => this.functionDeclaration(node));
+        };
+
+        return ownScope ? this.withScope(null, analyze) : analyze();
+    }
+
+    statement(node) {
+        switch (node.type) {
+            case 'VariableDeclaration':
+                return this.variableDeclaration(node);
+            case 'ReturnStatement':
+                return node.argument && this.expression(node.argument);
+            case 'IfStatement':
+                this.expression(node.test);
+                this.block(node.consequent);
+                return node.alternate && this.block(node.alternate);
+            case 'WhileStatement':
+                this.expression(node.test);
+                return this.block(node.body);
+            case 'ForInStatement':
+                return this.forInStatement(node);
+            case 'TryStatement':
+                return this.tryStatement(node);
+            case 'ThrowStatement':
+                return this.expression(node.argument);
+            case 'BreakStatement':
+            case 'ContinueStatement':
+            case 'ImportDeclaration':
+            case 'Unknown':
+                return;
+            default:
+                return this.expression(node);
+        }
+    }
+
+    // ============================================
+    // MODULES
+    // ============================================
+
+    /**
+     * Imported names are global variables. The linker points their
+     * slots at the exporting module's slots.
+     */
+    importDeclaration(node) {
+        const names = node.specifiers.map(specifier => {
+            const binding = this.declare(this.scope, specifier.local, 'import', specifier, true);
+            specifier.binding = this.reference(binding);
+            return {
+                imported: specifier.imported,
+                local: specifier.local,
+                slot: binding.slot,
+                loc: specifier.loc || null
+            };
+        });
+        this.imports.push({ source: node.source, loc: node.loc || null, names });
+    }
+
+    // An exported function is also stored in a global slot, so other
+    // modules can read it like a variable
+    exportFunction(node, binding) {
+        binding.slot = this.scope.context.allocate(node.name);
+        node.binding = this.reference(binding);
+        this.exports[node.name] = binding.slot;
+    }
+
+    // A function declared inside a block or function is a variable of
+    // the enclosing function, so each activation has its own. Only
+    // top-level functions are called by name.
+    localFunction(node, binding) {
+        binding.slot = this.scope.context.allocate(node.name);
+        binding.local = true;
+        node.local = true;
+        node.binding = this.reference(binding);
+    }
+
+    variableDeclaration(node) {
+        if (node.init) {
+            this.expression(node.init);
+        }
+
+        // var is function-scoped; let/const were bound on block entry
+        const binding = node.kind === 'var'
+            ? this.declare(this.functionScope(), node.name, 'var', node)
+            : this.scope.bindings.get(node.name);
+
+        binding.declared = true;
+        node.binding = this.reference(binding);
+        if (node.exported) {
+            this.exports[node.name] = binding.slot;
+        }
+    }
+
+    forInStatement(node) {
+        this.expression(node.iterable);
+        this.withScope(null, () => {
+            const binding = this.declare(this.scope, node.variable, 'let', node, true);
+            node.binding = this.reference(binding);
+            this.block(node.body, false);
+        });
+    }
+
+    /**
+     * The catch clause is a scope holding the error name. A finally
+     * block keeps the error it is running for in a hidden slot
+     * (`errorBinding`) until it is thrown on.
+     */
+    tryStatement(node) {
+        this.block(node.block);
+        if (node.handler) {
+            const { handler } = node;
+            this.withScope(null, () => {
+                if (handler.param) {
+                    const binding = this.declare(this.scope, handler.param, 'let', handler, true);
+                    handler.binding = this.reference(binding);
+                }
+                this.block(handler.body, false);
+            });
+        }
+        if (node.finalizer) {
+            const context = this.scope.context;
+            node.errorBinding = this.reference({ slot: context.allocate('(error)'), context });
+            this.block(node.finalizer);
+        }
+    }
+
+    functionDeclaration(node) {
+        this.functionBody(node);
+    }
+
+    // Parameters and body of a declaration or function expression
+    functionBody(node) {
+        const params = node.params.map(param => typeof param === 'string' ? param : param.name);
+        const context = new FunctionContext(this.scope.context, this.declaredNames(node.body));
+
+        this.withScope(context, () => {
+            node.paramSlots = params.map(name =>
+                this.declare(this.scope, name, 'param', node, true).slot
+            );
+            this.block(node.body, false);
+        });
+
+        node.frame = this.frame(context);
+    }
+
+    /**
+     * Every name a function body declares, excluding nested functions,
+     * with the offsets of its declarations. Used to tell "used too
+     * early" apart from "never declared".
+     */
+    declaredNames(statements) {
+        const names = new Map();
+        const add = (name, node) => {
+            const offsets = names.get(name) || [];
+            offsets.push(node.loc ? node.loc.start.offset : Infinity);
+            names.set(name, offsets);
+        };
+        const visit = (node) => {
+            if (!node || typeof node !== 'object' ||
+                node.type === 'FunctionDeclaration' || node.type === 'FunctionExpression') {
+                return;
+            }
+            if (Array.isArray(node)) {
+                node.forEach(visit);
+                return;
+            }
+            if (node.type === 'VariableDeclaration') {
+                add(node.name, node);
+            } else if (node.type === 'AssignmentExpression' && node.left.type === 'Identifier') {
+                add(node.left.name, node);
+            } else if (node.type === 'ForInStatement') {
+                add(node.variable, node);
+            } else if (node.type === 'CatchClause' && node.param) {
+                add(node.param, node);
+            }
+            for (const [key, value] of Object.entries(node)) {
+                if (key !== 'loc') visit(value);
+            }
+        };
+        visit(statements);
+        return names;
+    }
+
+    // ============================================
+    // EXPRESSIONS
+    // ============================================
+
+    expression(node) {
+        switch (node.type) {
+            case 'Identifier':
+                return this.identifier(node);
+
+            case 'AssignmentExpression':
+                return this.assignment(node);
+
+            case 'CallExpression':
+                this.callee(node.callee);
+                return node.arguments.forEach(arg => this.expression(arg));
+
+            case 'BinaryExpression':
+            case 'LogicalExpression':
+                this.expression(node.left);
+                return this.expression(node.right);
+
+            case 'UnaryExpression':
+                return this.expression(node.argument);
+
+            case 'HardwareOperation':
+                return node.params.forEach(param => this.expression(param));
+
+            case 'FunctionExpression':
+                this.closures.push({ node, scope: this.scope });
+                return;
+
+            case 'ArrayExpression':
+                return node.elements.forEach(element => this.expression(element));
+
+            case 'MapExpression':
+                return node.entries.forEach(entry => this.expression(entry.type === 'MapEntry' ? entry.value : entry));
+
+            case 'SpreadElement':
+                return this.expression(node.argument);
+
+            case 'IndexExpression':
+                this.expression(node.object);
+                return this.expression(node.index);
+
+            case 'MemberExpression':
+                return this.expression(node.object);
+
+            case 'MatchExpression':
+                return this.matchExpression(node);
+
+            default:
+                return;
+        }
+    }
+
+    /**
+     * The subject is kept in a hidden slot of the enclosing function
+     * (`subjectBinding`) while the arms are tried. Each arm is a scope
+     * holding the names its pattern binds.
+     */
+    matchExpression(node) {
+        this.expression(node.subject);
+        const context = this.scope.context;
+        node.subjectBinding = this.reference({ slot: context.allocate('(match)'), context });
+
+        node.arms.forEach(arm => this.withScope(null, () => {
+            this.pattern(arm.pattern);
+            if (arm.guard) {
+                this.expression(arm.guard);
+            }
+            this.expression(arm.body);
+        }));
+    }
+
+    pattern(node) {
+        switch (node.type) {
+            case 'BindingPattern': {
+                const binding = this.declare(this.scope, node.name, 'let', node, true);
+                node.binding = this.reference(binding);
+                return;
+            }
+            case 'ArrayPattern':
+                node.elements.forEach(element => this.pattern(element));
+                return node.rest && this.pattern(node.rest);
+            case 'MapPattern':
+                return node.entries.forEach(entry => this.pattern(entry.pattern));
+            default:
+                return;
+        }
+    }
+
+    // A top-level function used as a value is marked `function`
+    identifier(node) {
+        const binding = this.resolve(node.name, node);
+        if (binding && binding.kind === 'function' && !binding.local) {
+            node.function = true;
+        } else if (binding) {
+            node.binding = this.reference(binding);
+        }
+    }
+
+    /**
+     * Top-level functions and natives are called by name; any other
+     * callee is evaluated and its value called. Natives are marked
+     * `native`.
+     */
+    callee(node) {
+        if (node.type !== 'Identifier') {
+            return this.expression(node);
+        }
+        const binding = this.lookup(node.name);
+        if (binding && (binding.kind !== 'function' || binding.local)) {
+            this.identifier(node);
+        } else if (!binding && this.globals.has(node.name)) {
+            node.native = true;
+        } else if (!binding) {
+            this.report(Diagnostics.Code.UNDEFINED_NAME, `Undefined function '${node.name}'`, node);
+        }
+    }
+
+    assignment(node) {
+        this.expression(node.right);
+
+        // Storing into an element or member only reads the container
+        if (node.left.type !== 'Identifier') {
+            return this.expression(node.left);
+        }
+
+        const name = node.left.name;
+        const existing = this.lookup(name);
+
+        // Assigning a name that is not in scope declares it in the
+        // enclosing function
+        if (!existing) {
+            const binding = this.declare(this.functionScope(), name, 'implicit', node.left, true);
+            node.left.binding = this.reference(binding);
+            return;
+        }
+
+        const binding = this.resolve(name, node.left);
+        if (!binding) {
+            return;
+        }
+        if (binding.kind === 'const') {
+            this.report(Diagnostics.Code.CONST_REASSIGNMENT,
+                `Cannot assign to constant '${name}'`, node.left,
+                [`Declare it with 'let' to allow reassignment`]);
+            return;
+        }
+        if (binding.kind === 'function') {
+            this.report(Diagnostics.Code.INVALID_ASSIGNMENT,
+                `Cannot assign to function '${name}'`, node.left);
+            return;
+        }
+        if (binding.kind === 'import') {
+            this.report(Diagnostics.Code.IMPORTED_ASSIGNMENT,
+                `Cannot assign to imported '${name}'`, node.left,
+                ['Imported names can only be changed by the module that exports them']);
+            return;
+        }
+        node.left.binding = this.reference(binding);
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = APLSemanticAnalyzer;
+} else if (typeof window !== 'undefined') {
+    window.APLSemanticAnalyzer = APLSemanticAnalyzer;
+}
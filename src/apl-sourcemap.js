@@ -0,0 +1,126 @@
+/**
+ * APL Source Map
+ * Maps bytecode addresses back to APL source
+ * Version: 1.0.0
+ */
+
+const SOURCE_MAP_VERSION = 1;
+
+/**
+ * Compiled code carries its source map as plain data in
+ * `code.sourceMap`, so it can be linked, serialized and sent to tools:
+ *
+ *   {
+ *     version: 1,
+ *     sources: [{ file, mode }],
+ *     mappings: [[pc, source, line, column, endLine, endColumn]],
+ *     functions: [{ name, start, end, source, line, column, locals }],
+ *     globals: [name by slot]
+ *   }
+ *
+ * `file` is null for source compiled without a filename; `mode` is
+ * 'ascii' or 'runic'. Lines count from 1 and columns from 0, as in AST
+ * locations; columns are UTF-16 indices into the line of the original
+ * text, as editors count them, so a character outside the Basic
+ * Multilingual Plane takes two columns. `mappings` is sorted by pc.
+ * A function's body runs from `start` to `end` and `locals` names its
+ * frame slots.
+ *
+ * APLSourceMap wraps that data for lookups.
+ */
+class APLSourceMap {
+    constructor(data) {
+        this.data = data;
+    }
+
+    /**
+     * Source map data for code generated from one source. `file` and
+     * `mode` describe that source.
+     */
+    static create({ file = null, mode = 'ascii' } = {}) {
+        return {
+            version: SOURCE_MAP_VERSION,
+            sources: [{ file, mode }],
+            mappings: [],
+            functions: [],
+            globals: []
+        };
+    }
+
+    /**
+     * Where the instruction at `pc` came from: { file, mode, line,
+     * column, endLine, endColumn, function }, or null when the map has
+     * no position for it. `function` is the innermost enclosing
+     * function's name, or null in top-level code.
+     */
+    lookup(pc) {
+        const mapping = this.mapping(pc);
+        if (!mapping) {
+            return null;
+        }
+        const [, sourceIndex, line, column, endLine, endColumn] = mapping;
+        const source = this.data.sources[sourceIndex] || {};
+        const func = this.functionAt(pc);
+        return {
+            file: source.file || null,
+            mode: source.mode || null,
+            line,
+            column,
+            endLine,
+            endColumn,
+            function: func ? func.name : null
+        };
+    }
+
+    // Exact mapping for `pc`
+    mapping(pc) {
+        const { mappings } = this.data;
+        let low = 0;
+        let high = mappings.length - 1;
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            const at = mappings[middle][0];
+            if (at === pc) {
+                return mappings[middle];
+            }
+            if (at < pc) {
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return null;
+    }
+
+    // Innermost function whose body contains `pc`
+    functionAt(pc) {
+        return this.data.functions
+            .filter(func => func.start <= pc && pc < func.end)
+            .reduce((inner, func) => (!inner || func.start > inner.start ? func : inner), null);
+    }
+
+    /**
+     * Slot names of the function whose body starts at `start`, or of
+     * the global frame when `start` is null
+     */
+    slotNames(start = null) {
+        if (start === null) {
+            return this.data.globals;
+        }
+        const func = this.data.functions.find(candidate => candidate.start === start);
+        return func ? func.locals : [];
+    }
+
+    toJSON() {
+        return this.data;
+    }
+}
+
+APLSourceMap.VERSION = SOURCE_MAP_VERSION;
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = APLSourceMap;
+} else if (typeof window !== 'undefined') {
+    window.APLSourceMap = APLSourceMap;
+}
@@ -0,0 +1,679 @@
+/**
+ * APL Type Checker
+ * Checks optional type annotations and hardware operation signatures
+ * Version: 1.0.0
+ */
+
+const Diagnostics = typeof require === 'function' ? require('./apl-diagnostics') : window.APLDiagnostics;
+const RunicRegistry = typeof require === 'function' ? require('./runic-registry') : window.APLRunicRegistry;
+
+const NUMERIC = ['Int', 'Float'];
+const ITERABLE = ['Array', 'Map', 'String', 'Any'];
+
+// Types whose values have no members
+const SCALAR = ['Int', 'Float', 'Bool', 'String', 'Null', 'Array', 'Function'];
+
+class APLTypeChecker {
+    /**
+     * `options.natives` gives the { params, returns } natives were
+     * registered with
+     */
+    constructor(diagnostics, options = {}) {
+        this.diagnostics = diagnostics;
+        this.typeNames = RunicRegistry.typeNames();
+
+        // Signatures of top-level functions, by name, and of every
+        // declared function, by node
+        this.functions = new Map();
+        this.signatures = new Map();
+        this.natives = options.natives || {};
+
+        // Variable types by slot: { type, declared }
+        this.globals = new Map();
+        this.locals = this.globals;
+
+        // Declared return type of the function being checked
+        this.returnType = null;
+    }
+
+    /**
+     * Check a Program node annotated by semantic analysis
+     */
+    check(ast) {
+        this.collectFunctions(ast.body);
+        this.block(ast.body);
+        return ast;
+    }
+
+    // ============================================
+    // TYPES
+    // ============================================
+
+    // `from` can be stored where `to` is expected. Null fits any type
+    // and Int widens to Float.
+    assignable(from, to) {
+        return from === to || from === 'Any' || to === 'Any' || from === 'Null' ||
+            (from === 'Int' && to === 'Float');
+    }
+
+    annotation(node) {
+        if (!node) {
+            return null;
+        }
+        if (!this.typeNames.includes(node.name)) {
+            this.report(Diagnostics.Code.UNKNOWN_TYPE, `Unknown type '${node.name}'`, node,
+                [`Known types: ${this.typeNames.join(', ')}`]);
+            return 'Any';
+        }
+        return node.name;
+    }
+
+    expect(type, expected, node, what) {
+        if (!this.assignable(type, expected)) {
+            this.report(Diagnostics.Code.TYPE_MISMATCH,
+                `${what} expects ${expected} but got ${type}`, node);
+        }
+    }
+
+    report(code, message, node, hints) {
+        this.diagnostics.error(code, message, node && node.loc ? node.loc : null, hints);
+    }
+
+    // ============================================
+    // VARIABLES
+    // ============================================
+
+    // Variables captured from an enclosing function are not tracked
+    variables(binding) {
+        if (binding.scope === 'closure') {
+            return new Map();
+        }
+        return binding.scope === 'global' ? this.globals : this.locals;
+    }
+
+    typeOf(binding) {
+        const entry = binding && this.variables(binding).get(binding.slot);
+        return entry ? entry.type : 'Any';
+    }
+
+    // Unannotated variables take the type of their first value; a later
+    // value of another type widens them to Any. A variable keeps the
+    // signature of the function expression it was first bound to until
+    // it is assigned again.
+    assign(binding, type, node, value) {
+        if (!binding) {
+            return;
+        }
+        const variables = this.variables(binding);
+        const entry = variables.get(binding.slot);
+
+        if (!entry) {
+            variables.set(binding.slot, {
+                type: type === 'Null' ? 'Any' : type,
+                declared: false,
+                signature: this.valueSignature(value)
+            });
+            return;
+        }
+        entry.signature = null;
+        if (entry.declared) {
+            this.expect(type, entry.type, node, `'${node.name}'`);
+        } else if (!this.assignable(type, entry.type)) {
+            entry.type = 'Any';
+        }
+    }
+
+    valueSignature(value) {
+        return value && value.type === 'FunctionExpression' ? this.signatures.get(value) || null : null;
+    }
+
+    // ============================================
+    // STATEMENTS
+    // ============================================
+
+    collectFunctions(statements) {
+        const visit = (node) => {
+            if (!node || typeof node !== 'object') return;
+            if (Array.isArray(node)) {
+                node.forEach(visit);
+                return;
+            }
+            if (node.type === 'FunctionDeclaration') {
+                const signature = {
+                    params: node.params.map((_, i) =>
+                        this.annotation(node.paramTypes && node.paramTypes[i]) || 'Any'),
+                    returns: this.annotation(node.returnType) || 'Any'
+                };
+                this.signatures.set(node, signature);
+                if (!node.local) {
+                    this.functions.set(node.name, signature);
+                }
+            }
+            for (const [key, value] of Object.entries(node)) {
+                if (key !== 'loc') visit(value);
+            }
+        };
+        visit(statements);
+    }
+
+    // Function bodies are checked after the statements around them, as
+    // in semantic analysis. Functions declared in a block are variables
+    // that carry their signature.
+    block(statements) {
+        statements
+            .filter(node => node.type === 'FunctionDeclaration' && node.local)
+            .forEach(node => this.variables(node.binding).set(node.binding.slot,
+                { type: 'Function', declared: true, signature: this.signatures.get(node) }));
+        statements
+            .filter(node => node.type !== 'FunctionDeclaration')
+            .forEach(node => this.statement(node));
+        statements
+            .filter(node => node.type === 'FunctionDeclaration')
+            .forEach(node => this.functionDeclaration(node));
+    }
+
+    statement(node) {
+        switch (node.type) {
+            case 'VariableDeclaration':
+                return this.variableDeclaration(node);
+            case 'ReturnStatement':
+                return this.returnStatement(node);
+            case 'IfStatement':
+                this.expression(node.test);
+                this.block(node.consequent);
+                return node.alternate && this.block(node.alternate);
+            case 'WhileStatement':
+                this.expression(node.test);
+                return this.block(node.body);
+            case 'ForInStatement':
+                return this.forInStatement(node);
+            case 'TryStatement':
+                return this.tryStatement(node);
+            case 'ThrowStatement':
+                return this.expression(node.argument);
+            case 'BreakStatement':
+            case 'ContinueStatement':
+            case 'ImportDeclaration':
+            case 'Unknown':
+                return;
+            default:
+                return this.expression(node);
+        }
+    }
+
+    variableDeclaration(node) {
+        const declared = this.annotation(node.typeAnnotation);
+        const type = node.init ? this.expression(node.init) : 'Null';
+
+        node.valueType = declared || type;
+        if (!node.binding) {
+            return;
+        }
+        if (declared) {
+            this.expect(type, declared, node.init || node, `'${node.name}'`);
+            this.variables(node.binding).set(node.binding.slot,
+                { type: declared, declared: true, signature: this.valueSignature(node.init) });
+        } else {
+            this.variables(node.binding).delete(node.binding.slot);
+            this.assign(node.binding, type, node, node.init);
+        }
+    }
+
+    returnStatement(node) {
+        const type = node.argument ? this.expression(node.argument) : 'Null';
+        if (this.returnType) {
+            this.expect(type, this.returnType, node.argument || node, 'Return value');
+        }
+    }
+
+    forInStatement(node) {
+        const type = this.expression(node.iterable);
+        if (!ITERABLE.includes(type)) {
+            this.report(Diagnostics.Code.TYPE_MISMATCH, `Cannot iterate over ${type}`, node.iterable);
+        }
+        if (node.binding) {
+            this.variables(node.binding).set(node.binding.slot, { type: 'Any', declared: false });
+        }
+        this.block(node.body);
+    }
+
+    // Anything can be thrown, so the caught error is Any
+    tryStatement(node) {
+        this.block(node.block);
+        if (node.handler) {
+            if (node.handler.binding) {
+                this.variables(node.handler.binding).set(node.handler.binding.slot, { type: 'Any', declared: false });
+            }
+            this.block(node.handler.body);
+        }
+        if (node.finalizer) {
+            this.block(node.finalizer);
+        }
+    }
+
+    functionDeclaration(node) {
+        this.functionBody(node, this.signatures.get(node));
+    }
+
+    functionBody(node, signature) {
+        const outer = { locals: this.locals, returnType: this.returnType };
+
+        this.locals = new Map();
+        this.returnType = node.returnType ? signature.returns : null;
+        (node.paramSlots || []).forEach((slot, i) => {
+            this.locals.set(slot, { type: signature.params[i], declared: true });
+        });
+
+        try {
+            this.block(node.body);
+        } finally {
+            this.locals = outer.locals;
+            this.returnType = outer.returnType;
+        }
+
+        if (node.returnType && signature.returns !== 'Null' && !this.returns(node.body)) {
+            const name = node.name ? `'${node.name}'` : 'Function';
+            this.report(Diagnostics.Code.TYPE_MISMATCH,
+                `${name} is declared to return ${signature.returns} but can reach the end of its body without returning`,
+                node, ['Add a return or throw at the end of every path']);
+        }
+    }
+
+    // ============================================
+    // RETURN PATHS
+    // ============================================
+
+    /**
+     * Whether every path through the statements ends in a return or
+     * throw. An if needs both branches to, a try its block and catch
+     * (or just its finally), and `while true` no break. A match's arms
+     * are expressions, so a match ends a path only as `return match ...`.
+     */
+    returns(statements) {
+        return statements.some(node => this.terminates(node));
+    }
+
+    terminates(node) {
+        switch (node.type) {
+            case 'ReturnStatement':
+            case 'ThrowStatement':
+                return true;
+            case 'IfStatement':
+                return !!node.alternate && this.returns(node.consequent) && this.returns(node.alternate);
+            case 'TryStatement':
+                return (!!node.finalizer && this.returns(node.finalizer)) ||
+                    (this.returns(node.block) && (!node.handler || this.returns(node.handler.body)));
+            case 'WhileStatement':
+                return node.test.type === 'BooleanLiteral' && node.test.value === true && !this.breaks(node.body);
+            default:
+                return false;
+        }
+    }
+
+    // A break that leaves the enclosing loop, not one of a nested loop
+    breaks(statements) {
+        return statements.some(node => {
+            switch (node.type) {
+                case 'BreakStatement':
+                    return true;
+                case 'IfStatement':
+                    return this.breaks(node.consequent) || (!!node.alternate && this.breaks(node.alternate));
+                case 'TryStatement':
+                    return this.breaks(node.block) || (!!node.handler && this.breaks(node.handler.body)) ||
+                        (!!node.finalizer && this.breaks(node.finalizer));
+                default:
+                    return false;
+            }
+        });
+    }
+
+    // ============================================
+    // EXPRESSIONS
+    // ============================================
+
+    // Each expression node is stamped with its `valueType` for later passes
+    expression(node) {
+        node.valueType = this.inferType(node);
+        return node.valueType;
+    }
+
+    inferType(node) {
+        switch (node.type) {
+            case 'NumberLiteral':
+                return Number.isInteger(node.value) ? 'Int' : 'Float';
+            case 'StringLiteral':
+                return 'String';
+            case 'BooleanLiteral':
+                return 'Bool';
+            case 'NullLiteral':
+                return 'Null';
+
+            case 'Identifier':
+                return node.function ? 'Function' : this.typeOf(node.binding);
+
+            case 'FunctionExpression': {
+                const signature = {
+                    params: node.params.map((_, i) => this.annotation(node.paramTypes[i]) || 'Any'),
+                    returns: this.annotation(node.returnType) || 'Any'
+                };
+                this.signatures.set(node, signature);
+                this.functionBody(node, signature);
+                return 'Function';
+            }
+
+            case 'AssignmentExpression': {
+                const type = this.expression(node.right);
+                if (node.left.type !== 'Identifier') {
+                    this.elementAssignment(node.left);
+                } else {
+                    this.assign(node.left.binding, type, node.left, node.right);
+                }
+                return type;
+            }
+
+            case 'ArrayExpression':
+                node.elements.forEach(element => this.expression(element));
+                return 'Array';
+
+            case 'MapExpression':
+                node.entries.forEach(entry => {
+                    if (entry.type === 'MapEntry') {
+                        this.expression(entry.value);
+                    } else {
+                        this.expect(this.expression(entry.argument), 'Map', entry.argument, 'Spreading into a map');
+                    }
+                });
+                return 'Map';
+
+            case 'SpreadElement': {
+                const type = this.expression(node.argument);
+                if (!ITERABLE.includes(type)) {
+                    this.report(Diagnostics.Code.TYPE_MISMATCH, `Cannot spread ${type}`, node.argument);
+                }
+                return 'Any';
+            }
+
+            case 'IndexExpression':
+                return this.index(node);
+
+            case 'MemberExpression':
+                return this.member(node);
+
+            case 'MatchExpression':
+                return this.matchExpression(node);
+
+            case 'CallExpression':
+                return this.call(node);
+
+            case 'BinaryExpression':
+                return this.binary(node);
+
+            case 'LogicalExpression': {
+                const left = this.expression(node.left);
+                const right = this.expression(node.right);
+                return left === right ? left : 'Any';
+            }
+
+            case 'UnaryExpression': {
+                const type = this.expression(node.argument);
+                if (node.operator === 'not') {
+                    return 'Bool';
+                }
+                this.expect(type, 'Float', node.argument, "Operator '-'");
+                return type === 'Int' ? 'Int' : type === 'Any' ? 'Any' : 'Float';
+            }
+
+            case 'HardwareOperation':
+                return this.hardwareOperation(node);
+
+            default:
+                return 'Any';
+        }
+    }
+
+    binary(node) {
+        const left = this.expression(node.left);
+        const right = this.expression(node.right);
+        const { operator } = node;
+
+        if (operator === '==' || operator === '!=') {
+            return 'Bool';
+        }
+
+        const numeric = [left, right].every(type => NUMERIC.includes(type) || type === 'Any');
+        const strings = [left, right].every(type => type === 'String' || type === 'Any');
+
+        switch (operator) {
+            case '<':
+            case '<=':
+            case '>':
+            case '>=':
+                if (numeric || strings) return 'Bool';
+                break;
+
+            case '..':
+                if (numeric) return 'Array';
+                break;
+
+            case '+':
+                if (left === 'String' || right === 'String') return 'String';
+            // falls through
+            case '-':
+            case '*':
+            case '/':
+                if (!numeric) break;
+                if (left === 'Any' || right === 'Any') return 'Any';
+                if (operator === '/' || left === 'Float' || right === 'Float') return 'Float';
+                return 'Int';
+        }
+
+        this.report(Diagnostics.Code.TYPE_MISMATCH,
+            `Operator '${operator}' cannot be applied to ${left} and ${right}`, node);
+        return 'Any';
+    }
+
+    // Arrays and strings take Int indexes; maps take any key
+    index(node) {
+        const type = this.expression(node.object);
+        const index = this.expression(node.index);
+
+        switch (type) {
+            case 'Array':
+                this.expect(index, 'Int', node.index, 'Array index');
+                return 'Any';
+            case 'String':
+                this.expect(index, 'Int', node.index, 'String index');
+                return 'String';
+            case 'Map':
+            case 'Any':
+                return 'Any';
+            default:
+                this.report(Diagnostics.Code.TYPE_MISMATCH, `Cannot index ${type}`, node.object);
+                return 'Any';
+        }
+    }
+
+    member(node) {
+        const type = this.expression(node.object);
+        if (SCALAR.includes(type)) {
+            this.report(Diagnostics.Code.TYPE_MISMATCH,
+                `${type} has no member '${node.property}'`, node.object);
+        }
+        return 'Any';
+    }
+
+    // The arms' common type, or Any when they differ
+    matchExpression(node) {
+        const subject = this.expression(node.subject);
+        const types = node.arms.map(arm => {
+            this.pattern(arm.pattern, subject);
+            if (arm.guard) {
+                this.expression(arm.guard);
+            }
+            return this.expression(arm.body);
+        });
+        this.exhaustiveness(node, subject);
+
+        const type = types.find(type => type !== 'Null') || 'Null';
+        return types.every(other => other === type || other === 'Null') ? type : 'Any';
+    }
+
+    // Names bound at the top of a pattern take the subject's type
+    pattern(node, type) {
+        switch (node.type) {
+            case 'BindingPattern':
+                this.variables(node.binding).set(node.binding.slot, { type, declared: false });
+                return;
+            case 'LiteralPattern': {
+                const literal = this.literalType(node.value);
+                if (!this.assignable(literal, type) && !this.assignable(type, literal)) {
+                    this.report(Diagnostics.Code.TYPE_MISMATCH,
+                        `A ${literal} pattern can never match a value of type ${type}`, node);
+                }
+                return;
+            }
+            case 'ArrayPattern':
+                if (type !== 'Array' && type !== 'Any') {
+                    this.report(Diagnostics.Code.TYPE_MISMATCH,
+                        `An array pattern can never match a value of type ${type}`, node);
+                }
+                node.elements.forEach(element => this.pattern(element, 'Any'));
+                return node.rest && this.pattern(node.rest, 'Array');
+            case 'MapPattern':
+                if (SCALAR.includes(type)) {
+                    this.report(Diagnostics.Code.TYPE_MISMATCH,
+                        `A map pattern can never match a value of type ${type}`, node);
+                }
+                return node.entries.forEach(entry => this.pattern(entry.pattern, 'Any'));
+        }
+    }
+
+    literalType(value) {
+        if (value === null) return 'Null';
+        if (typeof value === 'number') return Number.isInteger(value) ? 'Int' : 'Float';
+        return typeof value === 'boolean' ? 'Bool' : 'String';
+    }
+
+    /**
+     * Warn about arms after one that matches everything, and about a
+     * match that may fall through (its value is then null). A match
+     * covers every value with an unguarded `_` or name pattern, or with
+     * both `true` and `false` for a Bool subject.
+     */
+    exhaustiveness(node, subject) {
+        const booleans = new Set();
+        let covered = false;
+
+        node.arms.forEach(arm => {
+            if (covered) {
+                this.diagnostics.warning(Diagnostics.Code.UNREACHABLE_PATTERN,
+                    'This arm is never reached: an earlier arm matches every value', arm.pattern.loc || null);
+                return;
+            }
+            if (arm.guard) {
+                return;
+            }
+            const { pattern } = arm;
+            if (pattern.type === 'WildcardPattern' || pattern.type === 'BindingPattern') {
+                covered = true;
+            } else if (subject === 'Bool' && pattern.type === 'LiteralPattern' && typeof pattern.value === 'boolean') {
+                booleans.add(pattern.value);
+                covered = booleans.size === 2;
+            }
+        });
+
+        if (!covered) {
+            this.diagnostics.warning(Diagnostics.Code.NON_EXHAUSTIVE_MATCH,
+                'match does not cover every value; unmatched values give null', node.loc || null,
+                ['Add a final `_ => ...` arm']);
+        }
+    }
+
+    // Strings cannot be changed in place
+    elementAssignment(node) {
+        const type = this.expression(node.object);
+        if (type === 'String') {
+            this.report(Diagnostics.Code.TYPE_MISMATCH, 'Cannot assign into a String', node);
+        }
+        if (node.type === 'IndexExpression') {
+            this.expression(node.index);
+        }
+    }
+
+    call(node) {
+        const { callee } = node;
+        const named = callee.type === 'Identifier' && !callee.binding;
+
+        if (!named) {
+            const type = this.expression(callee);
+            if (type !== 'Function' && type !== 'Any') {
+                this.report(Diagnostics.Code.TYPE_MISMATCH, `Cannot call a value of type ${type}`, callee);
+            }
+        }
+
+        const args = node.arguments.map(arg => this.expression(arg));
+        const signature = named ? this.signature(callee) : this.localSignature(callee);
+
+        // Function values and natives registered without parameter
+        // types are unchecked
+        if (!signature) {
+            return 'Any';
+        }
+        if (!signature.params) {
+            return signature.returns;
+        }
+
+        // Spread arguments are only counted at run time
+        if (!node.arguments.some(arg => arg.type === 'SpreadElement')) {
+            this.checkArguments(node, args, signature.params, `'${callee.name}'`);
+        }
+        return signature.returns;
+    }
+
+    localSignature(callee) {
+        if (callee.type !== 'Identifier' || !callee.binding) {
+            return null;
+        }
+        const entry = this.variables(callee.binding).get(callee.binding.slot);
+        return entry ? entry.signature : null;
+    }
+
+    signature(callee) {
+        if (!callee.native) {
+            return this.functions.get(callee.name);
+        }
+        const native = this.natives[callee.name];
+        return native && { params: native.params || null, returns: native.returns || 'Any' };
+    }
+
+    hardwareOperation(node) {
+        const args = node.params.map(param => this.expression(param));
+        const operation = RunicRegistry.byOpcode(node.operation);
+        if (!operation) {
+            return 'Any';
+        }
+
+        this.checkArguments(node, args, operation.params, operation.ascii);
+        return operation.returns;
+    }
+
+    checkArguments(node, args, params, name) {
+        if (args.length !== params.length) {
+            this.report(Diagnostics.Code.ARGUMENT_COUNT,
+                `${name} takes ${params.length} argument${params.length === 1 ? '' : 's'} but got ${args.length}`,
+                node);
+            return;
+        }
+        args.forEach((type, i) => {
+            const arg = node.arguments ? node.arguments[i] : node.params[i];
+            this.expect(type, params[i], arg, `Argument ${i + 1} of ${name}`);
+        });
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = APLTypeChecker;
+} else if (typeof window !== 'undefined') {
+    window.APLTypeChecker = APLTypeChecker;
+}
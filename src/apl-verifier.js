@@ -0,0 +1,328 @@
+/**
+ * APL Bytecode Verifier
+ * Checks that bytecode is well formed before it runs
+ * Version: 1.0.0
+ */
+
+const OPCODES = typeof require === 'function' ? require('./apl-opcodes') : window.APLOpcodes;
+const { APLBytecodeError } = typeof require === 'function' ? require('./apl-errors') : window.APLErrors;
+
+const KNOWN_OPCODES = new Set(Object.values(OPCODES));
+
+// Pop count and push count of instructions with a fixed stack effect
+const FIXED_EFFECTS = {
+    [OPCODES.MEM_LOAD]: [0, 1],
+    [OPCODES.MEM_STORE]: [1, 0],
+    [OPCODES.MEM_ALLOC]: [1, 1],
+    [OPCODES.MEM_FREE]: [1, 0],
+    [OPCODES.PATTERN_MATCH]: [1, 1],
+    [OPCODES.PATTERN_BIND]: [1, 0],
+    [OPCODES.NEURAL_SPIKE]: [0, 0],
+    [OPCODES.NEURAL_LEARN]: [0, 0],
+    [OPCODES.JUMP]: [0, 0],
+    [OPCODES.JUMP_IF]: [1, 0],
+    [OPCODES.RETURN]: [1, 0],
+    [OPCODES.THROW]: [1, 0],
+    [OPCODES.LOOP]: [1, 1],
+    [OPCODES.LOOP_END]: [0, 0],
+    [OPCODES.PARALLEL]: [0, 0],
+    [OPCODES.ADD]: [2, 1],
+    [OPCODES.SUB]: [2, 1],
+    [OPCODES.MUL]: [2, 1],
+    [OPCODES.DIV]: [2, 1],
+    [OPCODES.EQ]: [2, 1],
+    [OPCODES.NE]: [2, 1],
+    [OPCODES.LT]: [2, 1],
+    [OPCODES.LE]: [2, 1],
+    [OPCODES.GT]: [2, 1],
+    [OPCODES.GE]: [2, 1],
+    [OPCODES.RANGE]: [2, 1],
+    [OPCODES.NOT]: [1, 1],
+    [OPCODES.NEG]: [1, 1],
+    [OPCODES.FUNC_DECL]: [0, 0],
+    [OPCODES.MAKE_CLOSURE]: [0, 1],
+    [OPCODES.FUNC_REF]: [0, 1],
+    [OPCODES.PUSH_CONST]: [0, 1],
+    [OPCODES.POP]: [1, 0],
+    [OPCODES.DUP]: [1, 2],
+    [OPCODES.INDEX_GET]: [2, 1],
+    [OPCODES.INDEX_SET]: [3, 1]
+};
+
+// Instructions taking `argCount` operands from the stack. The quantum
+// ones only use the stack when compiled with an argument count.
+const COUNTED = [
+    OPCODES.CALL, OPCODES.CALL_VALUE, OPCODES.CALL_NATIVE, OPCODES.HARDWARE_OP,
+    OPCODES.QUANTUM_INIT, OPCODES.QUANTUM_GATE, OPCODES.QUANTUM_MEASURE, OPCODES.QUANTUM_ENTANGLE
+];
+
+// Address operands of each instruction
+const ADDRESSES = {
+    [OPCODES.JUMP]: ['target'],
+    [OPCODES.JUMP_IF]: ['target'],
+    [OPCODES.LOOP]: ['end'],
+    [OPCODES.LOOP_END]: ['start'],
+    [OPCODES.FUNC_DECL]: ['end'],
+    [OPCODES.MAKE_CLOSURE]: ['end']
+};
+
+/**
+ * Each function body, and the top-level code around the bodies, is a
+ * region. Within a region the verifier follows every path from its
+ * entry and from its exception handlers, tracking the operand stack
+ * height relative to the region's frame: paths meeting at an
+ * instruction must agree on the height, and no instruction may pop
+ * more than the region pushed.
+ */
+class APLVerifier {
+    /**
+     * Problems found in `code` (the output of the code generator or
+     * linker), as [{ pc, message }]; empty when it is well formed
+     */
+    verify(code) {
+        this.code = code;
+        this.plan = code.executionPlan || [];
+        this.problems = [];
+
+        this.plan.forEach((instruction, pc) => this.instruction(instruction, pc));
+        if (this.problems.length === 0) {
+            this.regions = this.functionRegions();
+        }
+        if (this.problems.length === 0) {
+            this.handlers();
+            this.loops();
+        }
+        if (this.problems.length === 0) {
+            this.regions.forEach(region => this.stackHeights(region));
+        }
+        return this.problems;
+    }
+
+    /**
+     * Throw an APLBytecodeError listing the problems, if there are any
+     */
+    check(code) {
+        const problems = this.verify(code);
+        if (problems.length > 0) {
+            const [first] = problems;
+            const more = problems.length > 1 ? ` (and ${problems.length - 1} more)` : '';
+            throw new APLBytecodeError(`Bytecode failed verification at pc ${first.pc}: ${first.message}${more}`, { problems });
+        }
+        return code;
+    }
+
+    report(pc, message) {
+        this.problems.push({ pc, message });
+    }
+
+    // Known opcode, well-formed operand counts and addresses in range
+    instruction(instruction, pc) {
+        if (!instruction || !KNOWN_OPCODES.has(instruction.opcode)) {
+            this.report(pc, `Unknown opcode ${instruction ? instruction.opcode : instruction}`);
+            return;
+        }
+        const { opcode } = instruction;
+
+        if (COUNTED.includes(opcode) && 'argCount' in instruction && !this.isCount(instruction.argCount)) {
+            this.report(pc, `Invalid argument count ${instruction.argCount}`);
+        }
+        if ((opcode === OPCODES.CALL || opcode === OPCODES.CALL_VALUE || opcode === OPCODES.CALL_NATIVE ||
+            opcode === OPCODES.HARDWARE_OP) && !('argCount' in instruction)) {
+            this.report(pc, 'Missing argument count');
+        }
+        if (opcode === OPCODES.MAKE_ARRAY && !this.isCount(instruction.count)) {
+            this.report(pc, `Invalid element count ${instruction.count}`);
+        }
+        if (opcode === OPCODES.MAKE_MAP && !Array.isArray(instruction.keys)) {
+            this.report(pc, 'Missing map keys');
+        }
+
+        (ADDRESSES[opcode] || []).forEach(operand => {
+            const address = instruction[operand];
+            if (!Number.isInteger(address) || address < 0 || address > this.plan.length) {
+                this.report(pc, `${operand} ${address} is outside the code (0..${this.plan.length})`);
+            }
+        });
+
+        if (instruction.scope === 'global' && Number.isInteger(this.code.globals) &&
+            !(instruction.slot >= 0 && instruction.slot < this.code.globals)) {
+            this.report(pc, `Global slot ${instruction.slot} is outside the ${this.code.globals} globals`);
+        }
+    }
+
+    isCount(value) {
+        return Number.isInteger(value) && value >= 0;
+    }
+
+    /**
+     * Regions, outermost first: [{ owner, start, end, slots }] where
+     * owner is the body address (null for the top level). Bodies must
+     * nest and end with RETURN.
+     */
+    functionRegions() {
+        const top = { owner: null, start: 0, end: this.plan.length, slots: null };
+        const regions = [top];
+        const open = [top];
+        this.regionOf = new Array(this.plan.length);
+
+        this.plan.forEach((instruction, pc) => {
+            while (open[open.length - 1].end <= pc) {
+                open.pop();
+            }
+            const enclosing = open[open.length - 1];
+            this.regionOf[pc] = enclosing;
+
+            if (instruction.opcode !== OPCODES.FUNC_DECL && instruction.opcode !== OPCODES.MAKE_CLOSURE) {
+                return;
+            }
+            const { end } = instruction;
+            if (end <= pc + 1 || end > enclosing.end) {
+                this.report(pc, `Function body ${pc + 1}..${end} does not fit inside its enclosing code`);
+                return;
+            }
+            if (this.plan[end - 1].opcode !== OPCODES.RETURN) {
+                this.report(end - 1, `Function body starting at ${pc + 1} does not end with RETURN`);
+                return;
+            }
+            const region = { owner: pc + 1, start: pc + 1, end, slots: instruction.slots };
+            regions.push(region);
+            open.push(region);
+        });
+        return regions;
+    }
+
+    // Handler ranges and entry points lie inside the function they name
+    handlers() {
+        (this.code.handlers || []).forEach((handler, i) => {
+            const region = this.regions.find(candidate => candidate.owner === handler.owner);
+            if (!region) {
+                this.report(handler.start, `Handler ${i} names no function at ${handler.owner}`);
+                return;
+            }
+            const inside = address => Number.isInteger(address) && address >= region.start && address <= region.end;
+            if (!inside(handler.start) || !inside(handler.end) || handler.start > handler.end ||
+                !inside(handler.handler) || handler.handler === region.end ||
+                this.regionOf[handler.handler] !== region) {
+                this.report(handler.start, `Handler ${i} does not lie inside its function`);
+            }
+            if (!this.isCount(handler.stack)) {
+                this.report(handler.start, `Handler ${i} has an invalid stack height ${handler.stack}`);
+            }
+        });
+    }
+
+    // LOOP exits just past the LOOP_END that jumps back to it
+    loops() {
+        this.plan.forEach((instruction, pc) => {
+            if (instruction.opcode === OPCODES.LOOP) {
+                const loopEnd = this.plan[instruction.end - 1];
+                if (!loopEnd || loopEnd.opcode !== OPCODES.LOOP_END || loopEnd.start !== pc) {
+                    this.report(pc, 'LOOP has no matching LOOP_END');
+                }
+            } else if (instruction.opcode === OPCODES.LOOP_END) {
+                const loop = this.plan[instruction.start];
+                if (!loop || loop.opcode !== OPCODES.LOOP || loop.end !== pc + 1) {
+                    this.report(pc, 'LOOP_END has no matching LOOP');
+                }
+            }
+        });
+    }
+
+    /**
+     * Follow every path through `region`. Entry points are its start
+     * (empty stack) and its handlers (their stack height plus the
+     * error).
+     */
+    stackHeights(region) {
+        const heights = new Map();
+        const work = [];
+        const reach = (pc, height, from) => {
+            if (pc === region.end && region.owner === null) {
+                return; // falling off the end of the program
+            }
+            if (pc < region.start || pc >= region.end || this.regionOf[pc] !== region) {
+                this.report(from, `Control leaves its function for ${pc}`);
+                return;
+            }
+            if (!heights.has(pc)) {
+                heights.set(pc, height);
+                work.push(pc);
+            } else if (heights.get(pc) !== height) {
+                this.report(pc, `Stack height is ${heights.get(pc)} on one path and ${height} on another`);
+            }
+        };
+
+        if (region.start < region.end) {
+            reach(region.start, 0, region.start);
+        }
+        (this.code.handlers || [])
+            .filter(handler => handler.owner === region.owner)
+            .forEach(handler => reach(handler.handler, handler.stack + 1, handler.start));
+
+        while (work.length > 0 && this.problems.length === 0) {
+            const pc = work.pop();
+            const instruction = this.plan[pc];
+            const [pops, pushes] = this.effect(instruction);
+            const height = heights.get(pc);
+
+            if (height < pops) {
+                this.report(pc, `${this.name(instruction.opcode)} needs ${pops} stack value(s) but has ${height}`);
+                return;
+            }
+            const after = height - pops + pushes;
+            this.successors(instruction, pc, after).forEach(([next, nextHeight]) => reach(next, nextHeight, pc));
+        }
+    }
+
+    effect(instruction) {
+        const { opcode } = instruction;
+        if (COUNTED.includes(opcode)) {
+            if (!('argCount' in instruction)) {
+                // Quantum instructions with inline operands
+                return opcode === OPCODES.QUANTUM_INIT || opcode === OPCODES.QUANTUM_MEASURE ? [0, 1] : [0, 0];
+            }
+            return [instruction.argCount + (opcode === OPCODES.CALL_VALUE ? 1 : 0), 1];
+        }
+        if (opcode === OPCODES.MAKE_ARRAY) {
+            return [instruction.count, 1];
+        }
+        if (opcode === OPCODES.MAKE_MAP) {
+            return [instruction.keys.length, 1];
+        }
+        return FIXED_EFFECTS[opcode];
+    }
+
+    // [pc, stack height] pairs control can continue at
+    successors(instruction, pc, height) {
+        switch (instruction.opcode) {
+            case OPCODES.JUMP:
+                return [[instruction.target, height]];
+            case OPCODES.JUMP_IF:
+                return [[pc + 1, height], [instruction.target, height]];
+            case OPCODES.LOOP:
+                // Exhausted: the iterator is dropped
+                return [[pc + 1, height], [instruction.end, height - 1]];
+            case OPCODES.LOOP_END:
+                return [[instruction.start, height]];
+            case OPCODES.FUNC_DECL:
+            case OPCODES.MAKE_CLOSURE:
+                return [[instruction.end, height]];
+            case OPCODES.RETURN:
+            case OPCODES.THROW:
+                return [];
+            default:
+                return [[pc + 1, height]];
+        }
+    }
+
+    name(opcode) {
+        return Object.keys(OPCODES).find(key => OPCODES[key] === opcode) || String(opcode);
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = APLVerifier;
+} else if (typeof window !== 'undefined') {
+    window.APLVerifier = APLVerifier;
+}
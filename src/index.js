@@ -9,6 +9,32 @@
 const APLRuntime = require('./apl-runtime');
 const APLCompiler = require('./apl-compiler');
 const RunicMap = require('./runic-map');
+const RunicRegistry = require('./runic-registry');
+const APLModuleResolver = require('./apl-resolver');
+const APLModuleLoader = require('./apl-modules');
+const APLLinker = require('./apl-linker');
+const APLErrors = require('./apl-errors');
+const APLBytecode = require('./apl-bytecode');
+const APLVerifier = require('./apl-verifier');
+const APLAssembly = require('./apl-assembly');
+const APLSourceMap = require('./apl-sourcemap');
+const APLIR = require('./apl-ir');
+const APLOptimizer = require('./apl-optimizer');
+// Empty modules in the browser bundle
+const fs = require('fs');
+const path = require('path');
+
+// File names stay as given where there is no file system
+function resolvePath(filename) {
+    return typeof path.resolve === 'function' ? path.resolve(filename) : filename;
+}
+
+function readFile(filename) {
+    if (typeof fs.readFileSync !== 'function') {
+        throw new Error(`Cannot read ${filename}: reading files needs a file system; pass the source to compile or run instead`);
+    }
+    return fs.readFileSync(filename, 'utf8');
+}
 
 class APL {
     constructor(options = {}) {
@@ -19,7 +45,7 @@ class APL {
             ...options
         };
         
-        this.runtime = new APLRuntime();
+        this.runtime = new APLRuntime({ maxCallDepth: this.options.maxCallDepth });
         this.compiler = typeof APLCompiler === 'function' 
             ? new APLCompiler() 
             : APLCompiler;
@@ -34,9 +60,35 @@ class APL {
     
     /**
      * Compile APL source code to bytecode
-     * Supports both ASCII and runic syntax
+     * Supports both ASCII and runic syntax. Imports are resolved
+     * relative to `options.filename` (or the working directory) and
+     * linked into the result. `options.optLevel` (0-2, or the `optLevel`
+     * APL option) or a list of optimizer `options.passes` applies to
+     * every module.
      */
     compile(source, options = {}) {
+        const result = this.compileModule(source, options);
+        
+        if (!result.success || !result.code || !result.code.imports || result.code.imports.length === 0) {
+            return result;
+        }
+        
+        const filename = options.filename ? resolvePath(options.filename) : null;
+        const loader = new APLModuleLoader({
+            compile: (source, moduleOptions) => this.compileModule(source, {
+                ...moduleOptions,
+                optLevel: options.optLevel,
+                passes: options.passes
+            }),
+            resolver: this.resolver()
+        });
+        return loader.load(result, filename);
+    }
+    
+    /**
+     * Compile a single module without resolving its imports
+     */
+    compileModule(source, options = {}) {
         const mode = options.mode || this.options.mode;
         
         // Normalize source code
@@ -48,7 +100,15 @@ class APL {
         
         // Compile using the compiler
         const result = typeof this.compiler.compile === 'function'
-            ? this.compiler.compile(normalized.normalized)
+            ? this.compiler.compile(normalized.normalized, {
+                globals: [...this.nativeFunctions.keys()],
+                natives: Object.fromEntries(this.nativeFunctions),
+                keepResult: options.keepResult,
+                file: options.filename ? resolvePath(options.filename) : null,
+                mode: normalized.mode,
+                optLevel: options.optLevel ?? this.options.optLevel,
+                passes: options.passes
+            })
             : this.fallbackCompile(normalized.normalized);
         
         if (result.success && this.options.debug) {
@@ -63,18 +123,94 @@ class APL {
     }
     
     /**
-     * Execute compiled bytecode
+     * Compile an .apl file and the modules it imports
      */
-    async execute(bytecode) {
+    compileFile(filename, options = {}) {
+        return this.compile(readFile(filename), { ...options, filename });
+    }
+    
+    /**
+     * Resolver for imports. Packages are found in `options.globalDir`
+     * and `options.cacheDir`, or those of `options.packageManager`.
+     */
+    resolver() {
+        if (!this.moduleResolver) {
+            this.moduleResolver = new APLModuleResolver(this.options);
+        }
+        return this.moduleResolver;
+    }
+    
+    /**
+     * Execute compiled bytecode. Throws an APLCompileError for a failed
+     * compilation. With `options.verify` (or the `verify` APL option)
+     * the bytecode is checked first and malformed code is rejected with
+     * an APLBytecodeError.
+     */
+    async execute(bytecode, options = {}) {
         if (!bytecode || !bytecode.success) {
-            throw new Error('Invalid bytecode: ' + (bytecode?.error || 'Unknown error'));
+            throw this.compileError(bytecode, 'Invalid bytecode: ');
+        }
+        if (options.verify ?? this.options.verify) {
+            new APLVerifier().check(bytecode.code || {});
         }
         
-        return await this.runtime.execute(bytecode.code?.executionPlan || []);
+        return await this.runtime.execute(bytecode.code?.executionPlan || [], {
+            handlers: bytecode.code?.handlers,
+            sourceMap: bytecode.code?.sourceMap
+        });
+    }
+    
+    compileError(compiled, prefix = '') {
+        return new APLErrors.APLCompileError(prefix + (compiled?.error || 'Unknown error'), {
+            diagnostics: compiled?.diagnostics || [],
+            loc: compiled?.loc || null,
+            file: compiled?.file || null
+        });
     }
     
     /**
-     * Compile and run source code in one step
+     * Binary .aplc form of a compiled program, for caching and shipping
+     * precompiled code. `options.debug: false` leaves out source
+     * locations.
+     */
+    static serialize(compiled, options = {}) {
+        return APLBytecode.serialize(compiled, options);
+    }
+    
+    /**
+     * Compiled program from .aplc bytes, ready for `execute`. Throws an
+     * APLBytecodeError for bytes of another format or runic standard
+     * version, or that fail verification.
+     */
+    static load(bytes) {
+        return APLBytecode.load(bytes);
+    }
+    
+    /**
+     * Readable listing of a compiled program: one line per instruction
+     * with its address, mnemonic, operands, hardware unit and source
+     * range.
+     */
+    static disassemble(compiled) {
+        return APLAssembly.disassemble(compiled);
+    }
+    
+    /**
+     * Compiled program, ready for `execute`, from a listing written by
+     * `disassemble` or by hand. Throws an APLBytecodeError for malformed
+     * listings and, unless `options.verify` is false, for code that
+     * fails verification.
+     */
+    static assemble(text, options = {}) {
+        return APLAssembly.assemble(text, options);
+    }
+    
+    /**
+     * Compile and run source code in one step. A failure reports the
+     * error message and the typed error as `exception`: an
+     * APLCompileError, or an APLRuntimeError with the APL stack trace.
+     * Runtime failures also give the failing `pc` and its source
+     * `location`.
      */
     async run(source, options = {}) {
         const compiled = this.compile(source, options);
@@ -83,12 +219,25 @@ class APL {
             return {
                 success: false,
                 error: compiled.error,
+                diagnostics: compiled.diagnostics,
+                exception: this.compileError(compiled),
                 stage: 'compilation'
             };
         }
         
         try {
             const result = await this.execute(compiled);
+            if (!result.success) {
+                return {
+                    success: false,
+                    error: result.error,
+                    pc: result.pc,
+                    location: result.location,
+                    exception: result.exception,
+                    stage: 'execution',
+                    compiled
+                };
+            }
             return {
                 success: true,
                 result: result.result,
@@ -98,6 +247,7 @@ class APL {
             return {
                 success: false,
                 error: error.message,
+                exception: error,
                 stage: 'execution',
                 compiled
             };
@@ -105,35 +255,68 @@ class APL {
     }
     
     /**
-     * Register native function
+     * Compile and run an .apl file
      */
-    registerNative(name, func) {
-        this.nativeFunctions.set(name, func);
-        this.runtime.registerNative(name, func);
+    async runFile(filename, options = {}) {
+        return this.run(readFile(filename), { ...options, filename });
+    }
+    
+    /**
+     * Register a native function, callable from APL by name.
+     * `options.params` lists its parameter types and `options.returns`
+     * its result type; both are checked when programs are compiled and
+     * when the native is called. Natives registered without `params`
+     * take any arguments. `options.pure` marks natives without side
+     * effects.
+     */
+    registerNative(name, func, options = {}) {
+        const typeNames = RunicRegistry.typeNames();
+        [...(options.params || []), ...(options.returns ? [options.returns] : [])].forEach(type => {
+            if (!typeNames.includes(type)) {
+                throw new Error(`Unknown type '${type}' in the signature of native '${name}'`);
+            }
+        });
+        
+        this.nativeFunctions.set(name, {
+            params: options.params || null,
+            returns: options.returns || 'Any',
+            pure: !!options.pure
+        });
+        this.runtime.registerNative(name, func, options);
     }
     
     /**
      * Initialize standard library
      */
     initStdLib() {
+        const math = { params: ['Float'], returns: 'Float', pure: true };
+        
         // Math functions
-        this.registerNative('sqrt', Math.sqrt);
-        this.registerNative('pow', Math.pow);
-        this.registerNative('sin', Math.sin);
-        this.registerNative('cos', Math.cos);
+        this.registerNative('sqrt', Math.sqrt, math);
+        this.registerNative('pow', Math.pow, { ...math, params: ['Float', 'Float'] });
+        this.registerNative('sin', Math.sin, math);
+        this.registerNative('cos', Math.cos, math);
         
         // Array functions
-        this.registerNative('map', (arr, fn) => arr.map(fn));
-        this.registerNative('filter', (arr, fn) => arr.filter(fn));
-        this.registerNative('reduce', (arr, fn, init) => arr.reduce(fn, init));
+        this.registerNative('map', (arr, fn) => arr.map(fn), { params: ['Array', 'Function'], returns: 'Array' });
+        this.registerNative('filter', (arr, fn) => arr.filter(fn), { params: ['Array', 'Function'], returns: 'Array' });
+        this.registerNative('reduce', (arr, fn, init) => arr.reduce(fn, init), { params: ['Array', 'Function', 'Any'] });
+        this.registerNative('len', (value) => {
+            if (value instanceof Map) return value.size;
+            if (Array.isArray(value) || typeof value === 'string') return value.length;
+            throw new Error(`len() expects an array, map or string`);
+        }, { params: ['Any'], returns: 'Int', pure: true });
         
         // I/O functions
         this.registerNative('print', console.log);
         this.registerNative('log', console.log);
         
         // Time functions
-        this.registerNative('now', () => Date.now());
-        this.registerNative('sleep', (ms) => new Promise(resolve => setTimeout(resolve, ms)));
+        this.registerNative('now', () => Date.now(), { params: [], returns: 'Int' });
+        this.registerNative('sleep', (ms) => new Promise(resolve => setTimeout(resolve, ms)), {
+            params: ['Float'],
+            returns: 'Null'
+        });
     }
     
     /**
@@ -175,7 +358,7 @@ class APL {
      * Reset runtime
      */
     reset() {
-        this.runtime = new APLRuntime();
+        this.runtime = new APLRuntime({ maxCallDepth: this.options.maxCallDepth });
         this.initStdLib();
     }
     
@@ -212,3 +395,14 @@ module.exports.APL = APL;
 module.exports.APLRuntime = APLRuntime;
 module.exports.APLCompiler = APLCompiler;
 module.exports.RunicMap = RunicMap;
+module.exports.RunicRegistry = RunicRegistry;
+module.exports.APLModuleResolver = APLModuleResolver;
+module.exports.APLModuleLoader = APLModuleLoader;
+module.exports.APLLinker = APLLinker;
+module.exports.APLBytecode = APLBytecode;
+module.exports.APLVerifier = APLVerifier;
+module.exports.APLAssembly = APLAssembly;
+module.exports.APLSourceMap = APLSourceMap;
+module.exports.APLIR = APLIR;
+module.exports.APLOptimizer = APLOptimizer;
+Object.assign(module.exports, APLErrors);
@@ -4,64 +4,19 @@
  * Version: 1.0.0
  */
 
+const RunicRegistry = typeof require === 'function'
+    ? require('./runic-registry')
+    : window.APLRunicRegistry;
+const APLCompiler = typeof require === 'function'
+    ? require('./apl-compiler')
+    : window.APLCompiler;
+const Diagnostics = typeof require === 'function'
+    ? require('./apl-diagnostics')
+    : window.APLDiagnostics;
+
 const RunicMap = {
-    // ASCII to Runic mappings
-    asciiToRunic: {
-        // Quantum Operations
-        'Q.super': 'ᛩ',
-        'Q.gate': 'ᛜ',
-        'Q.entangle': 'ᙠ',
-        'Q.teleport': 'ᛪ',
-        
-        // Genetic Operations
-        'G.cross': 'ᚴ',
-        'G.fitness': 'ᚠ',
-        'G.mutate': 'ᚥ',
-        
-        // Neural Operations
-        'N.net': 'ᚾ',
-        'N.match': 'ᛈ',
-        'N.synapse': 'ᛒ',
-        'N.learn': 'ᚻ',
-        
-        // Consciousness Operations
-        'C.phi': 'ᚳ',
-        'C.integrate': 'ᛇ',
-        
-        // Symbolic Operations
-        'S.reason': 'ᛊ',
-        'S.graph': 'ᛕ',
-        
-        // Resonance Operations
-        'R.osc': 'ᛟ',
-        'R.sync': 'ᚱ',
-        
-        // Memory Operations
-        'M.access': 'ᛗ',
-        
-        // Coordination Operations
-        'D.dist': 'ᛞ',
-        'D.unify': 'ᚢ',
-        'D.bind': 'ᛂ',
-        
-        // Control Flow
-        'C.rate': 'ᚤ',
-        'C.yield': 'ᛘ',
-        'C.init': 'ᛎ',
-        
-        // Data Types
-        'T.quantum': 'QReg',
-        'T.spike': 'Spike',
-        'T.neuron': 'Neuron',
-        'T.synapse': 'Synapse',
-        'T.int': 'Int',
-        'T.float': 'Float',
-        'T.bool': 'Bool',
-        'T.array': 'Array',
-        'T.map': 'Map',
-        'T.qstate': 'QState',
-        'T.epr': 'EPR'
-    },
+    // ASCII to Runic mappings (runic_standard.json)
+    asciiToRunic: RunicRegistry.asciiToRunic(),
     
     // Reverse mapping
     runicToAscii: {},
@@ -74,31 +29,60 @@ const RunicMap = {
         return this;
     },
     
-    // Convert ASCII code to runic
+    // Convert ASCII code to runic. Only operation and type tokens are
+    // rewritten: T.int becomes its runic type word (ᛇᚾᛏ), so the bare
+    // name Int stays an ordinary identifier and the round trip is lossless
     toRunic(code) {
-        let result = code;
-        
-        // Sort by length (longest first) to handle multi-char patterns
-        const sortedKeys = Object.keys(this.asciiToRunic)
-            .sort((a, b) => b.length - a.length);
-        
-        for (const ascii of sortedKeys) {
-            const runic = this.asciiToRunic[ascii];
-            result = result.split(ascii).join(runic);
-        }
-        
-        return result;
+        return this.convertTokens(code, text => {
+            const entry = RunicRegistry.resolve(text);
+            if (!entry) {
+                return text;
+            }
+            return RunicRegistry.isType(entry) ? entry.runic : entry.glyph;
+        });
     },
     
     // Convert runic code to ASCII
     toAscii(code) {
-        let result = code;
-        
-        for (const [runic, ascii] of Object.entries(this.runicToAscii)) {
-            result = result.split(runic).join(ascii);
+        return this.convertTokens(code, text => {
+            const entry = RunicRegistry.byGlyph(text) || RunicRegistry.byTypeWord(text);
+            return entry ? entry.ascii : text;
+        });
+    },
+    
+    // Rewrite ASCII aliases from one version of the runic standard to
+    // another, e.g. migrate(code, '1.0', '2.0') turns C.rate into F.rate.
+    // Runes and everything else are left as written.
+    migrate(code, fromVersion, toVersion = RunicRegistry.version) {
+        RunicRegistry.versionIndex(fromVersion);
+        RunicRegistry.versionIndex(toVersion);
+        
+        return this.convertTokens(code, text => {
+            if (RunicRegistry.byGlyph(text) || RunicRegistry.byTypeWord(text)) {
+                return text;
+            }
+            return RunicRegistry.migrateAlias(text, fromVersion, toVersion);
+        });
+    },
+    
+    // Rewrite the source text of each RUNE and TYPE token, copying
+    // everything between them (whitespace, comments, strings) unchanged
+    convertTokens(code, replace) {
+        const tokens = APLCompiler.tokenize(code, new Diagnostics());
+        let result = '';
+        let offset = 0;
+        
+        for (const token of tokens) {
+            if (token.type !== 'RUNE' && token.type !== 'TYPE') {
+                continue;
+            }
+            const { start, end } = token.loc;
+            result += code.slice(offset, start.index);
+            result += replace(code.slice(start.index, end.index));
+            offset = end.index;
         }
         
-        return result;
+        return result + code.slice(offset);
     },
     
     // Normalize code (ensures consistent internal representation)
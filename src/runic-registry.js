@@ -0,0 +1,395 @@
+/**
+ * APL Runic Registry
+ * Rune table loaded from runic_standard.json. The compiler, RunicMap,
+ * the tmLanguage grammar and the VS Code docs all derive from it.
+ * Version: 1.0.0
+ */
+
+const STANDARD = typeof require === 'function'
+    ? require('../runic_standard.json')
+    : window.APLRunicStandard;
+
+// Language types with no runic spelling
+const CORE_TYPES = ['Any', 'Null', 'String', 'Function'];
+
+const RunicRegistry = {
+    metadata: STANDARD.metadata,
+    units: STANDARD.units,
+
+    // { glyph, ascii, opcode, unit, description, arity, params, returns,
+    //   consumes?, summary, syntax }. `consumes` lists the positions of
+    // linear arguments the operation uses up.
+    operations: STANDARD.operations,
+
+    // { ascii, name, runic, description, linear? }. Values of linear
+    // types model physical qubits and cannot be copied.
+    types: STANDARD.types,
+
+    // Versions of the standard, oldest first: { version, description, renamed }
+    changes: STANDARD.changes,
+
+    // Lookup tables
+    glyphs: {},
+    opcodes: {},
+    aliases: {},
+    typeWords: {},
+
+    // Earlier spellings: alias -> { alias, replacement, since }
+    deprecated: {},
+
+    // Build lookup tables
+    init() {
+        for (const operation of this.operations) {
+            this.glyphs[operation.glyph] = operation;
+            this.opcodes[operation.opcode] = operation;
+            this.aliases[operation.ascii] = operation;
+        }
+        for (const type of this.types) {
+            this.aliases[type.ascii] = type;
+            this.typeWords[type.runic] = type;
+        }
+        for (const change of this.changes) {
+            for (const [alias, replacement] of Object.entries(change.renamed)) {
+                this.deprecated[alias] = { alias, replacement, since: change.version };
+            }
+        }
+        return this;
+    },
+
+    // Operation for a rune, or null
+    byGlyph(glyph) {
+        return Object.prototype.hasOwnProperty.call(this.glyphs, glyph)
+            ? this.glyphs[glyph]
+            : null;
+    },
+
+    // Operation for an opcode name (QUANTUM_GATE), or null
+    byOpcode(opcode) {
+        return Object.prototype.hasOwnProperty.call(this.opcodes, opcode)
+            ? this.opcodes[opcode]
+            : null;
+    },
+
+    // Operation or type for an ASCII alias (Q.super, T.int), or null
+    byAscii(alias) {
+        return Object.prototype.hasOwnProperty.call(this.aliases, alias)
+            ? this.aliases[alias]
+            : null;
+    },
+
+    /**
+     * Deprecation record for an earlier spelling, with `replacement`
+     * followed through later renames to the current alias; or null
+     */
+    deprecation(alias) {
+        if (!Object.prototype.hasOwnProperty.call(this.deprecated, alias)) {
+            return null;
+        }
+        const record = this.deprecated[alias];
+        let replacement = record.replacement;
+        while (!this.byAscii(replacement) && this.deprecated[replacement]) {
+            replacement = this.deprecated[replacement].replacement;
+        }
+        return { ...record, replacement };
+    },
+
+    // Operation or type for a current or deprecated alias, or null
+    resolve(alias) {
+        const deprecation = this.deprecation(alias);
+        return this.byAscii(deprecation ? deprecation.replacement : alias);
+    },
+
+    // Type for a runic type word (ᛇᚾᛏ), or null
+    byTypeWord(word) {
+        return Object.prototype.hasOwnProperty.call(this.typeWords, word)
+            ? this.typeWords[word]
+            : null;
+    },
+
+    isType(entry) {
+        return Boolean(entry) && !entry.glyph;
+    },
+
+    // Compiler rune table: glyph -> { op, hw, desc, arity }
+    runicAlphabet() {
+        const alphabet = {};
+        for (const operation of this.operations) {
+            alphabet[operation.glyph] = {
+                op: operation.opcode,
+                hw: operation.unit,
+                desc: operation.description,
+                arity: operation.arity
+            };
+        }
+        return alphabet;
+    },
+
+    // ASCII alias -> rune, or type name for T.* aliases
+    asciiToRunic() {
+        const mappings = {};
+        for (const operation of this.operations) {
+            mappings[operation.ascii] = operation.glyph;
+        }
+        for (const type of this.types) {
+            mappings[type.ascii] = type.name;
+        }
+        return mappings;
+    },
+
+    // Names usable in type annotations and operation signatures
+    typeNames() {
+        return [...this.types.map(type => type.name), ...CORE_TYPES];
+    },
+
+    // Type names whose values cannot be copied
+    linearTypes() {
+        return this.types.filter(type => type.linear).map(type => type.name);
+    },
+
+    // Runic type word -> type name
+    dataTypes() {
+        const dataTypes = {};
+        for (const type of this.types) {
+            dataTypes[type.runic] = type.name;
+        }
+        return dataTypes;
+    },
+
+    // ============================================
+    // VERSIONS
+    // ============================================
+
+    get version() {
+        return this.metadata.version;
+    },
+
+    versions() {
+        return this.changes.map(change => change.version);
+    },
+
+    // Position of a version in the history; accepts '2.0' for '2.0.0'
+    versionIndex(version) {
+        const parts = String(version).split('.');
+        while (parts.length < 3) parts.push('0');
+        const index = this.versions().indexOf(parts.join('.'));
+        if (index === -1) {
+            throw new Error(`Unknown runic standard version '${version}'`);
+        }
+        return index;
+    },
+
+    /**
+     * Spelling of an alias in `toVersion`, given its spelling in
+     * `fromVersion`. Renames are replayed forwards, or undone when
+     * migrating back to an older version.
+     */
+    migrateAlias(alias, fromVersion, toVersion) {
+        const from = this.versionIndex(fromVersion);
+        const to = this.versionIndex(toVersion);
+
+        if (from <= to) {
+            for (const change of this.changes.slice(from + 1, to + 1)) {
+                alias = change.renamed[alias] || alias;
+            }
+        } else {
+            for (const change of this.changes.slice(to + 1, from + 1).reverse()) {
+                const previous = Object.keys(change.renamed)
+                    .find(old => change.renamed[old] === alias);
+                alias = previous || alias;
+            }
+        }
+        return alias;
+    },
+
+    // ============================================
+    // EDITOR GRAMMAR
+    // ============================================
+
+    /**
+     * tmLanguage repository entries for rune and ASCII operations,
+     * one pattern per hardware unit
+     */
+    grammarRepository() {
+        const runic = [];
+        const ascii = [];
+
+        for (const [unit, info] of Object.entries(this.units)) {
+            const operations = this.operations.filter(op => op.unit === unit);
+            if (operations.length === 0) continue;
+
+            const name = `entity.name.function.${info.scope}.apl`;
+            runic.push({
+                name,
+                match: `[${operations.map(op => op.glyph).join('')}]`,
+                comment: `${info.label} (${unit})`
+            });
+            ascii.push({
+                name,
+                match: `\\b(${this.aliasPattern(operations)})\\b`
+            });
+        }
+
+        return {
+            'runic-operations': { patterns: runic },
+            'ascii-operations': { patterns: ascii }
+        };
+    },
+
+    // Q\.(super|gate) for aliases sharing a namespace, M\.access for one
+    aliasPattern(operations) {
+        const namespaces = {};
+        for (const operation of operations) {
+            const [namespace, member] = operation.ascii.split('.');
+            (namespaces[namespace] = namespaces[namespace] || []).push(member);
+        }
+        return Object.entries(namespaces)
+            .map(([namespace, members]) => members.length === 1
+                ? `${namespace}\\.${members[0]}`
+                : `${namespace}\\.(${members.join('|')})`)
+            .join('|');
+    },
+
+    typePattern() {
+        return `\\b(${this.types.map(type => type.name).join('|')})\\b`;
+    },
+
+    /**
+     * Copy of a tmLanguage grammar with its operation and type
+     * patterns regenerated from the standard
+     */
+    applyGrammar(grammar) {
+        const updated = JSON.parse(JSON.stringify(grammar));
+        Object.assign(updated.repository, this.grammarRepository());
+
+        const typePattern = this.findTypePattern(updated);
+        if (typePattern) {
+            typePattern.match = this.typePattern();
+        }
+        return updated;
+    },
+
+    findTypePattern(grammar) {
+        const keywords = grammar.repository.keywords;
+        return keywords
+            ? keywords.patterns.find(pattern => pattern.name === 'storage.type.apl')
+            : undefined;
+    },
+
+    // ============================================
+    // CONFORMANCE
+    // ============================================
+
+    /**
+     * Compare derived tables against the standard. Each target is
+     * optional: { runicAlphabet, asciiToRunic, grammar }.
+     * Returns a list of problems; empty when everything conforms.
+     */
+    checkConformance(targets = {}) {
+        const problems = this.checkStandard();
+        const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+        if (targets.runicAlphabet) {
+            const expected = this.runicAlphabet();
+            const glyphs = new Set([...Object.keys(expected), ...Object.keys(targets.runicAlphabet)]);
+            for (const glyph of glyphs) {
+                if (!same(targets.runicAlphabet[glyph], expected[glyph])) {
+                    problems.push(`Compiler rune ${glyph} does not match the standard`);
+                }
+            }
+        }
+
+        if (targets.asciiToRunic) {
+            const expected = this.asciiToRunic();
+            const aliases = new Set([...Object.keys(expected), ...Object.keys(targets.asciiToRunic)]);
+            for (const alias of aliases) {
+                if (targets.asciiToRunic[alias] !== expected[alias]) {
+                    problems.push(`RunicMap alias ${alias} does not match the standard`);
+                }
+            }
+        }
+
+        if (targets.grammar) {
+            const expected = this.grammarRepository();
+            for (const [section, entry] of Object.entries(expected)) {
+                if (!same(targets.grammar.repository[section], entry)) {
+                    problems.push(`Grammar section '${section}' does not match the standard`);
+                }
+            }
+            const typePattern = this.findTypePattern(targets.grammar);
+            if (!typePattern || typePattern.match !== this.typePattern()) {
+                problems.push('Grammar type names do not match the standard');
+            }
+        }
+
+        return problems;
+    },
+
+    // Internal consistency of runic_standard.json itself
+    checkStandard() {
+        const problems = [];
+        const seen = new Set();
+
+        for (const operation of this.operations) {
+            for (const key of [operation.glyph, operation.ascii]) {
+                if (seen.has(key)) {
+                    problems.push(`Duplicate entry '${key}' in the standard`);
+                }
+                seen.add(key);
+            }
+            if (!this.units[operation.unit]) {
+                problems.push(`${operation.ascii} uses unknown hardware unit ${operation.unit}`);
+            }
+            if (!Number.isInteger(operation.arity) || operation.arity < 0) {
+                problems.push(`${operation.ascii} has an invalid arity`);
+            }
+
+            // Editor docs: the syntax line must agree with alias and arity
+            const match = /^([A-Z]\.\w+)\((.*)\)$/.exec(operation.syntax || '');
+            const params = match && match[2].trim() ? match[2].split(',').length : 0;
+            if (!match || match[1] !== operation.ascii || params !== operation.arity) {
+                problems.push(`${operation.ascii} syntax does not match its alias and arity`);
+            }
+            const typeNames = this.typeNames();
+            const signature = [...(operation.params || []), operation.returns];
+            if (!Array.isArray(operation.params) || operation.params.length !== operation.arity) {
+                problems.push(`${operation.ascii} params do not match its arity`);
+            } else if (!signature.every(type => typeNames.includes(type))) {
+                problems.push(`${operation.ascii} signature uses an unknown type`);
+            }
+            const linear = this.linearTypes();
+            if ((operation.consumes || []).some(i => !linear.includes((operation.params || [])[i]))) {
+                problems.push(`${operation.ascii} consumes an argument that is not linear`);
+            }
+            if (!operation.summary) {
+                problems.push(`${operation.ascii} has no summary`);
+            }
+        }
+
+        for (const type of this.types) {
+            if (seen.has(type.ascii)) {
+                problems.push(`Duplicate entry '${type.ascii}' in the standard`);
+            }
+            seen.add(type.ascii);
+        }
+
+        for (const alias of Object.keys(this.deprecated)) {
+            if (this.byAscii(alias)) {
+                problems.push(`Deprecated alias ${alias} is still a current alias`);
+            } else if (!this.resolve(alias)) {
+                problems.push(`Deprecated alias ${alias} does not lead to a current alias`);
+            }
+        }
+        if (this.versions()[this.changes.length - 1] !== this.version) {
+            problems.push('The last entry in changes must be the current version');
+        }
+
+        return problems;
+    }
+}.init();
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RunicRegistry;
+} else if (typeof window !== 'undefined') {
+    window.APLRunicRegistry = RunicRegistry;
+}
@@ -125,6 +125,1013 @@ async function runTests() {
         failed++;
     }
     
+    // Test 9: Compile and execute end to end
+    try {
+        const apl = new APL();
+        const result = await apl.run('function answer(x) { return x }\ny = answer(42)\ny');
+        if (result.success && result.result === 42) {
+            console.log('✅ Test 9: Compile and execute end to end');
+            passed++;
+        } else {
+            throw new Error(result.error || `Expected 42, got ${result.result}`);
+        }
+    } catch (e) {
+        console.log('❌ Test 9: Compile and execute end to end -', e.message);
+        failed++;
+    }
+    
+    // Test 10: Loop lowering with resolved jump targets
+    try {
+        const apl = new APL();
+        const code = apl.compiler.generate({
+            type: 'Program',
+            body: [
+                {
+                    type: 'ForInStatement',
+                    variable: 'item',
+                    iterable: { type: 'Identifier', name: 'items' },
+                    body: [{
+                        type: 'AssignmentExpression',
+                        operator: '=',
+                        left: { type: 'Identifier', name: 'last' },
+                        right: { type: 'Identifier', name: 'item' }
+                    }]
+                },
+                { type: 'Identifier', name: 'last' }
+            ]
+        });
+        const loop = code.executionPlan.find(i => i.opcode === 0b10100);
+        apl.runtime.memory.set('items', [1, 2, 3]);
+        const result = await apl.runtime.execute(code.executionPlan);
+        if (typeof loop.end === 'number' && result.success && result.result === 3) {
+            console.log('✅ Test 10: Loop lowering');
+            passed++;
+        } else {
+            throw new Error(result.error || `Expected 3, got ${result.result}`);
+        }
+    } catch (e) {
+        console.log('❌ Test 10: Loop lowering -', e.message);
+        failed++;
+    }
+    
+    // Test 11: Hardware operation lowering
+    try {
+        const apl = new APL();
+        const code = apl.compiler.generate({
+            type: 'Program',
+            body: [{
+                type: 'HardwareOperation',
+                operation: 'QUANTUM_SUPERPOSITION',
+                hardwareUnit: 'QFU',
+                params: [{ type: 'NumberLiteral', value: 2 }]
+            }]
+        });
+        const result = await apl.runtime.execute(code.executionPlan);
+        if (result.success && result.result.numQubits === 2 && code.hardwareMap.QFU.length === 1) {
+            console.log('✅ Test 11: Hardware operation lowering');
+            passed++;
+        } else {
+            throw new Error(result.error || 'Quantum register not initialized');
+        }
+    } catch (e) {
+        console.log('❌ Test 11: Hardware operation lowering -', e.message);
+        failed++;
+    }
+    
+    // Test 12: Operator precedence
+    try {
+        const apl = new APL();
+        const result = await apl.run('a = 3\nb = 4\nx = (a + b * 2) - -1');
+        if (result.success && result.result === 12) {
+            console.log('✅ Test 12: Operator precedence');
+            passed++;
+        } else {
+            throw new Error(result.error || `Expected 12, got ${result.result}`);
+        }
+    } catch (e) {
+        console.log('❌ Test 12: Operator precedence -', e.message);
+        failed++;
+    }
+    
+    // Test 13: Comparison and logical operators
+    try {
+        const apl = new APL();
+        const result = await apl.run('1 < 2 and not 3 == 4 or 0');
+        const ast = apl.compile('x = 1 <= 2').ast;
+        if (result.success && result.result === true &&
+            ast.body[0].type === 'AssignmentExpression' &&
+            ast.body[0].right.type === 'BinaryExpression') {
+            console.log('✅ Test 13: Comparison and logical operators');
+            passed++;
+        } else {
+            throw new Error(result.error || `Expected true, got ${result.result}`);
+        }
+    } catch (e) {
+        console.log('❌ Test 13: Comparison and logical operators -', e.message);
+        failed++;
+    }
+    
+    // Test 14: Strings and comments
+    try {
+        const apl = new APL();
+        const examples = require('./examples/examples.js');
+        const tokens = apl.compiler.tokenize(examples.helloWorld.ascii + '/* block\n comment */');
+        const values = tokens.map(t => t.value);
+        if (tokens.length === 4 && tokens[2].type === 'STRING' &&
+            values.join('|') === 'print|(|Hello from APL!|)' &&
+            apl.compiler.tokenize('"a\\n\\"b\\""')[0].value === 'a\n"b"') {
+            console.log('✅ Test 14: Strings and comments');
+            passed++;
+        } else {
+            throw new Error(`Unexpected tokens: ${JSON.stringify(values)}`);
+        }
+    } catch (e) {
+        console.log('❌ Test 14: Strings and comments -', e.message);
+        failed++;
+    }
+    
+    // Test 15: Number, boolean and null literals
+    try {
+        const apl = new APL();
+        const values = apl.compiler.tokenize('[1e-3, .5, -2, 2.5E+2] a-1 true false null')
+            .filter(t => t.type !== 'DELIMITER')
+            .map(t => t.value);
+        const expected = [0.001, 0.5, -2, 250, 'a', '-', 1, true, false, null];
+        if (JSON.stringify(values) === JSON.stringify(expected)) {
+            console.log('✅ Test 15: Number, boolean and null literals');
+            passed++;
+        } else {
+            throw new Error(`Unexpected values: ${JSON.stringify(values)}`);
+        }
+    } catch (e) {
+        console.log('❌ Test 15: Number, boolean and null literals -', e.message);
+        failed++;
+    }
+    
+    // Test 16: Loops with break and continue
+    try {
+        const apl = new APL();
+        const result = await apl.run([
+            'total = 0',
+            'for i in 0..10 {',
+            '    if i == 3 { continue }',
+            '    if i > 6 { break } else { total = total + i }',
+            '}',
+            'n = 0',
+            'while n < 5 { n = n + 1 }',
+            'total + n'
+        ].join('\n'));
+        if (result.success && result.result === 23) {
+            console.log('✅ Test 16: Loops with break and continue');
+            passed++;
+        } else {
+            throw new Error(result.error || `Expected 23, got ${result.result}`);
+        }
+    } catch (e) {
+        console.log('❌ Test 16: Loops with break and continue -', e.message);
+        failed++;
+    }
+    
+    // Test 17: Conditionals and early return
+    try {
+        const apl = new APL();
+        const result = await apl.run([
+            'function classify(x) {',
+            '    if x < 3 { return 1 } else if x < 6 { return 2 }',
+            '    for i in 0..x { for j in 0..2 { if i * j > 8 { return i } } }',
+            '    return -1',
+            '}',
+            'classify(1) + classify(4) * 10 + classify(20) * 100'
+        ].join('\n'));
+        const invalid = apl.compile('continue');
+        if (result.success && result.result === 921 && !invalid.success) {
+            console.log('✅ Test 17: Conditionals and early return');
+            passed++;
+        } else {
+            throw new Error(result.error || `Expected 921, got ${result.result}`);
+        }
+    } catch (e) {
+        console.log('❌ Test 17: Conditionals and early return -', e.message);
+        failed++;
+    }
+    
+    // Test 18: Source locations
+    try {
+        const apl = new APL();
+        const compiled = apl.compile('x = 1\nfunction f(a) {\n  return a + 2\n}\ny = f(x)');
+        const sum = compiled.ast.body[1].body[0].argument;
+        const add = compiled.code.executionPlan.find(i => i.opcode === 0b11000);
+        const broken = apl.compile('x = 1\ny = (x');
+        if (compiled.tokens.every(t => t.loc) &&
+            sum.loc.start.line === 3 && sum.loc.start.column === 9 && sum.loc.end.offset === 36 &&
+            add.loc.start.line === 3 &&
+            !broken.success && broken.loc.start.line === 2) {
+            console.log('✅ Test 18: Source locations');
+            passed++;
+        } else {
+            throw new Error(`Unexpected locations: ${JSON.stringify(sum.loc)}`);
+        }
+    } catch (e) {
+        console.log('❌ Test 18: Source locations -', e.message);
+        failed++;
+    }
+    
+    // Test 19: Multi-error diagnostics with recovery
+    try {
+        const apl = new APL();
+        const compiled = apl.compile([
+            'x = (1 + 2',
+            'y = 2 $ 3',
+            'function f(a) {',
+            '    z = *',
+            '    return a',
+            '}',
+            'w = "open'
+        ].join('\n'));
+        const codes = compiled.diagnostics.map(d => `${d.severity}:${d.code}@${d.loc.start.line}`);
+        const expected = [
+            'warning:APL2004@1',
+            'error:APL2002@2',
+            'warning:APL1004@2',
+            'error:APL2001@4',
+            'error:APL1001@7'
+        ];
+        // Offsets count UTF-8 bytes: each rune is 3
+        const runic = apl.compile('let q = ᛩ(2)\ny = 2 $ 3').diagnostics
+            .find(d => d.code === 'APL1004').loc.start;
+        if (!compiled.success && JSON.stringify(codes) === JSON.stringify(expected) &&
+            compiled.diagnostics.every(d => Array.isArray(d.hints) && d.message) &&
+            runic.line === 2 && runic.column === 6 && runic.offset === 21 && runic.index === 19) {
+            console.log('✅ Test 19: Multi-error diagnostics');
+            passed++;
+        } else {
+            throw new Error(`Unexpected diagnostics: ${JSON.stringify(codes)}`);
+        }
+    } catch (e) {
+        console.log('❌ Test 19: Multi-error diagnostics -', e.message);
+        failed++;
+    }
+    
+    // Test 20: ASCII dotted syntax compiles like runic source
+    try {
+        const apl = new APL();
+        const plan = source => JSON.stringify(
+            apl.compile(source).code.executionPlan,
+            (key, value) => key === 'loc' ? undefined : value
+        );
+        const ascii = plan('q = Q.super(2)\nQ.gate(q, "hadamard", 0)\nG.fitness(0..3)');
+        const runic = plan('q = ᛩ(2)\nᛜ(q, "hadamard", 0)\nᚠ(0..3)');
+        const [type] = apl.compiler.tokenize('T.int');
+        if (ascii === runic && type.type === 'TYPE' && type.dataType === 'Int') {
+            console.log('✅ Test 20: ASCII operator syntax');
+            passed++;
+        } else {
+            throw new Error('ASCII and runic sources differ');
+        }
+    } catch (e) {
+        console.log('❌ Test 20: ASCII operator syntax -', e.message);
+        failed++;
+    }
+    
+    // Test 21: Runic standard conformance
+    try {
+        const { RunicRegistry, APLCompiler, RunicMap } = require('./src/index.js');
+        const grammar = require('./vscode-extension/syntaxes/apl.tmLanguage.json');
+        const targets = {
+            runicAlphabet: APLCompiler.runicAlphabet,
+            asciiToRunic: RunicMap.asciiToRunic,
+            grammar
+        };
+        const problems = RunicRegistry.checkConformance(targets);
+        const drifted = RunicRegistry.checkConformance({
+            ...targets,
+            runicAlphabet: { ...APLCompiler.runicAlphabet, 'ᚹ': undefined }
+        });
+        const wave = new APL().compile('N.wave(1)');
+        if (problems.length === 0 && drifted.length === 1 &&
+            wave.code.operations[0].operation === 'WAVE_PROPAGATION') {
+            console.log('✅ Test 21: Runic standard conformance');
+            passed++;
+        } else {
+            throw new Error(problems.concat(drifted).join('; '));
+        }
+    } catch (e) {
+        console.log('❌ Test 21: Runic standard conformance -', e.message);
+        failed++;
+    }
+    
+    // Test 22: Token-aware ASCII/runic conversion
+    try {
+        const { RunicMap } = require('./src/index.js');
+        const source = [
+            '// Q.super stays in comments',
+            'HashMap = T.integer',
+            'label = "Q.gate(T.int)"',
+            'q = Q.super(2)  /* T.map */',
+            'n: T.int = Map'
+        ].join('\n');
+        const runic = RunicMap.toRunic(source);
+        const expected = source
+            .replace('Q.super(2)', 'ᛩ(2)')
+            .replace('n: T.int', 'n: ᛇᚾᛏ');
+        if (runic === expected && RunicMap.toAscii(runic) === source &&
+            RunicMap.format(runic, { mode: 'ascii' }) === source) {
+            console.log('✅ Test 22: Token-aware conversion');
+            passed++;
+        } else {
+            throw new Error(`Unexpected conversion: ${runic}`);
+        }
+    } catch (e) {
+        console.log('❌ Test 22: Token-aware conversion -', e.message);
+        failed++;
+    }
+    
+    // Test 23: Runic standard 2.0 namespaces and migration
+    try {
+        const apl = new APL();
+        const { RunicMap } = require('./src/index.js');
+        const legacy = 'C.rate(0.1)\nphi = C.phi(1) // C.yield';
+        const compiled = apl.compile(legacy);
+        const warnings = compiled.diagnostics.filter(d => d.code === 'APL1006');
+        const migrated = RunicMap.migrate(legacy, '1.0', '2.0');
+        const current = apl.compile(migrated);
+        if (compiled.success && warnings.length === 1 &&
+            migrated === 'F.rate(0.1)\nphi = C.phi(1) // C.yield' &&
+            current.diagnostics.length === 0 &&
+            RunicMap.migrate(migrated, '2.0', '1.0') === legacy &&
+            current.code.operations[0].operation === 'LEARNING_RATE') {
+            console.log('✅ Test 23: Runic standard migration');
+            passed++;
+        } else {
+            throw new Error(`Unexpected migration: ${migrated}`);
+        }
+    } catch (e) {
+        console.log('❌ Test 23: Runic standard migration -', e.message);
+        failed++;
+    }
+    
+    // Test 24: Lexical scoping and semantic diagnostics
+    try {
+        const apl = new APL();
+        const result = await apl.run([
+            'let x = 1',
+            'const step = 2',
+            'var total = 0',
+            'if true { let x = 10\n total = total + x }',
+            'function bump(n) { total = total + n }',
+            'for i in 0..3 { bump(step) }',
+            'total + x'
+        ].join('\n'));
+        const compiled = apl.compile([
+            'const c = 1',
+            'c = 2',
+            'y + 1',
+            'let y = 0',
+            'z + 1'
+        ].join('\n'));
+        const codes = compiled.diagnostics.map(d => `${d.code}@${d.loc.start.line}`);
+        const load = result.compiled && result.compiled.code.executionPlan
+            .find(i => i.opcode === 0 && i.source === 'total');
+        // Nested functions are scoped to the function that declares them
+        const shadowed = await apl.run('fn h() { return 1 }\nfn a() { fn h() { return 5 } return h() }\na() * 10 + h()');
+        const siblings = await apl.run([
+            'fn b() { fn h() { return 2 } return h() }',
+            'fn a() { fn h() { return 1 } let r = b() return r * 10 + h() }',
+            'a()'
+        ].join('\n'));
+        if (result.success && result.result === 17 &&
+            JSON.stringify(codes) === JSON.stringify(['APL3003@2', 'APL3002@3', 'APL3001@5']) &&
+            load && load.scope === 'global' && Number.isInteger(load.slot) &&
+            shadowed.result === 51 && siblings.result === 21) {
+            console.log('✅ Test 24: Lexical scoping');
+            passed++;
+        } else {
+            throw new Error(result.error || `Unexpected result ${JSON.stringify([result.result, shadowed.result, siblings.result])}, ${JSON.stringify(codes)}`);
+        }
+    } catch (e) {
+        console.log('❌ Test 24: Lexical scoping -', e.message);
+        failed++;
+    }
+    
+    // Test 25: Type annotations and hardware operation signatures
+    try {
+        const apl = new APL();
+        const result = await apl.run([
+            'fn scale(x: Float, times: T.int) -> Float { return x * times }',
+            'let q: QReg = Q.super(2)',
+            'Q.gate(q, "hadamard", 0)',
+            'scale(1.5, 2)'
+        ].join('\n'));
+        const compiled = apl.compile([
+            'let n: Int = "three"',
+            'Q.gate(5, "hadamard", 0)',
+            'G.fitness(1, 2)',
+            'fn half(x: Int) -> Int { return x / 2 }',
+            'let w: Widget = null'
+        ].join('\n'));
+        const codes = compiled.diagnostics.map(d => `${d.code}@${d.loc.start.line}`);
+        const expected = ['APL4001@1', 'APL4001@2', 'APL4003@3', 'APL4001@4', 'APL4002@5'];
+        const paths = apl.compile([
+            'fn empty() -> Int { }',
+            'fn partial(x) -> Int { if x { return 1 } }',
+            'fn branches(x) -> Int { if x { return 1 } else { throw "no" } }',
+            'fn guarded(x) -> Int { try { return 1 } catch (e) { return 2 } }',
+            'fn looping(x) -> Int { while true { if x { return 1 } } }',
+            'fn matched(x) -> Int { return match x { 1 => 2, _ => 3 } }',
+            'fn nothing() -> Null { }'
+        ].join('\n'));
+        const missing = paths.diagnostics.map(d => `${d.code}@${d.loc.start.line}:${d.loc.start.column}`);
+        const lambdas = apl.compile([
+            'let f = (x: Int) => x',
+            'f("s")',
+            'f(1)',
+            'g = (s: String) => s',
+            'g(2)',
+            'let x = 1',
+            'x = "s"',
+            'f = (s: String) => s',
+            'f("s")',
+            'let h = fn(a, b) { return a }',
+            'h(1)'
+        ].join('\n')).diagnostics.map(d => `${d.code}@${d.loc.start.line}`);
+        if (result.success && result.result === 3 &&
+            JSON.stringify(codes) === JSON.stringify(expected) &&
+            JSON.stringify(missing) === JSON.stringify(['APL4001@1:0', 'APL4001@2:0']) &&
+            JSON.stringify(lambdas) === JSON.stringify(['APL4001@2', 'APL4001@5', 'APL4003@11'])) {
+            console.log('✅ Test 25: Type checking');
+            passed++;
+        } else {
+            throw new Error(result.error || `Unexpected result ${result.result}, ${JSON.stringify([codes, missing, lambdas])}`);
+        }
+    } catch (e) {
+        console.log('❌ Test 25: Type checking -', e.message);
+        failed++;
+    }
+    
+    // Test 26: Quantum registers are linear
+    try {
+        const apl = new APL();
+        const result = await apl.run([
+            'fn prepare(n: Int) -> QReg {',
+            '    let q = Q.super(n)',
+            '    Q.gate(q, "hadamard", 0)',
+            '    return q',
+            '}',
+            'Q.measure(prepare(2)) >= 0'
+        ].join('\n'));
+        const compiled = apl.compile([
+            'q = Q.super(2)',
+            'r = q',
+            'Q.gate(q, "hadamard", 0)',
+            't = Q.teleport(r, 0, 1)',
+            'Q.measure(r)',
+            'for i in 0..2 { Q.measure(t) }',
+            'Q.super(1)',
+            '0'
+        ].join('\n'));
+        const codes = compiled.diagnostics.map(d => `${d.code}@${d.loc.start.line}`);
+        const expected = ['APL4004@3', 'APL4005@5', 'APL4005@6', 'APL4006@7'];
+        const copy = compiled.diagnostics[0];
+        const captured = apl.compile([
+            'let q = Q.super(2)',
+            'let f = () => Q.measure(q)',
+            'f()',
+            'f()',
+            'let p = Q.super(1)',
+            'let g = fn() { return Q.measure(p) }',
+            'Q.measure(p)',
+            'g()',
+            'let r = Q.super(2)',
+            'fn once() { return Q.measure(r) }',
+            'once()',
+            'once()',
+            'let s = Q.super(1)',
+            'fn peek() { Q.gate(s, "hadamard", 0) }',
+            'Q.measure(s)'
+        ].join('\n'));
+        const capturedCodes = captured.diagnostics.map(d => `${d.code}@${d.loc.start.line}`);
+        if (result.success && result.result === true && result.compiled.diagnostics.length === 0 &&
+            JSON.stringify(codes) === JSON.stringify(expected) &&
+            JSON.stringify(capturedCodes) === JSON.stringify(['APL4005@4', 'APL4004@7', 'APL4005@12', 'APL4004@15']) &&
+            copy.related.length === 1 && copy.related[0].loc.start.line === 2) {
+            console.log('✅ Test 26: Linear quantum values');
+            passed++;
+        } else {
+            throw new Error(result.error || `Unexpected result ${result.result}, ${JSON.stringify([codes, capturedCodes])}`);
+        }
+    } catch (e) {
+        console.log('❌ Test 26: Linear quantum values -', e.message);
+        failed++;
+    }
+    
+    // Test 27: Closures, lambdas and higher-order natives
+    try {
+        const apl = new APL();
+        const run = async source => (await apl.run(source)).result;
+        const counter = await run([
+            'fn make_counter() {',
+            '    let count = 0',
+            '    return fn() {',
+            '        count = count + 1',
+            '        return count',
+            '    }',
+            '}',
+            'next = make_counter()',
+            'next()',
+            'next()'
+        ].join('\n'));
+        const squares = await run('map(0..4, x => x * x)');
+        const total = await run('reduce(0..5, (acc, x) => acc + x, 0)');
+        const curried = await run('fn add(a) { return b => a + b }\nadd(2)(40)');
+        const blockBody = await run('map(0..4, x => {\n    let y = x * 2\n    return y + 1\n})');
+        const mapBody = await run('let f = x => {k: x}\nf(7).k');
+        const recursive = await run([
+            'fn outer(x) {',
+            '    fn inner() { return x }',
+            '    if x == 1 { return outer(2) + inner() }',
+            '    return inner() * 10',
+            '}',
+            'outer(1)'
+        ].join('\n'));
+        const native = await run('f = sqrt\nf(16)');
+        const notCallable = apl.compile('n = 3\nn(1)');
+        if (counter === 2 && JSON.stringify(squares) === '[0,1,4,9]' && total === 10 &&
+            curried === 42 && native === 4 && notCallable.diagnostics[0].code === 'APL4001' &&
+            JSON.stringify(blockBody) === '[1,3,5,7]' && mapBody === 7 && recursive === 21) {
+            console.log('✅ Test 27: First-class functions');
+            passed++;
+        } else {
+            throw new Error(`Unexpected results ${JSON.stringify([counter, squares, total, curried, native, blockBody, mapBody, recursive])}`);
+        }
+    } catch (e) {
+        console.log('❌ Test 27: First-class functions -', e.message);
+        failed++;
+    }
+    
+    // Test 28: Arrays, maps, indexing and spread
+    try {
+        const apl = new APL();
+        const run = async source => (await apl.run(source)).result;
+        const population = await run([
+            'population = [1, 2, 3]',
+            'population[len(population)] = 4',
+            'all = [0, ...population]',
+            'all[4] + len(all)'
+        ].join('\n'));
+        const config = await run([
+            'config = { rate: 0.1, "size": 10 }',
+            'config.rate = 0.5',
+            'tuned = { ...config, size: 20 }',
+            'tuned.size + tuned["rate"]'
+        ].join('\n'));
+        const spread = await run('fn add3(a, b, c) { return a + b + c }\nargs = [1, 2, 3]\nadd3(...args)');
+        const outOfRange = await apl.run('a = [1]\na[2]');
+        const badIndex = apl.compile('n = 3\nn[0]');
+        const numbered = await run([
+            'm = { 1: "a", 2.5: "b" }',
+            'm[3] = "c"',
+            'picked = match m { { 1: v } => v, _ => null }',
+            '[m[1], m[2.5], m[3], m["1"], picked]'
+        ].join('\n'));
+        if (population === 9 && config === 20.5 && spread === 6 && !outOfRange.success &&
+            badIndex.diagnostics[0].code === 'APL4001' &&
+            JSON.stringify(numbered) === '["a","b","c",null,"a"]') {
+            console.log('✅ Test 28: Arrays and maps');
+            passed++;
+        } else {
+            throw new Error(`Unexpected results ${JSON.stringify([population, config, spread, outOfRange.success, numbered])}`);
+        }
+    } catch (e) {
+        console.log('❌ Test 28: Arrays and maps -', e.message);
+        failed++;
+    }
+    
+    // Test 29: Modules, packages and import cycles
+    try {
+        const fs = require('fs');
+        const path = require('path');
+        const dir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'apl-modules-'));
+        const write = (file, source) => {
+            fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+            fs.writeFileSync(path.join(dir, file), source);
+        };
+        try {
+            write('util.apl', 'export let scale = 10\nexport fn times(x) { return helper(x) * scale }\nfn helper(x) { return x }');
+            write('packages/qutils/1.0.0/package.json', '{ "name": "qutils", "main": "main.apl" }');
+            write('packages/qutils/1.0.0/main.apl', 'export fn bell() { return 2 }');
+            write('main.apl', [
+                'import { times, scale as factor } from "./util.apl"',
+                'import { bell } from "qutils"',
+                'fn helper(x) { return -1 }',
+                'times(bell()) + factor + helper(0)'
+            ].join('\n'));
+            write('a.apl', 'import { b } from "./b.apl"\nexport fn a() { return 1 }');
+            write('b.apl', 'import { a } from "./a.apl"\nexport fn b() { return 2 }');
+
+            const apl = new APL({ globalDir: path.join(dir, 'packages'), cacheDir: path.join(dir, 'cache') });
+            const result = await apl.runFile(path.join(dir, 'main.apl'));
+            const cycle = apl.compileFile(path.join(dir, 'a.apl'));
+            const missing = apl.compile('import { nope } from "./util.apl"', { filename: path.join(dir, 'x.apl') });
+            if (result.result === 29 && cycle.diagnostics[0].code === 'APL5003' &&
+                missing.diagnostics[0].code === 'APL5002') {
+                console.log('✅ Test 29: Modules');
+                passed++;
+            } else {
+                throw new Error(`Unexpected results ${JSON.stringify([result.result, result.error, cycle.error, missing.error])}`);
+            }
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    } catch (e) {
+        console.log('❌ Test 29: Modules -', e.message);
+        failed++;
+    }
+    
+    // Test 30: match expressions
+    try {
+        const apl = new APL();
+        const describe = [
+            'fn describe(event) {',
+            '    return match event {',
+            '        {kind: "spike", t} => t,',
+            '        [first, ...rest] if len(rest) > 1 => first * 10,',
+            '        [a, b] => a + b,',
+            '        "hi" => 1,',
+            '        _ => -1',
+            '    }',
+            '}'
+        ].join('\n');
+        const result = await apl.run(`${describe}\nmap([{kind: "spike", t: 7}, [4, 5, 6], [1, 2], "hi", null], describe)`);
+        const partial = apl.compile('x = 3\nmatch x { 1 => "one" }');
+        const name = await apl.run('match = 2\nmatch + 1');
+        if (JSON.stringify(result.result) === '[7,40,3,1,-1]' && partial.success &&
+            partial.diagnostics[0].code === 'APL4007' && name.result === 3) {
+            console.log('✅ Test 30: Pattern matching');
+            passed++;
+        } else {
+            throw new Error(`Unexpected results ${JSON.stringify([result.result, result.error, name.result])}`);
+        }
+    } catch (e) {
+        console.log('❌ Test 30: Pattern matching -', e.message);
+        failed++;
+    }
+    
+    // Test 31: try/catch/finally and runtime errors
+    try {
+        const apl = new APL();
+        const program = [
+            'fn check(x) { if x == 0 { throw "zero" } return 10 / x }',
+            'let log = []',
+            'for v in [2, 0] {',
+            '    try { log[len(log)] = check(v) } catch (e) { log[len(log)] = e } finally { log[len(log)] = "f" }',
+            '}',
+            'try { 1 / 0 } catch (e) { log[len(log)] = e.type }',
+            'log'
+        ].join('\n');
+        const result = await apl.run(program);
+        const uncaught = await apl.run('fn inner() { return 1 / 0 }\nfn outer() { return inner() + 1 }\nouter()');
+        const compile = await apl.run('try { 1 }');
+        const { exception } = uncaught;
+        if (JSON.stringify(result.result) === '[5,"f","zero","f","DivisionByZero"]' &&
+            exception instanceof APL.DivisionByZero && exception.pc === uncaught.pc &&
+            exception.trace.map(entry => entry.function).join(',') === 'inner,outer,<main>' &&
+            exception.loc.start.line === 1 && compile.exception instanceof APL.APLCompileError) {
+            console.log('✅ Test 31: Exceptions');
+            passed++;
+        } else {
+            throw new Error(`Unexpected results ${JSON.stringify([result.result, result.error, uncaught.error])}`);
+        }
+    } catch (e) {
+        console.log('❌ Test 31: Exceptions -', e.message);
+        failed++;
+    }
+    
+    // Test 32: call frames, tail calls and call depth
+    try {
+        const apl = new APL({ maxCallDepth: 100 });
+        const tail = await apl.run('fn count(n, acc) { if n == 0 { return acc } return count(n - 1, acc + 1) }\ncount(5000, 0)');
+        const deep = await apl.run('fn down(n) { if n == 0 { return 0 } return 1 + down(n - 1) }\ndown(200)');
+        const fits = await apl.run('fn down(n) { if n == 0 { return 0 } return 1 + down(n - 1) }\ndown(50)');
+        const arity = await apl.run('let add = fn(a, b) { return a + b }\nlet alias = add\nalias(1)');
+        const early = await apl.run('fn first(xs) { for x in xs { if x > 1 { return x } } return null }\n[first([1, 2, 3]), first([0])]');
+        if (tail.result === 5000 && deep.exception instanceof APL.StackOverflow && fits.result === 50 &&
+            !arity.success && /expects 2 argument/.test(arity.error) && JSON.stringify(early.result) === '[2,null]') {
+            console.log('✅ Test 32: Call frames');
+            passed++;
+        } else {
+            throw new Error(`Unexpected results ${JSON.stringify([tail.result, deep.error, fits.result, arity.error, early.result])}`);
+        }
+    } catch (e) {
+        console.log('❌ Test 32: Call frames -', e.message);
+        failed++;
+    }
+    
+    // Test 33: native signatures and CALL_NATIVE
+    try {
+        const apl = new APL();
+        apl.registerNative('settings', () => ({ rate: 0.5 }), { params: [], returns: 'Map' });
+        apl.registerNative('half', async (x) => x / 2, { params: ['Float'], returns: 'Float', pure: true });
+        const compiled = apl.compile('half(3)');
+        const call = compiled.code.executionPlan.find(instruction => instruction.opcode === 'CALL_NATIVE');
+        const result = await apl.run('[settings().rate, half(3), len("abc")]');
+        const arity = apl.compile('half(1, 2)');
+        const type = await apl.run('let f = half\nf("x")');
+        if (call && call.pure && JSON.stringify(result.result) === '[0.5,1.5,3]' &&
+            arity.diagnostics[0].code === 'APL4003' && !type.success && /expects Float/.test(type.error)) {
+            console.log('✅ Test 33: Native calls');
+            passed++;
+        } else {
+            throw new Error(`Unexpected results ${JSON.stringify([result.result, result.error, type.error])}`);
+        }
+    } catch (e) {
+        console.log('❌ Test 33: Native calls -', e.message);
+        failed++;
+    }
+    
+    // Test 34: binary bytecode
+    try {
+        const apl = new APL();
+        const compiled = apl.compile('fn half(x) { try { return x / 2 } catch { return null } }\n[half(5), {k: -1.25}, "rune"]');
+        const bytes = APL.serialize(compiled);
+        const loaded = APL.load(bytes);
+        const result = await apl.execute(loaded);
+        const newer = Uint8Array.from(bytes);
+        newer[4] = 99;
+        let rejected = null;
+        try {
+            APL.load(newer);
+        } catch (error) {
+            rejected = error;
+        }
+        // Well-formed bytes whose sections have the wrong shape
+        const map = compiled.code.sourceMap;
+        const corrupted = [
+            { handlers: 5 }, { operations: [null] }, { imports: 'fs' }, { globals: -1 },
+            // Debug section
+            { modules: [3] }, { sourceMap: { ...map, mappings: 5 } }, { sourceMap: { ...map, functions: [null] } },
+            { sourceMap: { ...map, sources: 'x' } }, { sourceMap: { ...map, globals: 'x' } }
+        ].map(change => {
+            try {
+                APL.load(APL.serialize({ ...compiled, code: { ...compiled.code, ...change } }));
+            } catch (error) {
+                return error;
+            }
+            return null;
+        });
+        if (String.fromCharCode(...bytes.slice(0, 4)) === 'APLC' &&
+            JSON.stringify(loaded.code.executionPlan) === JSON.stringify(compiled.code.executionPlan) &&
+            result.result[0] === 2.5 && result.result[1].get('k') === -1.25 &&
+            rejected instanceof APL.APLBytecodeError && rejected.format === 99 &&
+            corrupted.every(error => error instanceof APL.APLBytecodeError)) {
+            console.log('✅ Test 34: Binary bytecode');
+            passed++;
+        } else {
+            throw new Error(`Unexpected results ${JSON.stringify([result.result, result.error, rejected && rejected.message, corrupted.map(error => error && error.message)])}`);
+        }
+    } catch (e) {
+        console.log('❌ Test 34: Binary bytecode -', e.message);
+        failed++;
+    }
+    
+    // Test 35: bytecode verification
+    try {
+        const apl = new APL();
+        const compiled = apl.compile('let total = 0\nfor i in 0..4 { total = total + i }\ntotal');
+        const tampered = (change) => {
+            const code = JSON.parse(JSON.stringify(compiled.code));
+            change(code.executionPlan);
+            return { ...compiled, code };
+        };
+        const rejection = async (bytecode) => {
+            try {
+                await apl.execute(bytecode, { verify: true });
+            } catch (error) {
+                return error;
+            }
+            return null;
+        };
+        const loopAt = compiled.code.executionPlan.findIndex(i => i.opcode === 0b10100);
+        const badJump = await rejection(tampered(plan => { plan[loopAt].end = 999; }));
+        const underflow = await rejection(tampered(plan => { plan[0] = { opcode: 0b11000 }; }));
+        const unknown = await rejection(tampered(plan => { plan.push({ opcode: 'NOPE' }); }));
+        let loadError = null;
+        try {
+            APL.load(APL.serialize(tampered(plan => { plan[plan.findIndex(i => i.opcode === 'POP')] = { opcode: 'DUP' }; })));
+        } catch (error) {
+            loadError = error;
+        }
+        const result = await apl.execute(compiled, { verify: true });
+        if (result.result === 6 &&
+            badJump instanceof APL.APLBytecodeError && /end 999/.test(badJump.message) &&
+            underflow instanceof APL.APLBytecodeError && /needs 2 stack value/.test(underflow.message) &&
+            unknown instanceof APL.APLBytecodeError && /Unknown opcode NOPE/.test(unknown.message) &&
+            loadError instanceof APL.APLBytecodeError && /Stack height/.test(loadError.problems[0].message)) {
+            console.log('✅ Test 35: Bytecode verification');
+            passed++;
+        } else {
+            throw new Error(`Unexpected results ${JSON.stringify([result.result, badJump?.message, underflow?.message, unknown?.message, loadError?.message])}`);
+        }
+    } catch (e) {
+        console.log('❌ Test 35: Bytecode verification -', e.message);
+        failed++;
+    }
+    
+    // Test 36: disassembler and assembler
+    try {
+        const apl = new APL();
+        const compiled = apl.compile('fn twice(x) { return x * 2 }\nlet q = Q.super(2)\n[twice(21), "a; b"]');
+        const listing = APL.disassemble(compiled);
+        const reassembled = APL.assemble(listing);
+        const roundTrip = await apl.execute(reassembled);
+        // Counts down from 3, summing into slot 0
+        const handWritten = APL.assemble(`
+            PUSH_CONST value=0
+            MEM_STORE  target=sum slot=0 scope=global
+            PUSH_CONST value=3
+            MEM_STORE  target=n slot=1 scope=global
+        top:
+            MEM_LOAD   source=n slot=1 scope=global
+            PUSH_CONST value=0
+            GT
+            NOT
+            JUMP_IF    target=done
+            MEM_LOAD   source=sum slot=0 scope=global
+            MEM_LOAD   source=n slot=1 scope=global
+            ADD
+            MEM_STORE  target=sum slot=0 scope=global
+            MEM_LOAD   source=n slot=1 scope=global
+            PUSH_CONST value=1
+            SUB
+            MEM_STORE  target=n slot=1 scope=global
+            JUMP       target=top
+        done:
+            MEM_LOAD   source=sum slot=0 scope=global   ; the result
+        `);
+        const handResult = await apl.execute(handWritten);
+        let unknown = null;
+        try {
+            APL.assemble('PUSH_CONST value=1\nFROB');
+        } catch (error) {
+            unknown = error;
+        }
+        if (/^0008  QUANTUM_INIT\s+argCount=1\s+; QFU 2:9-2:19$/m.test(listing) &&
+            JSON.stringify(reassembled.code.executionPlan.map(i => i.opcode)) ===
+                JSON.stringify(compiled.code.executionPlan.map(i => i.opcode)) &&
+            roundTrip.result[0] === 42 && roundTrip.result[1] === 'a; b' &&
+            handWritten.code.globals === 2 && handResult.result === 6 &&
+            unknown instanceof APL.APLBytecodeError && unknown.message === "Line 2: Unknown mnemonic 'FROB'") {
+            console.log('✅ Test 36: Disassembler and assembler');
+            passed++;
+        } else {
+            throw new Error(`Unexpected results ${JSON.stringify([roundTrip.result, handResult.result, unknown && unknown.message])}\n${listing}`);
+        }
+    } catch (e) {
+        console.log('❌ Test 36: Disassembler and assembler -', e.message);
+        failed++;
+    }
+    
+    // Test 37: source maps
+    try {
+        const fs = require('fs');
+        const path = require('path');
+        const dir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'apl-sourcemap-'));
+        try {
+            fs.writeFileSync(path.join(dir, 'lib.apl'), 'export fn risky(x) {\n    return 10 / x\n}');
+            fs.writeFileSync(path.join(dir, 'main.apl'), 'import { risky } from "./lib.apl"\nfn go(n) {\n    let r = risky(n)\n    return r\n}\ngo(0)');
+            const apl = new APL();
+            const linked = await apl.runFile(path.join(dir, 'main.apl'));
+            const runic = await apl.run('fn f(x) {\n    return ᛖ(x)\n}\nf(1)');
+            // 𝒳 is outside the Basic Multilingual Plane and takes two columns
+            const astral = await apl.run('fn f(x) {\n    return ["𝒳", ᛖ(x)]\n}\nf(1)');
+            const map = new APL.APLSourceMap(runic.compiled.code.sourceMap);
+            const goMap = linked.compiled.code.sourceMap.functions.find(func => func.name === 'go');
+            const loaded = APL.load(APL.serialize(linked.compiled));
+            const reloaded = await apl.execute(loaded);
+            const lib = path.join(dir, 'lib.apl');
+            if (linked.location.file === lib && linked.location.line === 2 && linked.location.column === 11 &&
+                linked.location.function === 'lib.risky' &&
+                linked.exception.formatTrace().split('\n')[0] === `    at lib.risky (${lib}:2:12)` &&
+                linked.exception.trace.map(entry => entry.line).join() === '2,3,6' &&
+                goMap.locals.join() === 'n,r' &&
+                runic.location.mode === 'runic' && runic.location.line === 2 && runic.location.column === 11 &&
+                astral.location.column === 18 && astral.location.endColumn === 22 &&
+                map.lookup(runic.pc).function === 'f' && map.slotNames(null).length === 0 &&
+                reloaded.location.file === lib) {
+                console.log('✅ Test 37: Source maps');
+                passed++;
+            } else {
+                throw new Error(`Unexpected results ${JSON.stringify([linked.location, runic.location, astral.location, reloaded.location])}`);
+            }
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    } catch (e) {
+        console.log('❌ Test 37: Source maps -', e.message);
+        failed++;
+    }
+    
+    // Test 38: optimizer passes against golden before/after IR
+    try {
+        const fs = require('fs');
+        const path = require('path');
+        const dir = path.join(__dirname, 'test', 'optimizer');
+        const apl = new APL();
+        const output = [];
+        apl.registerNative('print', (...args) => {
+            output.push(JSON.stringify(args));
+            return null;
+        });
+        const run = async (source, passes) => {
+            output.length = 0;
+            const result = await apl.run(source, { passes });
+            return JSON.stringify([result.result, result.error, output]);
+        };
+
+        // UPDATE_GOLDEN=1 rewrites the golden files
+        const mismatched = [];
+        for (const pass of APL.APLOptimizer.PASSES) {
+            const source = fs.readFileSync(path.join(dir, `${pass}.apl`), 'utf8');
+            const before = apl.compile(source, { passes: [] });
+            const after = apl.compile(source, { passes: [pass] });
+            const text = `// before\n${APL.APLIR.print(before.ir)}// after ${pass}\n${APL.APLIR.print(after.ir)}`;
+            const golden = path.join(dir, `${pass}.golden`);
+            if (process.env.UPDATE_GOLDEN) {
+                fs.writeFileSync(golden, text);
+            }
+            if (text !== fs.readFileSync(golden, 'utf8') || await run(source, []) !== await run(source, [pass])) {
+                mismatched.push(pass);
+            }
+        }
+
+        const levels = await Promise.all([0, 1, 2].map(optLevel => new APL({ optLevel })
+            .run('fn sq(x) { return x * x }\nlet n = 3\nlet r = 0\nif n > 2 { r = sq(n) + sq(n) }\nr')));
+        const sizes = [0, 1, 2].map(optLevel => apl.compile('let a = 2\nlet b = a * 10\nb + 1', { optLevel })
+            .code.executionPlan.length);
+        const unknown = apl.compile('1', { passes: ['nope'] });
+        if (mismatched.length === 0 && levels.every(result => result.result === 18) &&
+            sizes[0] > sizes[1] && sizes[1] === 1 && !unknown.success && /nope/.test(unknown.error)) {
+            console.log('✅ Test 38: Optimizer');
+            passed++;
+        } else {
+            throw new Error(`Unexpected results ${JSON.stringify([mismatched, levels.map(result => result.result), sizes, unknown.error])}`);
+        }
+    } catch (e) {
+        console.log('❌ Test 38: Optimizer -', e.message);
+        failed++;
+    }
+    
+    // Test 39: every bundled example compiles
+    try {
+        const bundled = require('./examples/examples.js');
+        const apl = new APL();
+        const failures = [];
+        for (const [name, source] of Object.entries(APL.APLCompiler.examples)) {
+            const result = apl.compile(source);
+            if (!result.success) {
+                failures.push(`APLCompiler.examples.${name}: ${result.error}`);
+            }
+        }
+        for (const [name, example] of Object.entries(bundled)) {
+            for (const syntax of ['ascii', 'runic']) {
+                const result = apl.compile(example[syntax]);
+                if (!result.success) {
+                    failures.push(`${name}.${syntax}: ${result.error}`);
+                }
+            }
+        }
+        if (failures.length === 0) {
+            console.log('✅ Test 39: Bundled examples compile');
+            passed++;
+        } else {
+            throw new Error(failures.join('; '));
+        }
+    } catch (e) {
+        console.log('❌ Test 39: Bundled examples compile -', e.message);
+        failed++;
+    }
+    
+    // Test 40: ranges
+    try {
+        const apl = new APL();
+        const fractional = await apl.run('let seen = []\nfor i in 0..2.5 { seen[len(seen)] = i }\nseen');
+        const large = await apl.run('let n = 0\nfor i in 0..1e12 {\n    n = n + 1\n    if n == 3 { break }\n}\nn');
+        const tooLarge = await apl.run('let r = 0..1e9\nlen(r)');
+        const notNumber = await apl.run('fn upTo(a) { return a..3 }\nupTo("x")');
+        const offset = await apl.run('0.5..3');
+        if (JSON.stringify(fractional.result) === '[0,1,2]' && large.result === 3 &&
+            tooLarge.exception instanceof APL.APLRuntimeError && /1000000000 elements/.test(tooLarge.error) &&
+            notNumber.exception instanceof APL.APLRuntimeError && /must be numbers/.test(notNumber.error) &&
+            JSON.stringify(offset.result) === '[0.5,1.5,2.5]') {
+            console.log('✅ Test 40: Ranges');
+            passed++;
+        } else {
+            throw new Error(`Unexpected results ${JSON.stringify([fractional.result, large.result, tooLarge.error, notNumber.error, offset.result])}`);
+        }
+    } catch (e) {
+        console.log('❌ Test 40: Ranges -', e.message);
+        failed++;
+    }
+    
     // Summary
     console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
     
@@ -1,7 +1,7 @@
 const {
     DebugSession,
     InitializedEvent, TerminatedEvent, StoppedEvent, BreakpointEvent, OutputEvent,
-    Thread, StackFrame, Scope, Variable, Breakpoint
+    Thread, StackFrame, Scope, Source, Variable, Breakpoint
 } = require('vscode-debugadapter');
 const { Subject } = require('await-notify');
 const path = require('path');
@@ -68,7 +68,7 @@ class APLDebugSession extends DebugSession {
             this._runtime = apl.runtime;
             
             // Compile
-            const compiled = apl.compile(code);
+            const compiled = apl.compile(code, { filename: program });
             if (!compiled.success) {
                 this.sendErrorResponse(response, {
                     id: 2,
@@ -130,27 +130,21 @@ class APLDebugSession extends DebugSession {
         const frames = [];
         
         if (this._runtime) {
+            // APL call stack, innermost first, located through the
+            // program's source map
             const state = this._runtime.getState();
-            
-            // Main frame
-            frames.push(new StackFrame(
-                0,
-                'main',
-                undefined,
-                state.pc
-            ));
-            
-            // Call stack frames
-            if (state.callStack) {
-                state.callStack.forEach((frame, i) => {
-                    frames.push(new StackFrame(
-                        i + 1,
-                        `frame_${i}`,
-                        undefined,
-                        frame.pc
-                    ));
-                });
-            }
+            state.trace.forEach((entry, i) => {
+                const source = entry.file
+                    ? new Source(path.basename(entry.file), entry.file)
+                    : undefined;
+                frames.push(new StackFrame(
+                    i,
+                    entry.function,
+                    source,
+                    entry.line !== null ? entry.line : 0,
+                    entry.column !== null ? entry.column + 1 : 0
+                ));
+            });
         }
         
         response.body = {
@@ -181,7 +175,7 @@ class APLDebugSession extends DebugSession {
             const state = this._runtime.getState();
             
             if (scope === 'local' || scope === 'global') {
-                const memory = scope === 'local' ? state.memory : {};
+                const memory = scope === 'local' ? state.locals : state.memory;
                 
                 for (const [key, value] of Object.entries(memory)) {
                     variables.push(new Variable(
@@ -217,7 +211,10 @@ class APLDebugSession extends DebugSession {
                     this.sendEvent(new OutputEvent(`\nExecution completed\n`));
                     this.sendEvent(new OutputEvent(`Result: ${JSON.stringify(result.result, null, 2)}\n`));
                 } else {
-                    this.sendEvent(new OutputEvent(`\nExecution failed: ${result.error}\n`, 'stderr'));
+                    const trace = result.exception && result.exception.formatTrace
+                        ? `${result.exception.formatTrace()}\n`
+                        : '';
+                    this.sendEvent(new OutputEvent(`\nExecution failed: ${result.error}\n${trace}`, 'stderr'));
                 }
                 
                 this.sendEvent(new TerminatedEvent());
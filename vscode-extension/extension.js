@@ -13,6 +13,9 @@ try {
 let outputChannel;
 let diagnosticCollection;
 
+// Other files each document's last compile reported diagnostics for
+const importedDiagnostics = new Map();
+
 function activate(context) {
     console.log('APL extension is now active');
     
@@ -112,7 +115,7 @@ async function runAPLProgram() {
     
     try {
         const startTime = Date.now();
-        const result = await apl.run(document.getText());
+        const result = await apl.run(document.getText(), compileOptions(document));
         const endTime = Date.now();
         
         outputChannel.appendLine('');
@@ -146,7 +149,7 @@ async function compileAPLProgram() {
     outputChannel.appendLine('=== Compiling APL Program ===');
     
     const apl = new APL();
-    const result = apl.compile(document.getText());
+    const result = apl.compile(document.getText(), compileOptions(document));
     
     if (result.success) {
         outputChannel.appendLine('Compilation: SUCCESS');
@@ -208,7 +211,7 @@ async function showBytecode() {
     if (!editor) return;
     
     const apl = new APL();
-    const result = apl.compile(editor.document.getText());
+    const result = apl.compile(editor.document.getText(), compileOptions(editor.document));
     
     if (result.success) {
         const panel = vscode.window.createWebviewPanel(
@@ -242,68 +245,37 @@ class APLCompletionProvider {
         
         const items = [];
         
-        // Quantum operations
-        if (linePrefix.endsWith('Q.')) {
-            items.push(
-                this.createCompletion('super', 'Create quantum superposition', 'Q.super(qubits)'),
-                this.createCompletion('gate', 'Apply quantum gate', 'Q.gate(state, "hadamard", qubit)'),
-                this.createCompletion('entangle', 'Entangle qubits', 'Q.entangle(state, q1, q2)'),
-                this.createCompletion('teleport', 'Quantum teleportation', 'Q.teleport(state, from, to)')
-            );
-        }
-        
-        // Neural operations
-        if (linePrefix.endsWith('N.')) {
-            items.push(
-                this.createCompletion('net', 'Create neural network', 'N.net(size)'),
-                this.createCompletion('match', 'Pattern matching', 'N.match(net, pattern)'),
-                this.createCompletion('learn', 'Apply learning', 'N.learn(net, pattern, rate)'),
-                this.createCompletion('synapse', 'Synaptic processing', 'N.synapse(net)')
-            );
-        }
-        
-        // Genetic operations
-        if (linePrefix.endsWith('G.')) {
-            items.push(
-                this.createCompletion('fitness', 'Evaluate fitness', 'G.fitness(population)'),
-                this.createCompletion('cross', 'Crossover operation', 'G.cross(parents)'),
-                this.createCompletion('mutate', 'Apply mutation', 'G.mutate(population, rate)')
-            );
-        }
-        
-        // Symbolic operations
-        if (linePrefix.endsWith('S.')) {
-            items.push(
-                this.createCompletion('graph', 'Create knowledge graph', 'S.graph(data)'),
-                this.createCompletion('reason', 'Logical reasoning', 'S.reason(graph, query)')
-            );
-        }
-        
-        // Coordination operations
-        if (linePrefix.endsWith('D.')) {
-            items.push(
-                this.createCompletion('dist', 'Distribute work', 'D.dist(data)'),
-                this.createCompletion('unify', 'Unify results', 'D.unify(a, b)'),
-                this.createCompletion('bind', 'Bind values', 'D.bind(a, b)')
-            );
+        // Namespaced operations (Q., N., G., ...) from the runic standard
+        const namespace = /\b([A-Z])\.$/.exec(linePrefix);
+        if (namespace) {
+            APL.RunicRegistry.operations
+                .filter(op => op.ascii.startsWith(`${namespace[1]}.`))
+                .forEach(op => items.push(this.createOperation(op)));
         }
         
         // Keywords
         items.push(
             this.createKeyword('function', 'Function declaration', 'function name(params) {\n\t$0\n}'),
+            this.createKeyword('fn', 'Typed function declaration', 'fn name(${1:x}: ${2:Int}) -> ${3:Int} {\n\t$0\n}'),
             this.createKeyword('for', 'For loop', 'for item in collection {\n\t$0\n}'),
             this.createKeyword('if', 'If statement', 'if condition {\n\t$0\n}'),
-            this.createKeyword('return', 'Return statement', 'return $0')
+            this.createKeyword('return', 'Return statement', 'return $0'),
+            this.createKeyword('match', 'Match expression', 'match ${1:value} {\n\t${2:pattern} => $3,\n\t_ => $0\n}'),
+            this.createKeyword('try', 'Try/catch statement', 'try {\n\t$1\n} catch (${2:e}) {\n\t$0\n}'),
+            this.createKeyword('throw', 'Throw an error', 'throw $0'),
+            this.createKeyword('import', 'Import from a module', 'import { $2 } from "${1:./module.apl}"'),
+            this.createKeyword('export', 'Export a declaration', 'export fn ${1:name}($2) {\n\t$0\n}')
         );
         
         return items;
     }
     
-    createCompletion(label, detail, insertText) {
+    createOperation(op) {
+        const label = op.ascii.split('.')[1];
         const item = new vscode.CompletionItem(label, vscode.CompletionItemKind.Function);
-        item.detail = detail;
-        item.insertText = new vscode.SnippetString(insertText);
-        item.documentation = new vscode.MarkdownString(`**${label}** - ${detail}`);
+        item.detail = op.summary;
+        item.insertText = new vscode.SnippetString(snippetFor(op));
+        item.documentation = new vscode.MarkdownString(operationDocs(op));
         return item;
     }
     
@@ -318,29 +290,50 @@ class APLCompletionProvider {
 // Hover Provider
 class APLHoverProvider {
     provideHover(document, position) {
-        const range = document.getWordRangeAtPosition(position);
-        const word = document.getText(range);
+        // ASCII aliases (Q.super) and single runes (ᛩ)
+        const range = document.getWordRangeAtPosition(
+            position,
+            /[A-Z]\.[a-zA-Z_]+|[\u16A0-\u16FF\u1400-\u167F]/
+        );
+        if (!range) {
+            return null;
+        }
         
-        const docs = {
-            'Q.super': 'Create quantum superposition state\n\nSyntax: `Q.super(numQubits)`\nReturns: Quantum state',
-            'Q.gate': 'Apply quantum gate operation\n\nSyntax: `Q.gate(state, gate, qubit)`',
-            'Q.entangle': 'Entangle two qubits\n\nSyntax: `Q.entangle(state, q1, q2)`',
-            'N.net': 'Create neural network\n\nSyntax: `N.net(size)`\nReturns: Neural network',
-            'N.match': 'Pattern matching\n\nSyntax: `N.match(net, pattern)`',
-            'G.fitness': 'Evaluate population fitness\n\nSyntax: `G.fitness(population)`',
-            'G.cross': 'Genetic crossover\n\nSyntax: `G.cross(parents)`',
-            'S.graph': 'Create knowledge graph\n\nSyntax: `S.graph(data)`',
-            'S.reason': 'Symbolic reasoning\n\nSyntax: `S.reason(graph, query)`'
-        };
+        const word = document.getText(range);
+        const op = APL.RunicRegistry.resolve(word) || APL.RunicRegistry.byGlyph(word);
         
-        if (docs[word]) {
-            return new vscode.Hover(new vscode.MarkdownString(docs[word]));
+        if (op && op.glyph) {
+            const deprecation = APL.RunicRegistry.deprecation(word);
+            const note = deprecation
+                ? `**Deprecated** since runic standard ${deprecation.since}: use \`${deprecation.replacement}\`\n\n`
+                : '';
+            return new vscode.Hover(new vscode.MarkdownString(note + operationDocs(op)), range);
         }
         
         return null;
     }
 }
 
+// Markdown docs for a runic standard operation
+function operationDocs(op) {
+    return `${op.summary}\n\n` +
+        `Syntax: \`${op.syntax}\` · Rune: \`${op.glyph}\`\n\n` +
+        `Type: \`(${op.params.join(', ')}) -> ${op.returns}\`\n\n` +
+        `Hardware: ${op.description} (${op.unit})`;
+}
+
+// Snippet with a tab stop for each parameter: the part after the
+// namespace prefix, since completion triggers on "Q."
+function snippetFor(op) {
+    const [, member] = op.ascii.split('.');
+    const params = op.syntax.slice(op.syntax.indexOf('(') + 1, -1)
+        .split(',')
+        .map(param => param.trim())
+        .filter(Boolean)
+        .map((param, i) => `\${${i + 1}:${param}}`);
+    return `${member}(${params.join(', ')})`;
+}
+
 // Definition Provider
 class APLDefinitionProvider {
     provideDefinition(document, position) {
@@ -388,34 +381,90 @@ class APLFormattingProvider {
 
 // Diagnostics
 function updateDiagnostics(document) {
-    const diagnostics = [];
+    // Imported modules report under their own file, unless it is open
+    // and so has diagnostics of its own
+    const isOpen = uri => vscode.workspace.textDocuments.some(open => open.uri.toString() === uri.toString());
+    const byFile = new Map([[document.uri.toString(), { uri: document.uri, diagnostics: [] }]]);
     
     const config = vscode.workspace.getConfiguration('apl');
-    if (!config.get('linting')) {
-        diagnosticCollection.set(document.uri, diagnostics);
-        return;
-    }
-    
-    try {
-        const apl = new APL();
-        const result = apl.compile(document.getText());
-        
-        if (!result.success) {
-            const diagnostic = new vscode.Diagnostic(
-                new vscode.Range(0, 0, 0, 0),
-                result.error,
-                vscode.DiagnosticSeverity.Error
-            );
-            diagnostics.push(diagnostic);
+    if (config.get('linting')) {
+        try {
+            const apl = new APL();
+            const result = apl.compile(document.getText(), compileOptions(document));
+            
+            (result.diagnostics || []).forEach(item => {
+                const uri = item.file ? vscode.Uri.file(item.file) : document.uri;
+                if (item.file && isOpen(uri)) {
+                    return;
+                }
+                if (!byFile.has(uri.toString())) {
+                    byFile.set(uri.toString(), { uri, diagnostics: [] });
+                }
+                const diagnostic = new vscode.Diagnostic(
+                    toRange(item.loc),
+                    item.message,
+                    toSeverity(item.severity)
+                );
+                diagnostic.code = item.code;
+                diagnostic.source = 'apl';
+                if (item.hints.length > 0) {
+                    diagnostic.message += '\n' + item.hints.join('\n');
+                }
+                diagnostic.relatedInformation = (item.related || []).map(related =>
+                    new vscode.DiagnosticRelatedInformation(
+                        new vscode.Location(related.file ? vscode.Uri.file(related.file) : uri, toRange(related.loc)),
+                        related.message
+                    )
+                );
+                byFile.get(uri.toString()).diagnostics.push(diagnostic);
+            });
+        } catch (error) {
+            // Ignore
         }
-    } catch (error) {
-        // Ignore
     }
     
-    diagnosticCollection.set(document.uri, diagnostics);
+    // Clear files this document no longer reports anything for
+    const key = document.uri.toString();
+    (importedDiagnostics.get(key) || [])
+        .filter(uri => !byFile.has(uri.toString()) && !isOpen(uri))
+        .forEach(uri => diagnosticCollection.delete(uri));
+    importedDiagnostics.set(key, [...byFile.values()].map(entry => entry.uri).filter(uri => uri.toString() !== key));
+    
+    byFile.forEach(({ uri, diagnostics }) => diagnosticCollection.set(uri, diagnostics));
+}
+
+// Imports are resolved relative to the document; untitled documents
+// have no file to resolve them from
+function compileOptions(document) {
+    return document.isUntitled ? {} : { filename: document.fileName };
 }
 
 // Helper functions
+
+// Compiler locations use 1-based lines and 0-based columns
+function toRange(loc) {
+    if (!loc) {
+        return new vscode.Range(0, 0, 0, 0);
+    }
+    return new vscode.Range(
+        loc.start.line - 1,
+        loc.start.column,
+        loc.end.line - 1,
+        loc.end.column
+    );
+}
+
+function toSeverity(severity) {
+    switch (severity) {
+        case 'error':
+            return vscode.DiagnosticSeverity.Error;
+        case 'warning':
+            return vscode.DiagnosticSeverity.Warning;
+        default:
+            return vscode.DiagnosticSeverity.Information;
+    }
+}
+
 function getBytecodeHTML(result) {
     return `
         <!DOCTYPE html>
@@ -443,12 +492,16 @@ function getBytecodeHTML(result) {
             <div class="success">Compilation: SUCCESS</div>
             <p>Mode: ${result.sourceMode}</p>
             <p>Operations: ${result.code?.operations?.length || 0}</p>
-            <pre>${JSON.stringify(result.code, null, 2)}</pre>
+            <pre>${escapeHTML(APL.disassemble(result))}</pre>
         </body>
         </html>
     `;
 }
 
+function escapeHTML(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
 function deactivate() {
     if (diagnosticCollection) {
         diagnosticCollection.dispose();
@@ -24,7 +24,14 @@ module.exports = {
     ]
   },
   resolve: {
-    extensions: ['.js']
+    extensions: ['.js'],
+    // Only files and imports need these; the bundle compiles and runs
+    // source passed to it directly
+    fallback: {
+      fs: false,
+      path: false,
+      os: false
+    }
   },
   mode: 'production',
   optimization: {